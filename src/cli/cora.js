@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+// src/cli/cora.js
+// CLI de operação sobre o servicoCora: usa o mesmo certificado, token, retentativas e cache da API.
+// Uso: npm run cora -- <comando> [opções]   (ajuda: npm run cora -- ajuda)
+// Códigos de saída: 0 ok, 1 erro inesperado, 2 uso incorreto, 3 não encontrado,
+//   4 configuração/credenciais (certificado, token, 401/403), 5 Cora indisponível, 6 resultado incompleto.
+process.env.DOTENV_CONFIG_QUIET = process.env.DOTENV_CONFIG_QUIET || 'true';
+require('dotenv').config();
+
+const fs = require('fs').promises;
+const { parseArgs } = require('util');
+const logger = require('../utilitarios/logger');
+const validadorDocumento = require('../utilitarios/validadorDocumento');
+const { reaisCsv, montarCsv } = require('../utilitarios/csv');
+
+const SAIDA = { OK: 0, ERRO: 1, USO: 2, NAO_ENCONTRADO: 3, CREDENCIAIS: 4, INDISPONIVEL: 5, INCOMPLETO: 6 };
+const STATUS_CONHECIDOS = ['OPEN', 'LATE', 'PAID', 'CANCELLED'];
+
+const AJUDA = `Uso: npm run cora -- <comando> [opções]
+
+Comandos:
+  boleto <invoiceId> [--bruto]                 Detalhe de um invoice (--bruto: JSON original da Cora)
+  listar --inicio AAAA-MM-DD --fim AAAA-MM-DD  Invoices por vencimento no intervalo
+         [--status OPEN,LATE,PAID,CANCELLED]
+  documento <cpf|cnpj>                         Mesma busca da API: atrasados e o próximo a vencer
+  testar-conexao                               Certificado, token e uma chamada autenticada
+  ajuda                                        Esta mensagem
+
+Opções:
+  --formato json|tabela|csv   Padrão: tabela no terminal, json quando a saída é redirecionada
+  --saida <arquivo>           Grava o resultado no arquivo em vez da saída padrão
+  --verbose                   Mostra os logs do serviço (na saída de erro)
+  --tenant <id>               Conta da Cora a usar, quando há vários tenants (padrão: o tenant padrão)
+
+Códigos de saída: 0 ok, 1 erro inesperado, 2 uso incorreto, 3 não encontrado,
+  4 configuração/credenciais, 5 Cora indisponível, 6 resultado incompleto`;
+
+class ErroCli extends Error {
+  constructor(message, codigo = SAIDA.ERRO) {
+    super(message);
+    this.name = 'ErroCli';
+    this.codigo = codigo;
+  }
+}
+
+// Colunas dos boletos (formato do front) na tabela e no CSV
+const COLUNAS_BOLETO = [
+  { titulo: 'id', tabela: b => b.id },
+  { titulo: 'status', tabela: b => b.status },
+  { titulo: 'vencimento', tabela: b => b.due_date },
+  { titulo: 'valor', tabela: b => b.amount, csv: b => reaisCsv(b.amount_cents) },
+  { titulo: 'valor_atualizado', tabela: b => b.updated_amount, csv: b => reaisCsv(b.updated_amount_cents) },
+  { titulo: 'dias_atraso', tabela: b => b.charges?.days_late ?? 0 },
+  { titulo: 'pagador', tabela: b => b.student_name },
+  { titulo: 'documento', tabela: b => b.customer_document },
+  { titulo: 'tipo_documento', tabela: b => b.customer_document_type, somenteCsv: true },
+  { titulo: 'linha_digitavel', tabela: b => b.digitable, somenteCsv: true }
+];
+
+const COLUNAS_VERIFICACAO = [
+  { titulo: 'verificacao', tabela: v => v.verificacao },
+  { titulo: 'resultado', tabela: v => v.resultado },
+  { titulo: 'detalhe', tabela: v => v.detalhe }
+];
+
+/**
+ * O servicoCora valida a configuração do tenant ao ser usado pela primeira vez; a falha vira erro de credenciais.
+ */
+const carregarServicoCora = () => {
+  try {
+    const servicoCora = require('../servicos/servicoCora');
+    servicoCora.paraTenant(require('../servicos/servicoTenants').atual());
+    return servicoCora;
+  } catch (error) {
+    throw new ErroCli(error.message, error.name === 'TenantError' ? SAIDA.USO : SAIDA.CREDENCIAIS);
+  }
+};
+
+/**
+ * Executa fn na conta indicada por --tenant ou, sem ela, no tenant padrão.
+ */
+const executarNoTenant = (id, fn) => {
+  let servicoTenants;
+  try {
+    servicoTenants = require('../servicos/servicoTenants');
+  } catch (error) {
+    throw new ErroCli(error.message, SAIDA.CREDENCIAIS);
+  }
+  const disponiveis = servicoTenants.listar().map(t => t.id).join(', ');
+  const tenant = id ? servicoTenants.obter(id) : servicoTenants.padrao;
+  if (!tenant) {
+    throw new ErroCli(id
+      ? `Tenant desconhecido: ${id}. Disponíveis: ${disponiveis}.`
+      : `Há vários tenants e nenhum padrão: informe --tenant <id> (${disponiveis}).`, SAIDA.USO);
+  }
+  return servicoTenants.executarNoTenant(tenant, fn);
+};
+
+/**
+ * Código de saída para um erro vindo do serviço ou da Cora.
+ */
+const codigoDoErro = (error) => {
+  if (error instanceof ErroCli) return error.codigo;
+  if (error.name === 'CoraIndisponivelError') return SAIDA.INDISPONIVEL;
+  if (error.name === 'CredenciaisError') return SAIDA.CREDENCIAIS;
+  if (error.name === 'IdBoletoInvalidoError') return SAIDA.USO;
+  const status = error.response?.status;
+  if (status === 404) return SAIDA.NAO_ENCONTRADO;
+  if (status === 401 || status === 403) return SAIDA.CREDENCIAIS;
+  if (status === 429 || status >= 500) return SAIDA.INDISPONIVEL;
+  if (!status && /^(ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|ECONNABORTED)$/.test(error.code || '')) return SAIDA.INDISPONIVEL;
+  return SAIDA.ERRO;
+};
+
+const validarData = (nome, valor) => {
+  if (!valor) throw new ErroCli(`Informe --${nome} (AAAA-MM-DD).`, SAIDA.USO);
+  // new Date('2025-02-30') vira 02/03: a data só vale se voltar igual
+  const data = new Date(`${valor}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(valor) || isNaN(data.getTime()) || data.toISOString().slice(0, 10) !== valor) {
+    throw new ErroCli(`--${nome} inválido: use AAAA-MM-DD.`, SAIDA.USO);
+  }
+  return valor;
+};
+
+// ---------- comandos ----------
+// Cada comando devolve { dados (JSON), registros + colunas (tabela/CSV), codigo?, aviso? }
+
+const comandos = {
+  async boleto([invoiceId], opcoes) {
+    if (!invoiceId) throw new ErroCli('Informe o id do invoice: boleto <invoiceId>.', SAIDA.USO);
+    const servicoCora = carregarServicoCora();
+    if (opcoes.bruto) {
+      if (opcoes.formato !== 'json') throw new ErroCli('--bruto só está disponível com --formato json.', SAIDA.USO);
+      const details = await servicoCora.consultarDetalhesBoleto(invoiceId);
+      return { dados: details };
+    }
+    const boleto = await servicoCora.consultarBoletoFormatado(invoiceId).catch(error => {
+      if (error.response?.status === 404) throw new ErroCli(`Boleto ${invoiceId} não encontrado.`, SAIDA.NAO_ENCONTRADO);
+      throw error;
+    });
+    if (!boleto) throw new ErroCli(`Boleto ${invoiceId} não encontrado.`, SAIDA.NAO_ENCONTRADO);
+    return { dados: boleto, registros: [boleto], colunas: COLUNAS_BOLETO };
+  },
+
+  async listar(_, opcoes) {
+    const inicio = validarData('inicio', opcoes.inicio);
+    const fim = validarData('fim', opcoes.fim);
+    if (inicio > fim) throw new ErroCli('--inicio deve ser anterior ou igual a --fim.', SAIDA.USO);
+    const status = opcoes.status ? opcoes.status.split(',').map(s => s.trim().toUpperCase()).filter(Boolean) : [];
+    const desconhecidos = status.filter(s => !STATUS_CONHECIDOS.includes(s));
+    if (desconhecidos.length) {
+      throw new ErroCli(`Status desconhecido: ${desconhecidos.join(', ')}. Use ${STATUS_CONHECIDOS.join(', ')}.`, SAIDA.USO);
+    }
+
+    const servicoCora = carregarServicoCora();
+    const resumo = {};
+    const boletos = [];
+    for await (const boleto of servicoCora.iterarBoletos({ filtros: { start: inicio, end: fim }, resumo })) {
+      if (status.length && !status.includes(String(boleto.status).toUpperCase())) continue;
+      boletos.push(boleto);
+    }
+    boletos.sort((a, b) => String(a.due_date).localeCompare(String(b.due_date)));
+
+    const indisponiveis = resumo.falhas.map(f => f.id);
+    return {
+      dados: {
+        filters: { start: inicio, end: fim, status },
+        total: boletos.length,
+        boletos,
+        ...(indisponiveis.length ? { incompleto: true, unavailable_invoices: indisponiveis } : {})
+      },
+      registros: boletos,
+      colunas: COLUNAS_BOLETO,
+      ...(indisponiveis.length ? { codigo: SAIDA.INCOMPLETO, aviso: `${indisponiveis.length} invoices não puderam ser detalhados: ${indisponiveis.join(', ')}` } : {})
+    };
+  },
+
+  async documento([documentoInformado]) {
+    if (!documentoInformado) throw new ErroCli('Informe o CPF ou CNPJ: documento <cpf|cnpj>.', SAIDA.USO);
+    const { valido, tipo, documento } = validadorDocumento.validar(documentoInformado);
+    if (!valido) throw new ErroCli('CPF ou CNPJ inválido.', SAIDA.USO);
+
+    const servicoCora = carregarServicoCora();
+    const { boletosAtrasados, proximoBoletoAVencer, detalhesIndisponiveis = [] } = await servicoCora.consultarBoletosPorDocumento(documento, tipo);
+    const boletos = [...boletosAtrasados];
+    if (proximoBoletoAVencer && !boletos.some(b => b.id === proximoBoletoAVencer.id)) boletos.push(proximoBoletoAVencer);
+
+    if (boletos.length === 0) {
+      if (detalhesIndisponiveis.length) {
+        throw new ErroCli(`Não foi possível consultar todos os boletos agora (${detalhesIndisponiveis.length} indisponíveis).`, SAIDA.INDISPONIVEL);
+      }
+      throw new ErroCli(`Nenhum boleto ativo encontrado para o ${tipo} ${documento}.`, SAIDA.NAO_ENCONTRADO);
+    }
+    return {
+      dados: {
+        tipo_documento: tipo,
+        boletos,
+        ...(detalhesIndisponiveis.length ? { incompleto: true, unavailable_invoices: detalhesIndisponiveis } : {})
+      },
+      registros: boletos,
+      colunas: COLUNAS_BOLETO,
+      ...(detalhesIndisponiveis.length ? { codigo: SAIDA.INCOMPLETO, aviso: `${detalhesIndisponiveis.length} boletos não puderam ser consultados; a lista pode estar incompleta.` } : {})
+    };
+  },
+
+  async 'testar-conexao'() {
+    const verificacoes = [];
+    const registrar = (verificacao, resultado, detalhe) => verificacoes.push({ verificacao, resultado, detalhe });
+    const resultado = (codigo) => ({
+      dados: { ok: codigo === SAIDA.OK, verificacoes },
+      registros: verificacoes,
+      colunas: COLUNAS_VERIFICACAO,
+      codigo
+    });
+
+    let servicoCora;
+    try {
+      servicoCora = carregarServicoCora();
+      await servicoCora.createHttpsAgent();
+    } catch (error) {
+      registrar('certificado', 'FALHA', error.message);
+      return resultado(SAIDA.CREDENCIAIS);
+    }
+    const certificado = servicoCora.credenciais.resumo();
+    const detalhe = `${certificado.subject} (${certificado.source}); válido até ${certificado.valid_to.slice(0, 10)} (${certificado.days_remaining} dias)`;
+    if (certificado.status === 'EXPIRADO') {
+      registrar('certificado', 'FALHA', `${detalhe}: expirado`);
+      return resultado(SAIDA.CREDENCIAIS);
+    }
+    registrar('certificado', certificado.status === 'EXPIRANDO' ? 'AVISO' : 'OK', certificado.status === 'EXPIRANDO' ? `${detalhe}: renove em breve` : detalhe);
+
+    try {
+      await servicoCora.getAccessToken(true);
+      registrar('token', 'OK', `obtido; expira em ${servicoCora.tokenExpiry.toISOString()}`);
+    } catch (error) {
+      const status = error.response?.status;
+      registrar('token', 'FALHA', status ? `HTTP ${status}: ${error.message}` : error.message);
+      return resultado([400, 401, 403].includes(status) ? SAIDA.CREDENCIAIS : codigoDoErro(error));
+    }
+
+    try {
+      const response = await servicoCora.cliente.get('/v2/invoices', { params: { page: 1, perPage: 1 } });
+      registrar('api', 'OK', `GET /v2/invoices respondeu ${response.status} (${response.data?.totalItems ?? '?'} invoices)`);
+    } catch (error) {
+      registrar('api', 'FALHA', error.message);
+      return resultado(codigoDoErro(error));
+    }
+    return resultado(SAIDA.OK);
+  }
+};
+
+// ---------- saída ----------
+
+const formatarTabela = (registros, colunas) => {
+  const visiveis = colunas.filter(c => !c.somenteCsv);
+  const linhas = registros.map(r => visiveis.map(c => String(c.tabela(r) ?? '-')));
+  const larguras = visiveis.map((c, i) => Math.max(c.titulo.length, ...linhas.map(l => l[i].length)));
+  const formatarLinha = (valores) => valores.map((v, i) => v.padEnd(larguras[i])).join('  ').trimEnd();
+  return [
+    formatarLinha(visiveis.map(c => c.titulo.toUpperCase())),
+    formatarLinha(larguras.map(l => '-'.repeat(l))),
+    ...linhas.map(formatarLinha)
+  ].join('\n') + `\n\n${registros.length} registro(s)\n`;
+};
+
+const formatarResultado = ({ dados, registros, colunas }, formato) => {
+  if (formato === 'json' || !registros) return JSON.stringify(dados, null, 2) + '\n';
+  if (formato === 'csv') {
+    return montarCsv(colunas.map(c => c.titulo), registros.map(r => colunas.map(c => (c.csv || c.tabela)(r))));
+  }
+  return formatarTabela(registros, colunas);
+};
+
+const escrever = (fluxo, texto) => new Promise(resolve => fluxo.write(texto, resolve));
+
+const principal = async (argv) => {
+  const { values: opcoes, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      formato: { type: 'string' },
+      saida: { type: 'string' },
+      inicio: { type: 'string' },
+      fim: { type: 'string' },
+      status: { type: 'string' },
+      bruto: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      tenant: { type: 'string' },
+      ajuda: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  const [nomeComando, ...argumentos] = positionals;
+  if (!nomeComando || opcoes.ajuda || ['ajuda', 'help'].includes(nomeComando)) {
+    await escrever(process.stdout, AJUDA + '\n');
+    return nomeComando || opcoes.ajuda ? SAIDA.OK : SAIDA.USO;
+  }
+  const comando = comandos[nomeComando];
+  if (!comando) throw new ErroCli(`Comando desconhecido: ${nomeComando}. Veja "npm run cora -- ajuda".`, SAIDA.USO);
+
+  opcoes.formato = String(opcoes.formato || (process.stdout.isTTY && !opcoes.saida ? 'tabela' : 'json')).toLowerCase();
+  if (!['json', 'tabela', 'csv'].includes(opcoes.formato)) throw new ErroCli('--formato deve ser json, tabela ou csv.', SAIDA.USO);
+
+  // Logs sempre na saída de erro, para não misturar com o resultado
+  logger.configurar({
+    nivel: opcoes.verbose ? 'info' : (process.env.LOG_LEVEL || 'warn'),
+    saida: (linha) => process.stderr.write(linha + '\n')
+  });
+
+  const resultado = await executarNoTenant(opcoes.tenant, () => comando(argumentos, opcoes));
+  const texto = formatarResultado(resultado, opcoes.formato);
+  if (opcoes.saida) {
+    await fs.writeFile(opcoes.saida, texto);
+    await escrever(process.stderr, `📁 Resultado gravado em ${opcoes.saida}${resultado.registros ? ` (${resultado.registros.length} registros)` : ''}.\n`);
+  } else {
+    await escrever(process.stdout, texto);
+  }
+  if (resultado.aviso) await escrever(process.stderr, `⚠️ ${resultado.aviso}\n`);
+  return resultado.codigo ?? SAIDA.OK;
+};
+
+if (require.main === module) {
+  principal(process.argv.slice(2))
+    .catch(async (error) => {
+      const codigo = error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE'
+        ? SAIDA.USO
+        : codigoDoErro(error);
+      const status = error.response?.status ? ` (HTTP ${error.response.status})` : '';
+      await escrever(process.stderr, `❌ ${error.message}${status}\n`);
+      return codigo;
+    })
+    // Sai explicitamente: o agente HTTPS mantém conexões abertas
+    .then(codigo => process.exit(codigo));
+}
+
+module.exports = { principal, SAIDA };
@@ -1,71 +1,402 @@
 const servicoCora = require('../servicos/servicoCora');
-const validadorCpf = require('../utilitarios/validadorCpf'); // Renomeado para 'validadorCpf' para consistência
+const servicoReemissao = require('../servicos/servicoReemissao');
+const servicoPdf = require('../servicos/servicoPdf');
+const servicoTenants = require('../servicos/servicoTenants');
+const validadorDocumento = require('../utilitarios/validadorDocumento');
+const linksAssinados = require('../utilitarios/linksAssinados');
+const filtrosConsulta = require('../utilitarios/filtrosConsulta');
+const QRCode = require('qrcode');
+const logger = require('../utilitarios/logger');
+const { CoraIndisponivelError } = require('../servicos/clienteCora');
+const { responderCoraIndisponivel } = require('../utilitarios/respostasErro');
+
+const lerBooleano = (valor) => ['true', '1', 'sim'].includes(String(valor).toLowerCase());
+
+/**
+ * Troca o link do storage da Cora (pdf_url) pelo endereço do PDF servido por esta API. O documento
+ * já foi conferido na consulta, então o link leva um token assinado de curta duração em vez do CPF/CNPJ.
+ * API_URL_PUBLICA define o host quando há proxy. Com vários tenants, o link leva o prefixo
+ * /t/<tenant> do boleto (o navegador não envia o header).
+ */
+const apontarPdfParaApi = (req, boletos) => {
+    const base = (process.env.API_URL_PUBLICA || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+    return boletos.map(boleto => {
+        if (!boleto.pdf_url) {
+            return { ...boleto, pdf_url: null };
+        }
+        const tenant = boleto.tenant || servicoTenants.atual().id;
+        const prefixo = boleto.tenant ? `/t/${encodeURIComponent(boleto.tenant)}` : '';
+        const token = linksAssinados.assinar(boleto.id, tenant);
+        return {
+            ...boleto,
+            pdf_url: `${base}${prefixo}${req.baseUrl}/boleto/${encodeURIComponent(boleto.id)}/pdf?token=${encodeURIComponent(token)}`
+        };
+    });
+};
 
 const consultarBoletos = async (req, res) => {
-    const { cpf } = req.body;
+    const documentoInformado = req.body?.documento || req.body?.cpf || req.body?.cnpj;
 
-    // 1. Validação inicial do CPF
-    if (!cpf) {
-        console.warn('⚠️ Requisição recebida sem CPF.');
-        return res.status(400).json({ erro: 'CPF é obrigatório.' });
+    // 1. Validação inicial do documento (CPF ou CNPJ)
+    if (!documentoInformado) {
+        logger.warn('⚠️ Requisição recebida sem CPF/CNPJ.');
+        return res.status(400).json({ erro: 'CPF ou CNPJ é obrigatório.' });
     }
 
-    // 2. Valida o formato e os dígitos do CPF
-    if (!validadorCpf.validar(cpf)) {
-        console.warn(`⚠️ Tentativa de consulta com CPF inválido: ${cpf}`);
-        return res.status(400).json({ erro: 'CPF inválido. Por favor, verifique o número digitado.' });
+    // 2. Detecta o tipo e valida os dígitos verificadores (o documento volta já limpo)
+    const { valido, tipo, documento: cpfLimpo } = validadorDocumento.validar(documentoInformado);
+    if (!valido) {
+        return res.status(400).json({ erro: 'CPF ou CNPJ inválido. Por favor, verifique o número digitado.' });
     }
 
-    // Limpa o CPF para garantir que apenas números sejam passados para o serviço
-    const cpfLimpo = validadorCpf.limpar(cpf);
+    // Filtros opcionais (query ou corpo): status, faixa de vencimento, a_vencer, ordem e paginação.
+    // Sem eles, a resposta é a de sempre: os atrasados e o próximo a vencer
+    const leitura = filtrosConsulta.ler({ ...req.body, ...req.query });
+    if (!leitura.valido) {
+        return res.status(400).json({ erro: 'Filtros da consulta inválidos.', erros: leitura.erros });
+    }
+    const { opcoes } = leitura;
+    const periodo = { start: opcoes.vencimentoInicio, end: opcoes.vencimentoFim };
+
+    // Com vários tenants, todos_tenants=true busca o documento em todas as contas (escolas)
+    const todosTenants = servicoTenants.multiTenant() && lerBooleano(req.query.todos_tenants ?? req.body?.todos_tenants);
 
     try {
-        // 3. Chama o serviço Cora para buscar os boletos.
-        // O serviço já retorna os boletos atrasados e o próximo a vencer de forma estruturada.
-        const { boletosAtrasados, proximoBoletoAVencer } = await servicoCora.consultarBoletosPorCpf(cpfLimpo);
+        // 3. Chama o serviço Cora para buscar os boletos do titular (todos os status), já separando os atrasados
+        const resultado = todosTenants
+            ? await servicoCora.consultarBoletosEmTodosTenants(cpfLimpo, tipo, { periodo })
+            : await servicoCora.consultarBoletosPorDocumento(cpfLimpo, tipo, { periodo });
+        const { detalhesIndisponiveis = [], tenantsIndisponiveis = [] } = resultado;
+        const incompleto = detalhesIndisponiveis.length > 0 || tenantsIndisponiveis.length > 0;
+
+        // 4. Filtra, ordena (atrasados primeiro, por padrão) e pagina
+        const { boletos, paginacao, resumo } = filtrosConsulta.aplicar(resultado, opcoes);
 
-        // 4. Verifica se nenhum boleto foi encontrado
-        if (boletosAtrasados.length === 0 && !proximoBoletoAVencer) {
-            console.log(`📄 Nenhum boleto ativo encontrado para o CPF: ${cpfLimpo}`);
-            return res.status(404).json({ erro: 'Nenhum boleto ativo encontrado para o CPF fornecido.' });
+        // 5. Verifica se nenhum boleto foi encontrado
+        if (paginacao.total_items === 0) {
+            if (incompleto) {
+                // Não dá para afirmar que não há boletos se parte deles não pôde ser consultada
+                logger.warn(`⚠️ Consulta incompleta para o ${tipo} ${cpfLimpo}: ${detalhesIndisponiveis.length} boletos indisponíveis.`);
+                return res.status(503).json({ erro: 'Não foi possível consultar todos os boletos agora. Por favor, tente novamente em instantes.' });
+            }
+            logger.info(`📄 Nenhum boleto encontrado para o ${tipo}: ${cpfLimpo}`);
+            const erro = filtrosConsulta.personalizada(opcoes)
+                ? `Nenhum boleto encontrado com os filtros informados para o ${tipo} fornecido.`
+                : `Nenhum boleto ativo encontrado para o ${tipo} fornecido.`;
+            return res.status(404).json({ erro, tipo_documento: tipo });
         }
 
-        // 5. Prepara a lista de boletos para a resposta, aplicando os status desejados
-        let boletosParaExibir = [];
+        // 6. Indica quando um boleto é segunda via de outro e aponta o PDF para esta API (só os da página)
+        let boletosParaExibir = await servicoReemissao.anotarSubstituicoes(boletos);
+        boletosParaExibir = apontarPdfParaApi(req, boletosParaExibir);
 
-        // Adiciona todos os boletos atrasados, marcando-os como 'ATRASADO'
-        boletosAtrasados.forEach(boleto => {
-            boletosParaExibir.push({ ...boleto, status: 'ATRASADO' });
-        });
+        logger.info(`✅ Boletos consultados com sucesso para o ${tipo}: ${cpfLimpo}. Total de ${paginacao.total_items} boletos (${boletosParaExibir.length} nesta página).`);
+        const resposta = { tipo_documento: tipo, boletos: boletosParaExibir, pagination: paginacao, summary: resumo };
+        if (incompleto) {
+            return res.status(200).json({
+                ...resposta,
+                incompleto: true,
+                ...(tenantsIndisponiveis.length ? { tenants_indisponiveis: tenantsIndisponiveis } : {}),
+                aviso: 'Alguns boletos não puderam ser consultados agora. A lista pode estar incompleta.'
+            });
+        }
+        return res.status(200).json(resposta);
+
+    } catch (error) {
+        if (error instanceof CoraIndisponivelError) {
+            return responderCoraIndisponivel(res, error);
+        }
+        logger.error(`❌ Erro no controlador ao consultar boletos para o ${tipo} ${cpfLimpo}.`, { erro: error.message });
+        // Em caso de erro, retorna uma mensagem genérica para o cliente
+        return res.status(500).json({ erro: 'Erro interno ao consultar boletos. Por favor, tente novamente mais tarde.' });
+    }
+};
+
+/**
+ * Carrega um boleto pelo id e confere se o documento (CPF ou CNPJ) informado é o do titular.
+ * Retorna { boleto, tipo, documento } em caso de sucesso ou { status, erro } para ser devolvido ao cliente.
+ */
+const carregarBoletoDoTitular = async (invoiceId, documentoInformado) => {
+    if (!documentoInformado) {
+        logger.warn(`⚠️ Consulta do boleto ${invoiceId} sem CPF/CNPJ.`);
+        return { status: 400, erro: 'CPF ou CNPJ é obrigatório.' };
+    }
+    const { valido, tipo, documento } = validadorDocumento.validar(documentoInformado);
+    if (!valido) {
+        return { status: 400, erro: 'CPF ou CNPJ inválido. Por favor, verifique o número digitado.' };
+    }
+
+    try {
+        const boleto = await servicoCora.consultarBoletoFormatado(invoiceId);
+        if (!boleto) {
+            return { status: 404, erro: 'Boleto não encontrado.' };
+        }
+        const documentoInvoice = { identity: boleto.customer_document, type: boleto.customer_document_type };
+        if (!validadorDocumento.pertenceAoTitular(documentoInvoice, documento, tipo)) {
+            logger.warn(`⚠️ ${tipo} ${documento} não corresponde ao titular do boleto ${invoiceId}.`);
+            return { status: 403, erro: `O ${tipo} informado não corresponde ao titular deste boleto.` };
+        }
+        return { boleto, tipo, documento };
+    } catch (error) {
+        if (error instanceof servicoCora.IdBoletoInvalidoError) {
+            return { status: 400, erro: error.message };
+        }
+        if (error.response && error.response.status === 404) {
+            logger.warn(`⚠️ Boleto ${invoiceId} não encontrado na Cora.`);
+            return { status: 404, erro: 'Boleto não encontrado.' };
+        }
+        throw error;
+    }
+};
+
+const consultarBoletoPorId = async (req, res) => {
+    const { invoiceId } = req.params;
+    const documento = req.query.documento || req.query.cpf || req.query.cnpj || req.body?.documento || req.body?.cpf;
+
+    try {
+        const { boleto, tipo, status, erro } = await carregarBoletoDoTitular(invoiceId, documento);
+        if (!boleto) {
+            return res.status(status).json({ erro });
+        }
+
+        const [boletoAnotado] = apontarPdfParaApi(req, await servicoReemissao.anotarSubstituicoes([boleto]));
+        logger.info(`✅ Boleto ${invoiceId} consultado com sucesso.`);
+        return res.status(200).json({ tipo_documento: tipo, boleto: boletoAnotado });
+
+    } catch (error) {
+        if (error instanceof CoraIndisponivelError) {
+            return responderCoraIndisponivel(res, error);
+        }
+        logger.error(`❌ Erro no controlador ao consultar o boleto ${invoiceId}.`, { erro: error.message });
+        return res.status(500).json({ erro: 'Erro interno ao consultar o boleto. Por favor, tente novamente mais tarde.' });
+    }
+};
+
+const gerarQrCodePix = async (req, res) => {
+    const { invoiceId } = req.params;
+    const documento = req.query.documento || req.query.cpf || req.query.cnpj || req.body?.documento || req.body?.cpf;
+    const formato = String(req.query.formato || 'png').toLowerCase();
+
+    if (!['png', 'svg'].includes(formato)) {
+        return res.status(400).json({ erro: 'Formato inválido. Use "png" ou "svg".' });
+    }
+
+    try {
+        const { boleto, status, erro } = await carregarBoletoDoTitular(invoiceId, documento);
+        if (!boleto) {
+            return res.status(status).json({ erro });
+        }
+
+        // 1. Só gera o QR Code para payloads PIX íntegros
+        if (!boleto.pix_payload) {
+            return res.status(404).json({ erro: 'Este boleto não possui código PIX.' });
+        }
+        if (!boleto.pix_valid) {
+            logger.warn(`⚠️ QR Code recusado para o boleto ${invoiceId}: payload PIX inválido.`);
+            return res.status(422).json({ erro: 'O código PIX deste boleto é inválido.', detalhes: boleto.pix_details?.errors || [] });
+        }
+
+        // 2. Renderiza o QR Code no formato pedido
+        res.set('Cache-Control', 'private, max-age=300');
+        if (formato === 'svg') {
+            const svg = await QRCode.toString(boleto.pix_payload, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
+            return res.status(200).type('image/svg+xml').send(svg);
+        }
+        const png = await QRCode.toBuffer(boleto.pix_payload, { type: 'png', errorCorrectionLevel: 'M', margin: 2, width: 320 });
+        return res.status(200).type('image/png').send(png);
 
-        // Adiciona o próximo boleto a vencer, se existir e ainda não estiver na lista (para evitar duplicatas)
-        if (proximoBoletoAVencer) {
-            const isDuplicate = boletosParaExibir.some(b => b.id === proximoBoletoAVencer.id);
-            if (!isDuplicate) {
-                boletosParaExibir.push({ ...proximoBoletoAVencer, status: 'A VENCER' }); // Ou 'PENDENTE'
+    } catch (error) {
+        if (error instanceof CoraIndisponivelError) {
+            return responderCoraIndisponivel(res, error);
+        }
+        logger.error(`❌ Erro no controlador ao gerar QR Code do boleto ${invoiceId}.`, { erro: error.message });
+        return res.status(500).json({ erro: 'Erro interno ao gerar o QR Code. Por favor, tente novamente mais tarde.' });
+    }
+};
+
+/**
+ * Histórico de pagamentos de um CPF/CNPJ: boletos pagos com data, valor e meio de pagamento,
+ * e totais por ano (comprovante para o imposto de renda).
+ */
+const consultarHistoricoPagamentos = async (req, res) => {
+    const documentoInformado = req.params?.documento || req.body?.documento || req.body?.cpf || req.body?.cnpj;
+    if (!documentoInformado) {
+        logger.warn('⚠️ Histórico de pagamentos solicitado sem CPF/CNPJ.');
+        return res.status(400).json({ erro: 'CPF ou CNPJ é obrigatório.' });
+    }
+
+    const { valido, tipo, documento } = validadorDocumento.validar(documentoInformado);
+    if (!valido) {
+        return res.status(400).json({ erro: 'CPF ou CNPJ inválido. Por favor, verifique o número digitado.' });
+    }
+
+    try {
+        const { boletos, totaisPorAno, totalPagoCents, detalhesIndisponiveis } = await servicoCora.consultarHistoricoPagamentos(documento, tipo);
+        const incompleto = detalhesIndisponiveis.length > 0;
+
+        if (boletos.length === 0) {
+            if (incompleto) {
+                logger.warn(`⚠️ Histórico incompleto para o ${tipo} ${documento}: ${detalhesIndisponiveis.length} boletos indisponíveis.`);
+                return res.status(503).json({ erro: 'Não foi possível consultar todos os boletos agora. Por favor, tente novamente em instantes.' });
             }
+            logger.info(`📄 Nenhum pagamento encontrado para o ${tipo}: ${documento}`);
+            return res.status(404).json({ erro: `Nenhum pagamento encontrado para o ${tipo} fornecido.`, tipo_documento: tipo });
+        }
+
+        const resposta = {
+            tipo_documento: tipo,
+            total_paid_cents: totalPagoCents,
+            total_paid: (totalPagoCents / 100).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' }),
+            totals_by_year: totaisPorAno,
+            boletos
+        };
+        logger.info(`✅ Histórico de pagamentos consultado para o ${tipo}: ${documento}. ${boletos.length} boletos pagos.`);
+        if (incompleto) {
+            return res.status(200).json({
+                ...resposta,
+                incompleto: true,
+                aviso: 'Alguns boletos não puderam ser consultados agora. O histórico pode estar incompleto.'
+            });
+        }
+        return res.status(200).json(resposta);
+
+    } catch (error) {
+        if (error instanceof CoraIndisponivelError) {
+            return responderCoraIndisponivel(res, error);
+        }
+        logger.error(`❌ Erro no controlador ao consultar o histórico de pagamentos do ${tipo} ${documento}.`, { erro: error.message });
+        return res.status(500).json({ erro: 'Erro interno ao consultar o histórico de pagamentos. Por favor, tente novamente mais tarde.' });
+    }
+};
+
+/**
+ * Carrega o boleto de um link de PDF assinado por apontarPdfParaApi (o titular já foi conferido na consulta).
+ * Mesmo retorno de carregarBoletoDoTitular.
+ */
+const carregarBoletoDoLink = async (invoiceId, token) => {
+    const situacao = linksAssinados.verificar(token, invoiceId, servicoTenants.atual().id);
+    if (situacao !== 'VALIDO') {
+        logger.warn(`⚠️ Link de PDF ${situacao === 'EXPIRADO' ? 'expirado' : 'inválido'} para o boleto ${invoiceId}.`);
+        return {
+            status: 403,
+            erro: situacao === 'EXPIRADO'
+                ? 'Este link do boleto expirou. Consulte seus boletos novamente para obter um novo link.'
+                : 'Link do boleto inválido.'
+        };
+    }
+
+    try {
+        const boleto = await servicoCora.consultarBoletoFormatado(invoiceId);
+        return boleto ? { boleto } : { status: 404, erro: 'Boleto não encontrado.' };
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return { status: 404, erro: 'Boleto não encontrado.' };
+        }
+        throw error;
+    }
+};
+
+/**
+ * PDF de um boleto, repassado pela API (o link do storage da Cora não chega ao navegador).
+ * Aceita o token do link devolvido na consulta ou, como a consulta por id, o CPF/CNPJ do titular.
+ */
+const baixarPdfBoleto = async (req, res) => {
+    const { invoiceId } = req.params;
+    const { token } = req.query;
+    const documento = req.query.documento || req.query.cpf || req.query.cnpj || req.body?.documento || req.body?.cpf;
+
+    try {
+        const { boleto, status, erro } = token
+            ? await carregarBoletoDoLink(invoiceId, token)
+            : await carregarBoletoDoTitular(invoiceId, documento);
+        if (!boleto) {
+            return res.status(status).json({ erro });
         }
 
-        // 6. Ordena a lista final de boletos para exibição
-        // Prioriza boletos atrasados, depois ordena por data de vencimento (do mais antigo para o mais recente)
-        boletosParaExibir.sort((a, b) => {
-            // Boletos atrasados vêm primeiro
-            if (a.status === 'ATRASADO' && b.status !== 'ATRASADO') return -1;
-            if (a.status !== 'ATRASADO' && b.status === 'ATRASADO') return 1;
-            // Se ambos são atrasados ou ambos são "a vencer", ordena pela data de vencimento
-            return new Date(a.due_date) - new Date(b.due_date);
+        const { stream, tamanho } = await servicoPdf.abrirPdf(boleto);
+        res.status(200).type('application/pdf');
+        res.set('Content-Disposition', `inline; filename="boleto-${invoiceId}.pdf"`);
+        res.set('Cache-Control', 'private, no-store');
+        if (tamanho != null) res.set('Content-Length', String(tamanho));
+        stream.on('error', (error) => {
+            logger.error(`❌ Transferência do PDF do boleto ${invoiceId} interrompida.`, { erro: error.message });
+            res.destroy(error);
         });
+        logger.info(`📄 PDF do boleto ${invoiceId} repassado.`);
+        return stream.pipe(res);
 
-        console.log(`✅ Boletos consultados com sucesso para o CPF: ${cpfLimpo}. Total de ${boletosParaExibir.length} boletos para exibir.`);
-        return res.status(200).json({ boletos: boletosParaExibir });
+    } catch (error) {
+        if (error instanceof servicoPdf.PdfError) {
+            return res.status(error.status).json({ erro: error.message });
+        }
+        if (error instanceof CoraIndisponivelError) {
+            return responderCoraIndisponivel(res, error);
+        }
+        logger.error(`❌ Erro no controlador ao obter o PDF do boleto ${invoiceId}.`, { erro: error.message });
+        return res.status(500).json({ erro: 'Erro interno ao obter o PDF do boleto. Por favor, tente novamente mais tarde.' });
+    }
+};
+
+/**
+ * Um único PDF com todos os boletos em aberto (atrasados e a vencer) de um CPF/CNPJ, por ordem de
+ * vencimento, precedidos de uma folha de rosto com cada parcela e o valor atualizado.
+ */
+const baixarPdfUnificado = async (req, res) => {
+    const documentoInformado = req.params?.documento || req.body?.documento || req.body?.cpf || req.body?.cnpj;
+    if (!documentoInformado) {
+        logger.warn('⚠️ PDF unificado solicitado sem CPF/CNPJ.');
+        return res.status(400).json({ erro: 'CPF ou CNPJ é obrigatório.' });
+    }
+
+    const { valido, tipo, documento } = validadorDocumento.validar(documentoInformado);
+    if (!valido) {
+        return res.status(400).json({ erro: 'CPF ou CNPJ inválido. Por favor, verifique o número digitado.' });
+    }
+
+    try {
+        const resultado = await servicoCora.consultarBoletosPorDocumento(documento, tipo);
+        const detalhesIndisponiveis = resultado.detalhesIndisponiveis || [];
+        const boletos = resultado.boletosEmAberto
+            || [...resultado.boletosAtrasados, resultado.proximoBoletoAVencer].filter(Boolean);
+
+        if (boletos.length === 0) {
+            if (detalhesIndisponiveis.length) {
+                logger.warn(`⚠️ PDF unificado incompleto para o ${tipo} ${documento}: ${detalhesIndisponiveis.length} boletos indisponíveis.`);
+                return res.status(503).json({ erro: 'Não foi possível consultar todos os boletos agora. Por favor, tente novamente em instantes.' });
+            }
+            logger.info(`📄 Nenhum boleto em aberto para o PDF unificado do ${tipo}: ${documento}`);
+            return res.status(404).json({ erro: `Nenhum boleto em aberto encontrado para o ${tipo} fornecido.`, tipo_documento: tipo });
+        }
+
+        const { pdf, incluidos, indisponiveis, omitidos } = await servicoPdf.unificarBoletos(boletos, { titular: boletos[0].student_name });
+        if (incluidos.length === 0) {
+            return res.status(502).json({ erro: 'Não foi possível obter os PDFs dos boletos agora. Por favor, tente novamente em instantes.' });
+        }
+
+        res.status(200).type('application/pdf');
+        res.set('Content-Disposition', 'inline; filename="boletos-em-aberto.pdf"');
+        res.set('Cache-Control', 'private, no-store');
+        res.set('X-Boletos-Incluidos', String(incluidos.length));
+        // Lista parcial: boletos sem PDF agora, acima do limite do arquivo ou que não puderam ser consultados
+        const faltantes = indisponiveis.length + omitidos.length + detalhesIndisponiveis.length;
+        if (faltantes > 0) res.set('X-Boletos-Nao-Incluidos', String(faltantes));
+        logger.info(`✅ PDF unificado do ${tipo} ${documento}: ${incluidos.length} boletos, ${faltantes} não incluídos.`);
+        return res.send(pdf);
 
     } catch (error) {
-        console.error(`❌ Erro no controlador ao consultar boletos para o CPF ${cpfLimpo}:`, error.message);
-        // Em caso de erro, retorna uma mensagem genérica para o cliente
-        return res.status(500).json({ erro: 'Erro interno ao consultar boletos. Por favor, tente novamente mais tarde.' });
+        if (error instanceof CoraIndisponivelError) {
+            return responderCoraIndisponivel(res, error);
+        }
+        logger.error(`❌ Erro no controlador ao gerar o PDF unificado do ${tipo} ${documento}.`, { erro: error.message });
+        return res.status(500).json({ erro: 'Erro interno ao gerar o PDF dos boletos. Por favor, tente novamente mais tarde.' });
     }
 };
 
 module.exports = {
-    consultarBoletos
+    consultarBoletos,
+    consultarHistoricoPagamentos,
+    consultarBoletoPorId,
+    gerarQrCodePix,
+    baixarPdfBoleto,
+    baixarPdfUnificado
 };
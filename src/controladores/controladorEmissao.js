@@ -0,0 +1,182 @@
+const servicoCora = require('../servicos/servicoCora');
+const servicoCarnes = require('../servicos/servicoCarnes');
+const servicoReemissao = require('../servicos/servicoReemissao');
+const logger = require('../utilitarios/logger');
+const { CoraIndisponivelError } = require('../servicos/clienteCora');
+const { responderCoraIndisponivel } = require('../utilitarios/respostasErro');
+
+const REGEX_CHAVE_IDEMPOTENCIA = /^[\w.:-]{8,255}$/;
+
+/**
+ * Lê a chave de idempotência do header Idempotency-Key (ou do campo idempotency_key do corpo).
+ */
+const lerChaveIdempotencia = (req) => {
+    const chave = req.get('idempotency-key') || req.body?.idempotency_key;
+    return chave ? String(chave).trim() : null;
+};
+
+/**
+ * Devolve o erro 400 adequado quando a chave de idempotência falta ou é inválida (ou null se estiver ok).
+ */
+const erroChaveIdempotencia = (chave) => {
+    if (!chave) return 'O header Idempotency-Key é obrigatório (ex.: um UUID gerado por emissão).';
+    if (!REGEX_CHAVE_IDEMPOTENCIA.test(chave)) return 'Idempotency-Key inválida: use de 8 a 255 letras, números, ".", ":", "_" ou "-".';
+    return null;
+};
+
+/**
+ * Trata os erros comuns das rotas de carnê (validação, carnê inexistente, Cora indisponível).
+ */
+const responderErroCarne = (res, error, contexto) => {
+    if (error instanceof servicoCarnes.CarneError) {
+        return res.status(error.status).json({ erro: error.message, ...(error.erros.length ? { detalhes: error.erros } : {}) });
+    }
+    if (error instanceof CoraIndisponivelError) {
+        return responderCoraIndisponivel(res, error);
+    }
+    logger.error(`❌ Erro no controlador ao ${contexto}.`, { erro: error.message });
+    return res.status(500).json({ erro: 'Erro interno ao processar o carnê. Por favor, tente novamente mais tarde.' });
+};
+
+const emitirBoleto = async (req, res) => {
+    const chave = lerChaveIdempotencia(req);
+    const erroChave = erroChaveIdempotencia(chave);
+    if (erroChave) {
+        return res.status(400).json({ erro: erroChave });
+    }
+
+    try {
+        const { boleto, repetido } = await servicoCora.emitirBoleto(req.body, chave);
+        if (repetido) {
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(200).json({ boleto });
+        }
+        return res.status(201).json({ boleto });
+
+    } catch (error) {
+        if (error instanceof servicoCora.EmissaoError) {
+            return res.status(error.status).json({ erro: error.message, ...(error.erros.length ? { detalhes: error.erros } : {}) });
+        }
+        if (error instanceof CoraIndisponivelError) {
+            return responderCoraIndisponivel(res, error);
+        }
+        logger.error(`❌ Erro no controlador ao emitir boleto (chave ${chave}).`, { erro: error.message });
+        return res.status(500).json({ erro: 'Erro interno ao emitir o boleto. Repita a requisição com a mesma Idempotency-Key.' });
+    }
+};
+
+/**
+ * Cria um carnê e emite todas as parcelas. Responde 201 quando todas foram emitidas e 202 quando a
+ * emissão parou no meio (o carnê fica INCOMPLETO e pode ser retomado).
+ */
+const criarCarne = async (req, res) => {
+    const chave = lerChaveIdempotencia(req);
+    const erroChave = erroChaveIdempotencia(chave);
+    if (erroChave) {
+        return res.status(400).json({ erro: erroChave });
+    }
+
+    try {
+        const { carne, criado } = await servicoCarnes.criarCarne(req.body, chave);
+        if (!criado) res.set('Idempotent-Replayed', 'true');
+        if (carne.status !== 'EMITIDO') {
+            return res.status(202).json({
+                carne,
+                aviso: `Emissão interrompida: ${carne.pending} parcelas pendentes. Use POST /carnes/${carne.id}/retomar para continuar.`
+            });
+        }
+        return res.status(criado ? 201 : 200).json({ carne });
+    } catch (error) {
+        return responderErroCarne(res, error, `criar carnê (chave ${chave})`);
+    }
+};
+
+const retomarCarne = async (req, res) => {
+    try {
+        const carne = await servicoCarnes.gerarParcelas(req.params.carneId);
+        return res.status(carne.status === 'EMITIDO' ? 200 : 202).json({ carne });
+    } catch (error) {
+        return responderErroCarne(res, error, `retomar o carnê ${req.params.carneId}`);
+    }
+};
+
+const consultarCarne = async (req, res) => {
+    try {
+        const carne = await servicoCarnes.consultarCarne(req.params.carneId);
+        return res.status(200).json({ carne });
+    } catch (error) {
+        return responderErroCarne(res, error, `consultar o carnê ${req.params.carneId}`);
+    }
+};
+
+const listarCarnes = async (req, res) => {
+    try {
+        const carnes = await servicoCarnes.listarCarnes({ documento: req.query.documento });
+        return res.status(200).json({ carnes });
+    } catch (error) {
+        return responderErroCarne(res, error, 'listar carnês');
+    }
+};
+
+/**
+ * Trata os erros comuns de cancelamento e segunda via.
+ */
+const responderErroReemissao = (res, error, contexto) => {
+    if (error instanceof servicoReemissao.ReemissaoError || error instanceof servicoCora.EmissaoError) {
+        return res.status(error.status).json({ erro: error.message, ...(error.erros.length ? { detalhes: error.erros } : {}) });
+    }
+    if (error instanceof CoraIndisponivelError) {
+        return responderCoraIndisponivel(res, error);
+    }
+    if (error.response && [409, 422].includes(error.response.status)) {
+        return res.status(409).json({ erro: error.response.data?.message || 'A Cora recusou a operação para este boleto.' });
+    }
+    logger.error(`❌ Erro no controlador ao ${contexto}.`, { erro: error.message });
+    return res.status(500).json({ erro: 'Erro interno ao processar a operação. Por favor, tente novamente mais tarde.' });
+};
+
+const cancelarBoleto = async (req, res) => {
+    const { invoiceId } = req.params;
+    try {
+        const resultado = await servicoReemissao.cancelar(invoiceId, { motivo: req.body?.reason || null });
+        return res.status(200).json(resultado);
+    } catch (error) {
+        return responderErroReemissao(res, error, `cancelar o boleto ${invoiceId}`);
+    }
+};
+
+/**
+ * Segunda via: emite um novo boleto com outro vencimento e cancela o antigo. Responde 201 quando
+ * as duas etapas terminam e 202 quando o boleto antigo ainda precisa ser cancelado (repita a chamada).
+ */
+const emitirSegundaVia = async (req, res) => {
+    const { invoiceId } = req.params;
+    const chave = lerChaveIdempotencia(req);
+    if (chave && !REGEX_CHAVE_IDEMPOTENCIA.test(chave)) {
+        return res.status(400).json({ erro: erroChaveIdempotencia(chave) });
+    }
+
+    try {
+        const { due_date, update_amount, reason } = req.body || {};
+        const resultado = await servicoReemissao.emitirSegundaVia(invoiceId, { due_date, update_amount, reason }, chave);
+        if (!resultado.old_invoice_cancelled) {
+            return res.status(202).json({
+                ...resultado,
+                aviso: 'A segunda via foi emitida, mas o boleto antigo ainda não foi cancelado. Repita a requisição para concluir.'
+            });
+        }
+        return res.status(201).json(resultado);
+    } catch (error) {
+        return responderErroReemissao(res, error, `emitir a segunda via do boleto ${invoiceId}`);
+    }
+};
+
+module.exports = {
+    emitirBoleto,
+    cancelarBoleto,
+    emitirSegundaVia,
+    criarCarne,
+    retomarCarne,
+    consultarCarne,
+    listarCarnes
+};
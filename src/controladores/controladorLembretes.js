@@ -0,0 +1,59 @@
+const servicoLembretes = require('../servicos/servicoLembretes');
+const logger = require('../utilitarios/logger');
+const { CoraIndisponivelError } = require('../servicos/clienteCora');
+const { responderCoraIndisponivel } = require('../utilitarios/respostasErro');
+
+const lerBooleano = (valor) => ['true', '1', 'sim'].includes(String(valor).toLowerCase());
+
+/**
+ * Executa uma rodada de lembretes agora.
+ * dry_run=true (query ou corpo) apenas lista o que seria enviado, sem enviar nem gravar nada.
+ * data_referencia (AAAA-MM-DD) permite simular a rodada de outro dia.
+ */
+const executarLembretes = async (req, res) => {
+    const simular = lerBooleano(req.query.dry_run ?? req.body?.dry_run);
+    const dataReferencia = req.query.data_referencia || req.body?.data_referencia;
+    if (dataReferencia && !/^\d{4}-\d{2}-\d{2}$/.test(dataReferencia)) {
+        return res.status(400).json({ erro: 'data_referencia deve estar no formato AAAA-MM-DD.' });
+    }
+    if (dataReferencia && !simular) {
+        return res.status(400).json({ erro: 'data_referencia só pode ser usada com dry_run=true.' });
+    }
+
+    try {
+        const resumo = await servicoLembretes.executar({ simular, ...(dataReferencia ? { dataReferencia } : {}) });
+        if (resumo.incompleto) {
+            return res.status(200).json({
+                ...resumo,
+                aviso: 'Alguns boletos não puderam ser consultados agora e ficam para a próxima rodada.'
+            });
+        }
+        return res.status(200).json(resumo);
+
+    } catch (error) {
+        if (error instanceof CoraIndisponivelError) {
+            return responderCoraIndisponivel(res, error);
+        }
+        logger.error('❌ Erro no controlador ao executar os lembretes.', { erro: error.message });
+        return res.status(500).json({ erro: 'Erro interno ao executar os lembretes. Por favor, tente novamente mais tarde.' });
+    }
+};
+
+/**
+ * Registro de lembretes enviados (mais recentes primeiro). Query: invoice_id, limite (padrão 100).
+ */
+const listarEnvios = async (req, res) => {
+    const limite = Math.min(Math.max(parseInt(req.query.limite, 10) || 100, 1), 1000);
+    try {
+        const envios = await servicoLembretes.listarEnvios({ invoiceId: req.query.invoice_id || null, limite });
+        return res.status(200).json({ total: envios.length, envios });
+    } catch (error) {
+        logger.error('❌ Erro no controlador ao listar os lembretes enviados.', { erro: error.message });
+        return res.status(500).json({ erro: 'Erro interno ao listar os lembretes. Por favor, tente novamente mais tarde.' });
+    }
+};
+
+module.exports = {
+    executarLembretes,
+    listarEnvios
+};
@@ -0,0 +1,58 @@
+const servicoRelatorios = require('../servicos/servicoRelatorios');
+const logger = require('../utilitarios/logger');
+const { CoraIndisponivelError } = require('../servicos/clienteCora');
+const { responderCoraIndisponivel } = require('../utilitarios/respostasErro');
+
+/**
+ * Relatório de inadimplência (aging) de todos os clientes.
+ * Query: inicio, fim (vencimento, AAAA-MM-DD), status (OPEN, LATE ou ambos separados por vírgula)
+ * e formato=csv para baixar a planilha em vez do JSON.
+ */
+const relatorioInadimplencia = async (req, res) => {
+    const { inicio, fim, status } = req.query;
+    const formato = String(req.query.formato || (req.path.endsWith('.csv') ? 'csv' : 'json')).toLowerCase();
+    if (!['json', 'csv'].includes(formato)) {
+        return res.status(400).json({ erro: 'Formato inválido. Use "json" ou "csv".' });
+    }
+
+    try {
+        const relatorio = await servicoRelatorios.gerarRelatorioInadimplencia({ inicio, fim, status });
+        const incompleto = relatorio.unavailable_invoices.length > 0;
+        if (incompleto) {
+            logger.warn(`⚠️ Relatório de inadimplência incompleto: ${relatorio.unavailable_invoices.length} boletos sem detalhe.`);
+        }
+
+        if (formato === 'csv') {
+            const nomeArquivo = `inadimplencia-${relatorio.reference_date}.csv`;
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${nomeArquivo}"`);
+            res.set('Cache-Control', 'no-store');
+            if (incompleto) res.set('X-Relatorio-Incompleto', String(relatorio.unavailable_invoices.length));
+            return res.status(200).send(servicoRelatorios.relatorioInadimplenciaParaCsv(relatorio));
+        }
+
+        res.set('Cache-Control', 'no-store');
+        if (incompleto) {
+            return res.status(200).json({
+                ...relatorio,
+                incompleto: true,
+                aviso: 'Alguns boletos não puderam ser consultados agora e ficaram fora do relatório.'
+            });
+        }
+        return res.status(200).json(relatorio);
+
+    } catch (error) {
+        if (error instanceof servicoRelatorios.RelatorioError) {
+            return res.status(error.status).json({ erro: error.message });
+        }
+        if (error instanceof CoraIndisponivelError) {
+            return responderCoraIndisponivel(res, error);
+        }
+        logger.error('❌ Erro no controlador ao gerar o relatório de inadimplência.', { erro: error.message });
+        return res.status(500).json({ erro: 'Erro interno ao gerar o relatório. Por favor, tente novamente mais tarde.' });
+    }
+};
+
+module.exports = {
+    relatorioInadimplencia
+};
@@ -0,0 +1,44 @@
+const servicoSaude = require('../servicos/servicoSaude');
+const metricas = require('../utilitarios/metricas');
+const logger = require('../utilitarios/logger');
+
+/**
+ * Liveness: o processo está de pé. Não consulta a Cora.
+ */
+const vivo = (req, res) => {
+    return res.status(200).json(servicoSaude.vivo());
+};
+
+/**
+ * Readiness: certificado válido, token obtido e Cora respondendo. 503 se algo falhar.
+ * Com vários tenants e nenhum indicado na requisição, verifica todos; 503 só se nenhum estiver pronto.
+ */
+const pronto = async (req, res) => {
+    try {
+        const resultado = await servicoSaude.pronto(req.tenant);
+        res.set('Cache-Control', 'no-store');
+        return res.status(resultado.status === 'not_ready' ? 503 : 200).json(resultado);
+    } catch (error) {
+        logger.error('❌ Erro no controlador ao verificar a prontidão.', { erro: error.message });
+        return res.status(503).json({ status: 'not_ready', erro: 'Não foi possível verificar a prontidão.' });
+    }
+};
+
+/**
+ * Métricas no formato texto do Prometheus.
+ */
+const exporMetricas = async (req, res) => {
+    try {
+        res.set('Content-Type', metricas.registro.contentType);
+        return res.status(200).send(await metricas.registro.metrics());
+    } catch (error) {
+        logger.error('❌ Erro ao coletar as métricas.', { erro: error.message });
+        return res.status(500).json({ erro: 'Erro interno ao coletar as métricas.' });
+    }
+};
+
+module.exports = {
+    vivo,
+    pronto,
+    exporMetricas
+};
@@ -0,0 +1,28 @@
+const servicoWebhooks = require('../servicos/servicoWebhooks');
+const logger = require('../utilitarios/logger');
+
+const receberEventoCora = async (req, res) => {
+    try {
+        const { duplicado, evento } = servicoWebhooks.processar({
+            headers: req.headers,
+            body: req.body,
+            rawBody: req.rawBody,
+            token: req.query.token
+        });
+
+        // A Cora só precisa de um 2xx; entregas repetidas também são confirmadas para não serem reenviadas
+        return res.status(200).json({ recebido: true, duplicado, evento: evento.id });
+
+    } catch (error) {
+        if (error instanceof servicoWebhooks.WebhookError) {
+            logger.warn(`⚠️ Webhook recusado: ${error.message}`);
+            return res.status(error.status).json({ erro: error.message });
+        }
+        logger.error('❌ Erro no controlador ao processar webhook da Cora.', { erro: error.message });
+        return res.status(500).json({ erro: 'Erro interno ao processar o webhook.' });
+    }
+};
+
+module.exports = {
+    receberEventoCora
+};
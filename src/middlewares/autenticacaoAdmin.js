@@ -0,0 +1,32 @@
+// src/middlewares/autenticacaoAdmin.js
+// Protege as rotas administrativas (relatórios, emissão de boletos...) com uma chave de API.
+// A chave vem em "X-API-Key" ou "Authorization: Bearer <chave>" e é comparada em tempo constante
+// com ADMIN_API_KEYS (lista separada por vírgula, permite rotação sem derrubar quem usa a antiga).
+const crypto = require('crypto');
+const logger = require('../utilitarios/logger');
+
+const resumir = (valor) => crypto.createHash('sha256').update(String(valor)).digest();
+
+const chavesConfiguradas = () => String(process.env.ADMIN_API_KEYS || process.env.ADMIN_API_KEY || '')
+  .split(',')
+  .map(c => c.trim())
+  .filter(Boolean);
+
+const autenticacaoAdmin = (req, res, next) => {
+  const chaves = chavesConfiguradas();
+  if (chaves.length === 0) {
+    logger.error('❌ ADMIN_API_KEYS não configurada: rotas administrativas desabilitadas.');
+    return res.status(503).json({ erro: 'Acesso administrativo não configurado.' });
+  }
+
+  const informada = req.get('x-api-key') || String(req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const resumoInformado = resumir(informada);
+  const autorizado = Boolean(informada) && chaves.some(chave => crypto.timingSafeEqual(resumir(chave), resumoInformado));
+  if (!autorizado) {
+    logger.warn(`🔒 Acesso administrativo negado: ${req.method} ${req.originalUrl} (IP ${req.ip}).`);
+    return res.status(401).json({ erro: 'Chave de API ausente ou inválida.' });
+  }
+  return next();
+};
+
+module.exports = autenticacaoAdmin;
@@ -0,0 +1,24 @@
+// src/middlewares/correlacao.js
+// Atribui um id de correlação a cada requisição (reaproveita X-Request-Id quando vier do proxy)
+// e o propaga para todos os logs emitidos durante o atendimento.
+const crypto = require('crypto');
+const logger = require('../utilitarios/logger');
+
+const correlacao = (req, res, next) => {
+  const recebido = req.get('x-request-id');
+  const correlationId = recebido && /^[\w.-]{1,100}$/.test(recebido) ? recebido : crypto.randomUUID();
+
+  req.correlationId = correlationId;
+  res.set('X-Request-Id', correlationId);
+
+  logger.executarComContexto({ correlationId }, () => {
+    const inicio = Date.now();
+    logger.info(`➡️ ${req.method} ${req.originalUrl}`);
+    res.on('finish', () => {
+      logger.info(`⬅️ ${req.method} ${req.originalUrl} ${res.statusCode} (${Date.now() - inicio}ms)`);
+    });
+    next();
+  });
+};
+
+module.exports = correlacao;
@@ -0,0 +1,193 @@
+// src/middlewares/limitadorConsultas.js
+// Proteção das rotas públicas de consulta contra força bruta e enumeração de CPFs:
+// contadores por IP e por CPF em janela deslizante, atraso progressivo, bloqueio temporário
+// e tempo mínimo de resposta (200 e 404 levam o mesmo tempo e não revelam se o CPF é cliente).
+// Só as consultas contam tentativas; os recursos pedidos depois delas (QR Code, PDFs) apenas
+// respeitam o bloqueio já aplicado ao IP/CPF.
+
+const logger = require('../utilitarios/logger');
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+const lerInteiro = (nome, padrao) => {
+  const valor = parseInt(process.env[nome], 10);
+  return Number.isFinite(valor) ? valor : padrao;
+};
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class LimitadorConsultas {
+  constructor(opcoes = {}) {
+    this.janelaMs = opcoes.janelaMs ?? lerInteiro('LIMITE_JANELA_MS', 15 * 60 * 1000);
+    this.bloqueioMs = opcoes.bloqueioMs ?? lerInteiro('LIMITE_BLOQUEIO_MS', 30 * 60 * 1000);
+    this.atrasoBaseMs = opcoes.atrasoBaseMs ?? lerInteiro('LIMITE_ATRASO_BASE_MS', 250);
+    this.atrasoMaximoMs = opcoes.atrasoMaximoMs ?? lerInteiro('LIMITE_ATRASO_MAX_MS', 5000);
+    this.tempoMinimoRespostaMs = opcoes.tempoMinimoRespostaMs ?? lerInteiro('LIMITE_TEMPO_MINIMO_RESPOSTA_MS', 1500);
+    this.limites = {
+      ip: {
+        atrasoApos: opcoes.ipAtrasoApos ?? lerInteiro('LIMITE_IP_ATRASO_APOS', 10),
+        maximo: opcoes.ipMaximo ?? lerInteiro('LIMITE_IP_MAX', 30)
+      },
+      cpf: {
+        atrasoApos: opcoes.cpfAtrasoApos ?? lerInteiro('LIMITE_CPF_ATRASO_APOS', 5),
+        maximo: opcoes.cpfMaximo ?? lerInteiro('LIMITE_CPF_MAX', 20)
+      }
+    };
+    this.intervaloLimpezaMs = opcoes.intervaloLimpezaMs ?? lerInteiro('LIMITE_INTERVALO_LIMPEZA_MS', 60 * 1000);
+    this.registros = new Map(); // "ip:<ip>" | "cpf:<cpf>" -> { tentativas: number[], bloqueadoAte: number }
+    this.ultimaLimpeza = 0;
+    this.avisoProxyEmitido = false;
+    this.esperar = opcoes.esperar || esperar;
+  }
+
+  _registro(chave) {
+    let registro = this.registros.get(chave);
+    if (!registro) {
+      registro = { tentativas: [], bloqueadoAte: 0 };
+      this.registros.set(chave, registro);
+    }
+    return registro;
+  }
+
+  /**
+   * Remove os registros sem tentativas na janela e sem bloqueio ativo. Percorre o mapa no máximo
+   * uma vez por intervaloLimpezaMs (e não a cada requisição).
+   */
+  _limparExpirados(agora) {
+    if (agora - this.ultimaLimpeza < this.intervaloLimpezaMs) return;
+    this.ultimaLimpeza = agora;
+    for (const [chave, registro] of this.registros) {
+      registro.tentativas = registro.tentativas.filter(t => agora - t < this.janelaMs);
+      if (registro.tentativas.length === 0 && registro.bloqueadoAte <= agora) this.registros.delete(chave);
+    }
+  }
+
+  /**
+   * Bloqueio ativo da chave (0 se não houver), sem registrar tentativa.
+   */
+  bloqueioAtivo(chave, agora = Date.now()) {
+    const bloqueadoAte = this.registros.get(chave)?.bloqueadoAte || 0;
+    return bloqueadoAte > agora ? bloqueadoAte : 0;
+  }
+
+  /**
+   * Registra uma tentativa para a chave e devolve { bloqueadoAte, atrasoMs }.
+   */
+  registrarTentativa(chave, limite, agora = Date.now()) {
+    const registro = this._registro(chave);
+    if (registro.bloqueadoAte > agora) {
+      return { bloqueadoAte: registro.bloqueadoAte, atrasoMs: 0 };
+    }
+
+    registro.tentativas = registro.tentativas.filter(t => agora - t < this.janelaMs);
+    registro.tentativas.push(agora);
+    const total = registro.tentativas.length;
+
+    if (total > limite.maximo) {
+      registro.bloqueadoAte = agora + this.bloqueioMs;
+      registro.tentativas = [];
+      logger.warn(`🚫 ${chave} bloqueado até ${new Date(registro.bloqueadoAte).toISOString()} (${total} tentativas na janela).`);
+      return { bloqueadoAte: registro.bloqueadoAte, atrasoMs: 0 };
+    }
+
+    const excedente = total - limite.atrasoApos;
+    const atrasoMs = excedente > 0
+      ? Math.min(this.atrasoBaseMs * Math.pow(2, excedente - 1), this.atrasoMaximoMs)
+      : 0;
+    return { bloqueadoAte: 0, atrasoMs };
+  }
+
+  /**
+   * Segura a resposta (qualquer que seja: json, send, arquivo ou stream) até o tempo mínimo desde o
+   * início da requisição. O que for escrito antes disso fica na fila e sai de uma vez quando o prazo vence;
+   * quem escreve em stream (pipe) recebe false e espera o "drain".
+   */
+  _igualarTempoDeResposta(res, inicio) {
+    const liberarEm = inicio + this.tempoMinimoRespostaMs;
+    const write = res.write;
+    const end = res.end;
+    const fila = [];
+    let temporizador = null;
+
+    const restaurar = () => {
+      res.write = write;
+      res.end = end;
+    };
+    const liberar = () => {
+      restaurar();
+      let livre = true;
+      for (const { metodo, args } of fila) {
+        if (metodo === 'end') end.apply(res, args);
+        else livre = write.apply(res, args);
+      }
+      if (livre && !res.writableEnded) res.emit('drain');
+    };
+    const enfileirar = (metodo) => (...args) => {
+      if (!temporizador && Date.now() >= liberarEm) {
+        restaurar();
+        return (metodo === 'end' ? end : write).apply(res, args);
+      }
+      fila.push({ metodo, args });
+      if (!temporizador) temporizador = this.esperar(liberarEm - Date.now()).then(liberar);
+      return metodo === 'end' ? res : false;
+    };
+
+    res.write = enfileirar('write');
+    res.end = enfileirar('end');
+  }
+
+  /**
+   * IP do cliente. Se chegou X-Forwarded-For mas o Express não o considerou (TRUST_PROXY não cobre o proxy),
+   * todos os clientes caem no IP do proxy: avisa uma vez para que a configuração seja corrigida.
+   */
+  _ipDoCliente(req) {
+    const ip = req.ip || req.socket?.remoteAddress || 'desconhecido';
+    if (!this.avisoProxyEmitido && req.get('x-forwarded-for') && ip === req.socket?.remoteAddress) {
+      this.avisoProxyEmitido = true;
+      logger.warn(`⚠️ Requisição com X-Forwarded-For vinda de ${ip}, que não é um proxy confiável: o limite por IP vai contar todos os clientes desse proxy juntos. Ajuste TRUST_PROXY.`);
+    }
+    return ip;
+  }
+
+  /**
+   * @param {object} [opcoes]
+   * @param {boolean|Function} [opcoes.contar=true] - false nas rotas de recursos: não registram
+   *   tentativas, só recusam IP/CPF já bloqueados. Também aceita (req) => boolean, para decidir por requisição.
+   */
+  middleware({ contar = true } = {}) {
+    return async (req, res, next) => {
+      const inicio = Date.now();
+      this._limparExpirados(inicio);
+
+      const ip = this._ipDoCliente(req);
+      const documentoInformado = req.params?.documento || req.body?.documento || req.body?.cpf || req.query?.documento || req.query?.cpf || req.query?.cnpj;
+      const cpf = documentoInformado ? String(documentoInformado).toUpperCase().replace(/[^\dA-Z]/g, '') : null;
+
+      const chaves = [[`ip:${ip}`, this.limites.ip], ...(cpf ? [[`cpf:${cpf}`, this.limites.cpf]] : [])];
+      const resultados = (typeof contar === 'function' ? contar(req) : contar)
+        ? chaves.map(([chave, limite]) => this.registrarTentativa(chave, limite, inicio))
+        : chaves.map(([chave]) => ({ bloqueadoAte: this.bloqueioAtivo(chave, inicio), atrasoMs: 0 }));
+
+      this._igualarTempoDeResposta(res, inicio);
+
+      const bloqueadoAte = Math.max(...resultados.map(r => r.bloqueadoAte));
+      if (bloqueadoAte > inicio) {
+        const segundos = Math.ceil((bloqueadoAte - inicio) / 1000);
+        res.set('Retry-After', String(segundos));
+        return res.status(429).json({ erro: 'Muitas consultas em pouco tempo. Tente novamente mais tarde.', tente_novamente_em: segundos });
+      }
+
+      const atrasoMs = Math.max(...resultados.map(r => r.atrasoMs));
+      if (atrasoMs > 0) {
+        logger.warn(`🐢 Atrasando consulta de ${ip} em ${atrasoMs}ms (limite progressivo).`);
+        await this.esperar(atrasoMs);
+      }
+      return next();
+    };
+  }
+}
+
+module.exports = new LimitadorConsultas();
+module.exports.LimitadorConsultas = LimitadorConsultas;
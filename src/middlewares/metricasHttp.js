@@ -0,0 +1,23 @@
+// src/middlewares/metricasHttp.js
+// Conta as requisições e mede o tempo de resposta por rota (o padrão da rota, ex.:
+// /api/boletos/boleto/:invoiceId, e não a URL com o id, para não criar uma série por boleto).
+const metricas = require('../utilitarios/metricas');
+const servicoTenants = require('../servicos/servicoTenants');
+
+const rotaDaRequisicao = (req) => {
+  if (req.route) return (req.route.path === '/' && req.baseUrl) ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+  // Respondida por um middleware do roteador (ex.: 401 da chave administrativa) ou sem rota (404)
+  return req.baseUrl ? `${req.baseUrl}/*` : 'nao_encontrada';
+};
+
+const metricasHttp = (req, res, next) => {
+  const fimCronometro = metricas.duracaoHttp.startTimer();
+  res.on('finish', () => {
+    const rotulos = { tenant: servicoTenants.multiTenant() ? (req.tenant?.id || '') : '', method: req.method, route: rotaDaRequisicao(req), status: String(res.statusCode) };
+    fimCronometro(rotulos);
+    metricas.requisicoesHttp.inc(rotulos);
+  });
+  next();
+};
+
+module.exports = metricasHttp;
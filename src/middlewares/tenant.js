@@ -0,0 +1,58 @@
+// src/middlewares/tenant.js
+// Descobre a conta da Cora (tenant) de cada requisição, nesta ordem: prefixo do caminho
+// (/t/<tenant>/api/...), header X-Tenant-Id (TENANT_HEADER) e subdomínio. O restante do atendimento
+// roda no contexto do tenant (servicoTenants.executarNoTenant). Com uma conta só, nada muda.
+const servicoTenants = require('../servicos/servicoTenants');
+const logger = require('../utilitarios/logger');
+
+const PREFIXO = /^\/t\/([^/?]+)(.*)$/;
+
+const lerBooleano = (valor) => ['true', '1', 'sim'].includes(String(valor).toLowerCase());
+
+const identificarTenant = (req, res, next) => {
+  if (!servicoTenants.multiTenant()) {
+    req.tenant = servicoTenants.atual();
+    return next();
+  }
+
+  let id = null;
+  const prefixo = PREFIXO.exec(req.url);
+  if (prefixo) {
+    id = decodeURIComponent(prefixo[1]);
+    // As rotas não conhecem o prefixo: /t/escola/api/boletos/... segue como /api/boletos/...
+    req.url = prefixo[2].startsWith('/') ? prefixo[2] : `/${prefixo[2]}`;
+  } else {
+    id = req.get(servicoTenants.cabecalho) || null;
+  }
+
+  let tenant;
+  if (id) {
+    tenant = servicoTenants.obter(id);
+    if (!tenant) {
+      logger.warn(`⚠️ Tenant desconhecido: "${id}" (${req.method} ${req.originalUrl}).`);
+      return res.status(404).json({ erro: 'Tenant não encontrado.' });
+    }
+  } else {
+    tenant = servicoTenants.porSubdominio(req.hostname);
+  }
+
+  req.tenant = tenant || null;
+  if (!tenant) return next();
+  return servicoTenants.executarNoTenant(tenant, next);
+};
+
+/**
+ * Para as rotas que falam com a Cora: sem tenant identificado, usa o padrão; sem padrão, 400.
+ * A busca em todas as contas (?todos_tenants=true) dispensa o tenant.
+ */
+const exigirTenant = (req, res, next) => {
+  if (req.tenant) return next();
+  if (servicoTenants.multiTenant() && lerBooleano(req.query.todos_tenants)) return next();
+  if (!servicoTenants.padrao) {
+    return res.status(400).json({ erro: `Tenant não informado. Use o header ${servicoTenants.cabecalho}, o subdomínio ou o prefixo /t/<tenant>.` });
+  }
+  req.tenant = servicoTenants.padrao;
+  return servicoTenants.executarNoTenant(req.tenant, next);
+};
+
+module.exports = { identificarTenant, exigirTenant };
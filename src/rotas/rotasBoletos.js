@@ -1,15 +1,58 @@
 const express = require('express');
 const router = express.Router(); // Alterado de 'rota' para 'router' por convenção
 const controladorBoletos = require('../controladores/controladorBoletos');
+const limitadorConsultas = require('../middlewares/limitadorConsultas');
+const servicoTenants = require('../servicos/servicoTenants');
+const linksAssinados = require('../utilitarios/linksAssinados');
 
-// Rota para consultar boletos por CPF
+// Limite por IP/CPF e tempo de resposta uniforme nas rotas públicas. Toda rota que recebe um CPF/CNPJ
+// conta tentativas (a resposta revela se há boletos ou quem é o titular); só o PDF aberto pelo link
+// assinado da consulta não conta, e ainda assim respeita os bloqueios
+const limitar = limitadorConsultas.middleware();
+const linkAssinadoValido = (req) => Boolean(req.query.token)
+  && linksAssinados.verificar(req.query.token, req.params.invoiceId, servicoTenants.atual().id) === 'VALIDO';
+const limitarPdf = limitadorConsultas.middleware({ contar: req => !linkAssinadoValido(req) });
+
+// Rota para consultar um único boleto pelo id, desde que o CPF/CNPJ informado seja o do titular
+// Método: GET
+// Endpoint: /boleto/:invoiceId?documento=123.456.789-00 (também aceita ?cpf= ou ?cnpj=; será prefixado por /api/boletos no servidor.js)
+router.get('/boleto/:invoiceId', limitar, controladorBoletos.consultarBoletoPorId);
+
+// Rota para gerar a imagem do QR Code PIX de um boleto (mesma checagem de CPF/CNPJ)
+// Método: GET
+// Endpoint: /boleto/:invoiceId/qrcode?documento=123.456.789-00&formato=png|svg
+router.get('/boleto/:invoiceId/qrcode', limitar, controladorBoletos.gerarQrCodePix);
+
+// Rota para baixar o PDF de um boleto pela API (link assinado da consulta ou checagem de CPF/CNPJ; o link da Cora não é exposto)
+// Método: GET
+// Endpoint: /boleto/:invoiceId/pdf?token=<link assinado da consulta> ou ?documento=123.456.789-00
+router.get('/boleto/:invoiceId/pdf', limitarPdf, controladorBoletos.baixarPdfBoleto);
+
+// Rota para um único PDF com todos os boletos em aberto de um CPF ou CNPJ, com folha de rosto
+// Método: GET
+// Endpoint: /:documento/pdf (será prefixado por /api/boletos no servidor.js)
+// Também disponível via POST /boletos-pdf com corpo { "documento": "123.456.789-00" }
+router.get('/:documento/pdf', limitar, controladorBoletos.baixarPdfUnificado);
+router.post('/boletos-pdf', express.json(), limitar, controladorBoletos.baixarPdfUnificado);
+
+// Rota para o histórico de pagamentos (boletos pagos e totais por ano) de um CPF ou CNPJ
+// Método: GET
+// Endpoint: /:documento/pagamentos (será prefixado por /api/boletos no servidor.js)
+// Também disponível via POST /historico-pagamentos com corpo { "documento": "123.456.789-00" }
+router.get('/:documento/pagamentos', limitar, controladorBoletos.consultarHistoricoPagamentos);
+router.post('/historico-pagamentos', express.json(), limitar, controladorBoletos.consultarHistoricoPagamentos);
+
+// Rota para consultar boletos por CPF ou CNPJ (numérico ou alfanumérico)
 // Método: POST
 // Endpoint: /consultar-boletos (será prefixado por /api/boletos no servidor.js)
-// Corpo da requisição (JSON): { "cpf": "123.456.789-00" }
-router.get("/:cpf", (req, res) => {
-  req.body = { cpf: req.params.cpf };
+// Corpo da requisição (JSON): { "cpf": "123.456.789-00" } ou { "documento": "12.ABC.345/01DE-35" }
+// Filtros opcionais (query string ou corpo): status=open,late,paid,cancelled, vencimento_inicio=AAAA-MM-DD,
+// vencimento_fim=AAAA-MM-DD, a_vencer=proximo|todos, ordem=asc|desc, pagina, por_pagina (até 100).
+// Sem filtros, devolve os atrasados e o próximo a vencer; a resposta traz pagination e summary.
+router.get("/:documento", limitar, (req, res) => {
+  req.body = { documento: req.params.documento };
   return controladorBoletos.consultarBoletos(req, res);
 });
-router.post('/consultar-boletos', controladorBoletos.consultarBoletos);
+router.post('/consultar-boletos', express.json(), limitar, controladorBoletos.consultarBoletos);
 
 module.exports = router;
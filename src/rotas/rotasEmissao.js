@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const controladorEmissao = require('../controladores/controladorEmissao');
+const autenticacaoAdmin = require('../middlewares/autenticacaoAdmin');
+
+// Emissão, cancelamento e segunda via de boletos e carnês são administrativos: exige a chave de API (X-API-Key ou Authorization: Bearer)
+router.use(autenticacaoAdmin);
+
+// Rota para emitir um novo boleto na Cora
+// Método: POST
+// Endpoint: /boletos (será prefixado por /api/emissao no servidor.js)
+// Headers: Idempotency-Key: <uuid> (obrigatório; repetir a mesma chave nunca gera outra cobrança)
+// Corpo da requisição (JSON): { "customer": { "name", "document", "email" }, "services": [{ "name", "amount_cents" }],
+//   "due_date": "2025-12-10", "fine": { "rate": 2 }, "interest": { "rate": 1 }, "discount": { "type": "FIXED", "value": 500 },
+//   "payment_forms": ["BANK_SLIP", "PIX"] }
+router.post('/boletos', express.json(), controladorEmissao.emitirBoleto);
+
+// Rota para cancelar um boleto em aberto ou atrasado
+// Método: POST
+// Endpoint: /boletos/:invoiceId/cancelar
+// Corpo da requisição (JSON, opcional): { "reason": "Matrícula trancada" }
+router.post('/boletos/:invoiceId/cancelar', express.json(), controladorEmissao.cancelarBoleto);
+
+// Rota para emitir a segunda via de um boleto com novo vencimento (o antigo é cancelado depois que o novo existe)
+// Método: POST
+// Endpoint: /boletos/:invoiceId/segunda-via
+// Corpo da requisição (JSON): { "due_date": "2025-10-20", "update_amount": true, "reason": "Renegociado com o aluno" }
+// update_amount inclui a multa e os juros acumulados até hoje como um item do novo boleto
+router.post('/boletos/:invoiceId/segunda-via', express.json(), controladorEmissao.emitirSegundaVia);
+
+// Rota para criar um carnê (plano de parcelas) e emitir todas as parcelas na Cora
+// Método: POST
+// Endpoint: /carnes
+// Headers: Idempotency-Key: <uuid> (repetir a chave retoma o mesmo carnê em vez de criar outro)
+// Corpo da requisição (JSON): { "customer": {...}, "course": "Graduação Em Teologia", "installments": 20,
+//   "installment_amount_cents": 9990 (ou "total_amount_cents"), "first_due_date": "2025-03-10", "due_day": 10,
+//   "fine": { "rate": 2 }, "interest": { "rate": 1 }, "discount": { "type": "FIXED", "value": 500, "days_before_due": 0 } }
+router.post('/carnes', express.json(), controladorEmissao.criarCarne);
+
+// Rota para listar os carnês (opcionalmente de um documento: ?documento=...)
+// Método: GET
+// Endpoint: /carnes
+router.get('/carnes', controladorEmissao.listarCarnes);
+
+// Rota para consultar um carnê com a situação de cada parcela (PAID, OPEN, LATE, CANCELLED, NOT_ISSUED)
+// Método: GET
+// Endpoint: /carnes/:carneId
+router.get('/carnes/:carneId', controladorEmissao.consultarCarne);
+
+// Rota para retomar a emissão de um carnê interrompido (só emite as parcelas pendentes)
+// Método: POST
+// Endpoint: /carnes/:carneId/retomar
+router.post('/carnes/:carneId/retomar', controladorEmissao.retomarCarne);
+
+module.exports = router;
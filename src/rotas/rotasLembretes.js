@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const controladorLembretes = require('../controladores/controladorLembretes');
+const autenticacaoAdmin = require('../middlewares/autenticacaoAdmin');
+
+// Todas as rotas de lembretes exigem a chave administrativa (X-API-Key ou Authorization: Bearer)
+router.use(autenticacaoAdmin);
+
+// Rota para executar uma rodada de lembretes de vencimento e avisos de atraso agora
+// Método: POST
+// Endpoint: /executar?dry_run=true&data_referencia=2025-06-10 (será prefixado por /api/lembretes no servidor.js)
+router.post('/executar', express.json(), controladorLembretes.executarLembretes);
+
+// Rota para consultar o registro de lembretes já enviados
+// Método: GET
+// Endpoint: /envios?invoice_id=...&limite=100
+router.get('/envios', controladorLembretes.listarEnvios);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const controladorRelatorios = require('../controladores/controladorRelatorios');
+const autenticacaoAdmin = require('../middlewares/autenticacaoAdmin');
+
+// Todas as rotas de relatório exigem a chave administrativa (X-API-Key ou Authorization: Bearer)
+router.use(autenticacaoAdmin);
+
+// Rota para o relatório de inadimplência (aging) agrupado por documento do cliente
+// Método: GET
+// Endpoint: /inadimplencia?inicio=2025-01-01&fim=2025-12-31&status=OPEN,LATE&formato=json|csv (será prefixado por /api/relatorios no servidor.js)
+router.get('/inadimplencia', controladorRelatorios.relatorioInadimplencia);
+
+// Mesmo relatório já em CSV (atalho para abrir direto na planilha)
+// Método: GET
+// Endpoint: /inadimplencia.csv?inicio=...&fim=...&status=...
+router.get('/inadimplencia.csv', controladorRelatorios.relatorioInadimplencia);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const controladorSaude = require('../controladores/controladorSaude');
+
+// Rota de liveness: o processo está respondendo (não consulta a Cora)
+// Método: GET
+// Endpoint: / (será prefixado por /saude no servidor.js)
+router.get('/', controladorSaude.vivo);
+
+// Rota de readiness: certificado válido, token da Cora obtido e API da Cora respondendo (503 se não)
+// Método: GET
+// Endpoint: /pronto
+router.get('/pronto', controladorSaude.pronto);
+
+module.exports = router;
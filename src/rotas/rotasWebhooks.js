@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const controladorWebhooks = require('../controladores/controladorWebhooks');
+
+// Guarda o corpo bruto para conferir a assinatura HMAC do webhook
+const jsonComCorpoBruto = express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+});
+
+// Rota que recebe os eventos de invoice da Cora (pago, cancelado, atrasado...)
+// Método: POST
+// Endpoint: /cora (será prefixado por /api/webhooks no servidor.js)
+// Autenticação: header de assinatura HMAC-SHA256 ou ?token=<CORA_WEBHOOK_SECRET>
+router.post('/cora', jsonComCorpoBruto, controladorWebhooks.receberEventoCora);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// src/servicos/canalEmail.js
+// Canal de lembretes por e-mail (SMTP). Interface de canal usada pelo servicoLembretes:
+//   nome                          -> identificador gravado no registro de envios
+//   destinatario(details)         -> endereço do pagador no invoice bruto, ou null
+//   enviar({ destinatario, assunto, texto, html }) -> Promise<{ id }>
+const nodemailer = require('nodemailer');
+const logger = require('../utilitarios/logger');
+
+class CanalEmail {
+  /**
+   * @param {object} [opcoes] - Padrão: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS e LEMBRETES_REMETENTE.
+   */
+  constructor(opcoes = {}) {
+    this.nome = 'email';
+    this.host = opcoes.host || process.env.SMTP_HOST;
+    this.porta = opcoes.porta || parseInt(process.env.SMTP_PORT, 10) || 587;
+    this.seguro = opcoes.seguro ?? process.env.SMTP_SECURE === 'true';
+    this.usuario = opcoes.usuario || process.env.SMTP_USER || null;
+    this.senha = opcoes.senha || process.env.SMTP_PASS || null;
+    this.remetente = opcoes.remetente || process.env.LEMBRETES_REMETENTE || this.usuario;
+    this.transporte = null;
+  }
+
+  _obterTransporte() {
+    if (!this.transporte) {
+      this.transporte = nodemailer.createTransport({
+        host: this.host,
+        port: this.porta,
+        secure: this.seguro,
+        ...(this.usuario ? { auth: { user: this.usuario, pass: this.senha } } : {})
+      });
+    }
+    return this.transporte;
+  }
+
+  destinatario(details) {
+    const email = details?.customer?.email;
+    return email && /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email) ? email.trim() : null;
+  }
+
+  async enviar({ destinatario, assunto, texto, html }) {
+    const info = await this._obterTransporte().sendMail({
+      from: this.remetente,
+      to: destinatario,
+      subject: assunto,
+      text: texto,
+      html
+    });
+    logger.debug(`📧 E-mail aceito pelo servidor SMTP (${info.messageId}).`);
+    return { id: info.messageId };
+  }
+}
+
+module.exports = { CanalEmail };
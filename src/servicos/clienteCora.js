@@ -0,0 +1,227 @@
+// src/servicos/clienteCora.js
+// Cliente HTTP único para a API da Cora: timeout padrão, retentativas com backoff e jitter em
+// requisições idempotentes (respeitando Retry-After), renovação do token em 401 e circuit breaker.
+const axios = require('axios');
+const logger = require('../utilitarios/logger');
+const metricas = require('../utilitarios/metricas');
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const lerInteiro = (nome, padrao) => {
+  const valor = parseInt(process.env[nome], 10);
+  return Number.isFinite(valor) ? valor : padrao;
+};
+
+class CoraIndisponivelError extends Error {
+  constructor(message, retryAfterSegundos) {
+    super(message);
+    this.name = 'CoraIndisponivelError';
+    this.status = 503;
+    this.retryAfterSegundos = retryAfterSegundos;
+  }
+}
+
+class ClienteCora {
+  /**
+   * @param {object} opcoes
+   * @param {string} [opcoes.tenant] - Rótulo da conta nas métricas.
+   * @param {string} opcoes.baseUrl - URL base da API da Cora.
+   * @param {Function} opcoes.obterAgente - async () => https.Agent com o certificado mTLS.
+   * @param {Function} opcoes.obterToken - async (forcarRenovacao) => access token.
+   */
+  constructor({ tenant = '', baseUrl, obterAgente, obterToken }) {
+    this.tenant = tenant;
+    this.baseUrl = String(baseUrl || '').replace(/\/$/, '');
+    this.obterAgente = obterAgente;
+    this.obterToken = obterToken;
+
+    this.timeoutMs = lerInteiro('CORA_HTTP_TIMEOUT_MS', 20000);
+    this.maxTentativas = lerInteiro('CORA_HTTP_MAX_TENTATIVAS', 3);
+    this.backoffBaseMs = lerInteiro('CORA_HTTP_BACKOFF_BASE_MS', 300);
+    this.backoffMaximoMs = lerInteiro('CORA_HTTP_BACKOFF_MAX_MS', 10000);
+
+    this.ultimo429Em = null; // usado para reduzir a concorrência de quem chama
+
+    this.circuito = {
+      estado: 'fechado', // fechado | aberto | meio-aberto
+      falhasConsecutivas: 0,
+      abertoAte: 0,
+      sondaEmAndamento: false, // meio-aberto: só uma requisição testa a Cora por vez
+      limiteFalhas: lerInteiro('CORA_CIRCUITO_LIMITE_FALHAS', 5),
+      tempoAbertoMs: lerInteiro('CORA_CIRCUITO_TEMPO_ABERTO_MS', 30000)
+    };
+  }
+
+  // ---------- circuit breaker ----------
+
+  /**
+   * Barra a requisição com o circuito aberto. No meio-aberto, deixa passar uma única requisição de
+   * teste (a sonda) e barra as demais até ela terminar.
+   * @returns {boolean} - true se esta requisição é a sonda (quem chama libera com _liberarSonda).
+   * @throws {CoraIndisponivelError}
+   */
+  _verificarCircuito() {
+    const c = this.circuito;
+    if (c.estado === 'fechado') return false;
+    if (c.estado === 'aberto') {
+      if (Date.now() < c.abertoAte) {
+        const segundos = Math.ceil((c.abertoAte - Date.now()) / 1000);
+        throw new CoraIndisponivelError('API da Cora temporariamente indisponível. Tente novamente em instantes.', segundos);
+      }
+      c.estado = 'meio-aberto';
+      logger.info('🔌 Circuito da Cora meio-aberto: testando uma requisição.');
+    }
+    if (c.sondaEmAndamento) {
+      throw new CoraIndisponivelError('API da Cora temporariamente indisponível. Tente novamente em instantes.', 1);
+    }
+    c.sondaEmAndamento = true;
+    return true;
+  }
+
+  _liberarSonda() {
+    this.circuito.sondaEmAndamento = false;
+  }
+
+  _registrarSucesso() {
+    const c = this.circuito;
+    if (c.estado !== 'fechado') logger.info('🔌 Circuito da Cora fechado novamente.');
+    c.estado = 'fechado';
+    c.falhasConsecutivas = 0;
+  }
+
+  _registrarFalha() {
+    const c = this.circuito;
+    c.falhasConsecutivas++;
+    if (c.estado === 'meio-aberto' || c.falhasConsecutivas >= c.limiteFalhas) {
+      c.estado = 'aberto';
+      c.abertoAte = Date.now() + c.tempoAbertoMs;
+      logger.error(`🔌 Circuito da Cora ABERTO por ${c.tempoAbertoMs}ms após ${c.falhasConsecutivas} falhas consecutivas.`);
+    }
+  }
+
+  // ---------- retentativas ----------
+
+  /**
+   * Falhas transitórias: sem resposta (rede/timeout), 408, 429 e 5xx.
+   */
+  _ehRetentavel(error) {
+    const status = error.response?.status;
+    if (!status) return true;
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Falhas que indicam indisponibilidade da Cora (contam para o circuit breaker). 429 não conta.
+   */
+  _ehFalhaDeDisponibilidade(error) {
+    const status = error.response?.status;
+    return !status || status >= 500;
+  }
+
+  /**
+   * Tempo até a próxima tentativa: Retry-After (segundos ou data HTTP) quando houver,
+   * senão backoff exponencial com "full jitter".
+   */
+  _calcularEspera(tentativa, retryAfter) {
+    if (retryAfter != null) {
+      const segundos = Number(retryAfter);
+      const ms = Number.isFinite(segundos) ? segundos * 1000 : new Date(retryAfter).getTime() - Date.now();
+      if (Number.isFinite(ms) && ms >= 0) return Math.min(ms, this.backoffMaximoMs);
+    }
+    const teto = Math.min(this.backoffBaseMs * Math.pow(2, tentativa - 1), this.backoffMaximoMs);
+    return Math.floor(Math.random() * teto);
+  }
+
+  /**
+   * Executa uma requisição à Cora.
+   * @param {object} opcoes
+   * @param {string} [opcoes.metodo='GET']
+   * @param {string} opcoes.caminho - Ex.: '/v2/invoices'.
+   * @param {object} [opcoes.params] - Query string.
+   * @param {*} [opcoes.dados] - Corpo da requisição.
+   * @param {object} [opcoes.headers]
+   * @param {boolean} [opcoes.autenticar=true] - Envia o Bearer token (e renova uma vez em 401).
+   * @param {boolean} [opcoes.idempotente] - Permite retentativas (padrão: apenas GET).
+   * @param {number} [opcoes.timeout]
+   * @returns {Promise<import('axios').AxiosResponse>}
+   * @throws {CoraIndisponivelError} - Quando o circuito está aberto.
+   */
+  async requisitar({ metodo = 'GET', caminho, params, dados, headers = {}, autenticar = true, idempotente, timeout }) {
+    const podeRetentar = idempotente ?? metodo.toUpperCase() === 'GET';
+    let tokenRenovado = false;
+    let tentativa = 0;
+
+    while (true) {
+      tentativa++;
+      let sonda = false;
+      let inicio = null;
+      try {
+        const httpsAgent = await this.obterAgente();
+        const cabecalhos = { ...headers };
+        if (autenticar) cabecalhos.Authorization = `Bearer ${await this.obterToken(false)}`;
+        // Só depois do token: a requisição dele passa pelo mesmo circuito e não pode esbarrar na própria sonda
+        sonda = this._verificarCircuito();
+
+        inicio = Date.now();
+        const response = await axios.request({
+          method: metodo,
+          url: `${this.baseUrl}${caminho}`,
+          params,
+          data: dados,
+          headers: cabecalhos,
+          httpsAgent,
+          timeout: timeout || this.timeoutMs
+        });
+        metricas.registrarChamadaCora({ tenant: this.tenant, metodo, caminho, inicio, status: response.status });
+        this._registrarSucesso();
+        return response;
+      } catch (error) {
+        if (error instanceof CoraIndisponivelError) throw error;
+        const status = error.response?.status;
+        // Só conta o que chegou a ser enviado (não falhas ao montar o agente ou obter o token)
+        if (inicio) metricas.registrarChamadaCora({ tenant: this.tenant, metodo, caminho, inicio, status: status || error.code || 'ERRO', erro: true });
+
+        // Token expirado/revogado antes do prazo: renova uma única vez e repete
+        if (status === 401 && autenticar && !tokenRenovado) {
+          logger.warn(`🔑 401 da Cora em ${metodo} ${caminho}. Renovando token e repetindo.`);
+          tokenRenovado = true;
+          tentativa--;
+          if (sonda) {
+            this._liberarSonda();
+            sonda = false;
+          }
+          await this.obterToken(true);
+          continue;
+        }
+
+        if (status === 429) this.ultimo429Em = Date.now();
+        if (this._ehFalhaDeDisponibilidade(error)) this._registrarFalha();
+
+        if (!podeRetentar || !this._ehRetentavel(error) || tentativa >= this.maxTentativas) {
+          throw error;
+        }
+
+        const espera = this._calcularEspera(tentativa, error.response?.headers?.['retry-after']);
+        logger.warn(`🔁 ${metodo} ${caminho} falhou (${status || error.code || error.message}). Tentativa ${tentativa + 1}/${this.maxTentativas} em ${espera}ms.`);
+        await esperar(espera);
+      } finally {
+        // Sucesso fecha o circuito e falha o reabre; sem veredito (ex.: 404), a próxima requisição testa
+        if (sonda) this._liberarSonda();
+      }
+    }
+  }
+
+  get(caminho, opcoes = {}) {
+    return this.requisitar({ ...opcoes, metodo: 'GET', caminho });
+  }
+
+  post(caminho, dados, opcoes = {}) {
+    return this.requisitar({ ...opcoes, metodo: 'POST', caminho, dados });
+  }
+
+  delete(caminho, opcoes = {}) {
+    return this.requisitar({ ...opcoes, metodo: 'DELETE', caminho });
+  }
+}
+
+module.exports = { ClienteCora, CoraIndisponivelError };
@@ -0,0 +1,286 @@
+// src/servicos/credenciaisCora.js
+// Credenciais do mTLS com a Cora: carrega o par PEM (certificado + chave) ou um pacote PKCS#12
+// (.pfx/.p12), de arquivo ou de variável de ambiente, confere se a chave é a do certificado e
+// acompanha a validade, avisando no log à medida que o vencimento se aproxima.
+//
+// Fontes, na ordem (conta única, configurada pelo ambiente):
+//   PKCS#12: CORA_PFX_FILENAME (na pasta CORA_CERT_FOLDER_PATH) ou CORAPFX (base64); senha em CORA_PFX_PASSPHRASE
+//   PEM: CORA_CERT_FILENAME/CORA_KEY_FILENAME na pasta, senão CORACERT/CORAKEY; senha em CORA_PRIVATE_KEY_PASSPHRASE
+// Com várias contas (servicoTenants.js), cada tenant tem a sua instância, com as mesmas opções vindas do arquivo.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const forge = require('node-forge');
+const logger = require('../utilitarios/logger');
+const metricas = require('../utilitarios/metricas');
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+const lerInteiro = (nome, padrao) => {
+  const valor = parseInt(process.env[nome], 10);
+  return Number.isFinite(valor) ? valor : padrao;
+};
+
+class CredenciaisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CredenciaisError';
+  }
+}
+
+/**
+ * Opções da conta única, lidas das variáveis de ambiente.
+ */
+const opcoesDoAmbiente = () => ({
+  pasta: process.env.CORA_CERT_FOLDER_PATH,
+  pfxArquivo: process.env.CORA_PFX_FILENAME,
+  pfxConteudo: process.env.CORAPFX,
+  pfxSenha: process.env.CORA_PFX_PASSPHRASE ?? process.env.CORA_PRIVATE_KEY_PASSPHRASE,
+  certArquivo: process.env.CORA_CERT_FILENAME,
+  chaveArquivo: process.env.CORA_KEY_FILENAME,
+  certConteudo: process.env.CORACERT,
+  chaveConteudo: process.env.CORAKEY,
+  senhaChave: process.env.CORA_PRIVATE_KEY_PASSPHRASE,
+  caArquivo: process.env.CORA_CA_FILENAME
+});
+
+class CredenciaisCoraService {
+  /**
+   * @param {object} [opcoes] - { pasta, pfxArquivo, pfxConteudo, pfxSenha, certArquivo, chaveArquivo,
+   *   certConteudo, chaveConteudo, senhaChave, caArquivo, tenant }. Padrão: variáveis de ambiente.
+   */
+  constructor(opcoes = opcoesDoAmbiente()) {
+    this.tenant = opcoes.tenant || null;
+    this.pasta = opcoes.pasta || null;
+    this.pfxArquivo = opcoes.pfxArquivo || null;
+    this.pfxEnv = opcoes.pfxConteudo || null;
+    this.pfxSenha = opcoes.pfxSenha ?? '';
+    this.certArquivo = opcoes.certArquivo || 'certificate.pem';
+    this.chaveArquivo = opcoes.chaveArquivo || 'private_key.pem';
+    this.certEnv = opcoes.certConteudo || null;
+    this.chaveEnv = opcoes.chaveConteudo || null;
+    this.senhaChave = opcoes.senhaChave || undefined;
+    // CA adicional para validar o servidor (ex.: simulador local); sem ela, usa as CAs do sistema
+    this.caArquivo = opcoes.caArquivo || null;
+
+    // Avisa no log a partir de N dias do vencimento (e a cada verificação periódica dali em diante)
+    this.avisoDias = lerInteiro('CORA_CERT_AVISO_DIAS', 30);
+    this.intervaloVerificacaoMs = lerInteiro('CORA_CERT_VERIFICACAO_INTERVALO_MS', 12 * 60 * 60 * 1000);
+
+    this.carregamento = null;
+    this.info = null;
+    this.temporizador = null;
+
+    metricas.registrarColeta('certificado', (gauge) => {
+      if (this.info) gauge.set({ tenant: this.tenant || '' }, this._situacao().diasRestantes);
+    });
+  }
+
+  usaPkcs12() {
+    return Boolean(this.pfxArquivo || this.pfxEnv);
+  }
+
+  /**
+   * Há alguma fonte configurada para o certificado e para a chave?
+   * @returns {string[]} - Problemas de configuração (vazio se estiver tudo definido).
+   */
+  verificarConfiguracao() {
+    if (this.usaPkcs12()) {
+      return this.pfxArquivo && !this.pasta && !this.pfxEnv ? ['CORA_PFX_FILENAME exige CORA_CERT_FOLDER_PATH.'] : [];
+    }
+    const problemas = [];
+    if (!this.certEnv && !this.pasta) problemas.push('Nenhuma fonte definida para o certificado (CORACERT ou CORA_CERT_FOLDER_PATH).');
+    if (!this.chaveEnv && !this.pasta) problemas.push('Nenhuma fonte definida para a chave privada (CORAKEY ou CORA_CERT_FOLDER_PATH).');
+    return problemas;
+  }
+
+  /**
+   * Conteúdo vindo de variável de ambiente: remove aspas externas, converte "\n" literais e
+   * decodifica base64 quando não for PEM.
+   */
+  _normalizarConteudoEnv(valor) {
+    let val = String(valor).trim();
+    if ((val.startsWith('"') && val.endsWith('"')) || (val.startsWith("'") && val.endsWith("'"))) {
+      val = val.slice(1, -1);
+    }
+    if (val.includes('\\n')) val = val.replace(/\\n/g, '\n');
+    if (val.includes('-----BEGIN')) return Buffer.from(val, 'utf8');
+
+    const talvezBase64 = val.replace(/\s+/g, '');
+    if (/^[A-Za-z0-9+/=]+$/.test(talvezBase64)) return Buffer.from(talvezBase64, 'base64');
+    return Buffer.from(val, 'utf8');
+  }
+
+  /**
+   * Lê um item com prioridade para o arquivo na pasta configurada; sem arquivo, usa a variável de ambiente.
+   */
+  async _ler({ arquivo, valorEnv, nomeEnv, descricao }) {
+    if (this.pasta && arquivo) {
+      const caminho = path.join(this.pasta, arquivo);
+      try {
+        const conteudo = await fs.readFile(caminho);
+        logger.info(`🔑 ${descricao} carregado(a) do arquivo ${caminho}.`);
+        return conteudo;
+      } catch (error) {
+        logger.warn(`⚠️ Erro ao ler ${descricao} do arquivo ${caminho}: ${error.message}.${valorEnv ? ' Tentando variável de ambiente...' : ''}`);
+      }
+    }
+    if (valorEnv) {
+      logger.info(`🔑 ${descricao} carregado(a) da variável de ambiente ${nomeEnv}.`);
+      return this._normalizarConteudoEnv(valorEnv);
+    }
+    throw new CredenciaisError(`Não foi possível carregar ${descricao}. Nenhuma fonte válida encontrada (arquivo ou variável de ambiente).`);
+  }
+
+  /**
+   * Extrai certificado, chave e cadeia de um pacote PKCS#12.
+   */
+  _abrirPkcs12(conteudo) {
+    let p12;
+    try {
+      const asn1 = forge.asn1.fromDer(forge.util.createBuffer(conteudo.toString('binary')));
+      p12 = forge.pkcs12.pkcs12FromAsn1(asn1, this.pfxSenha);
+    } catch (error) {
+      throw new CredenciaisError(`Não foi possível abrir o pacote PKCS#12 (senha incorreta ou arquivo inválido): ${error.message}`);
+    }
+
+    const sacos = (tipo) => (p12.getBags({ bagType: tipo })[tipo] || []).filter(s => s.cert || s.key);
+    const chaves = [...sacos(forge.pki.oids.pkcs8ShroudedKeyBag), ...sacos(forge.pki.oids.keyBag)];
+    const certificados = sacos(forge.pki.oids.certBag);
+    if (!chaves.length) throw new CredenciaisError('O pacote PKCS#12 não contém chave privada.');
+    if (!certificados.length) throw new CredenciaisError('O pacote PKCS#12 não contém certificado.');
+
+    const chave = forge.pki.privateKeyToPem(chaves[0].key);
+    // O certificado do cliente é o que corresponde à chave; os demais formam a cadeia
+    const chavePublica = crypto.createPublicKey(chave).export({ type: 'spki', format: 'pem' });
+    const pems = certificados.map(s => forge.pki.certificateToPem(s.cert));
+    const indice = Math.max(0, pems.findIndex(pem => new crypto.X509Certificate(pem).publicKey.export({ type: 'spki', format: 'pem' }) === chavePublica));
+    const cadeia = pems.filter((_, i) => i !== indice);
+    return { cert: Buffer.from([pems[indice], ...cadeia].join('\n')), key: Buffer.from(chave) };
+  }
+
+  /**
+   * Confere o par e extrai os dados do certificado (titular, emissor, validade).
+   * @throws {CredenciaisError} - Chave ilegível (ex.: senha errada) ou de outro certificado.
+   */
+  _analisar(cert, key, senha, origem) {
+    let certificado;
+    let chave;
+    try {
+      certificado = new crypto.X509Certificate(cert);
+    } catch (error) {
+      throw new CredenciaisError(`Certificado inválido: ${error.message}`);
+    }
+    try {
+      chave = crypto.createPrivateKey({ key, passphrase: senha });
+    } catch (error) {
+      throw new CredenciaisError(`Chave privada inválida ou protegida por senha (verifique CORA_PRIVATE_KEY_PASSPHRASE): ${error.message}`);
+    }
+    if (!certificado.checkPrivateKey(chave)) {
+      throw new CredenciaisError(`A chave privada não corresponde ao certificado (${certificado.subject.replace(/\n/g, ', ')}).`);
+    }
+
+    return {
+      source: origem,
+      subject: certificado.subject.replace(/\n/g, ', '),
+      issuer: certificado.issuer.replace(/\n/g, ', '),
+      serial_number: certificado.serialNumber,
+      fingerprint_sha256: certificado.fingerprint256,
+      valid_from: new Date(certificado.validFrom).toISOString(),
+      valid_to: new Date(certificado.validTo).toISOString(),
+      days_remaining: null
+    };
+  }
+
+  /**
+   * Carrega (uma única vez) e valida as credenciais.
+   * @returns {Promise<{ cert: Buffer, key: Buffer, passphrase?: string, ca?: Buffer, info: object }>}
+   * @throws {CredenciaisError}
+   */
+  carregar() {
+    if (!this.carregamento) {
+      this.carregamento = this._carregar().catch(error => {
+        this.carregamento = null; // permite corrigir a configuração e tentar de novo
+        throw error;
+      });
+    }
+    return this.carregamento;
+  }
+
+  async _carregar() {
+    let cert;
+    let key;
+    let senha = this.senhaChave;
+    let origem;
+    if (this.usaPkcs12()) {
+      const conteudo = await this._ler({ arquivo: this.pfxArquivo, valorEnv: this.pfxEnv, nomeEnv: 'CORAPFX', descricao: 'pacote PKCS#12' });
+      ({ cert, key } = this._abrirPkcs12(conteudo));
+      senha = undefined; // a chave sai do pacote já decifrada
+      origem = 'pkcs12';
+    } else {
+      cert = await this._ler({ arquivo: this.certArquivo, valorEnv: this.certEnv, nomeEnv: 'CORACERT', descricao: 'certificado' });
+      key = await this._ler({ arquivo: this.chaveArquivo, valorEnv: this.chaveEnv, nomeEnv: 'CORAKEY', descricao: 'chave privada' });
+      origem = 'pem';
+    }
+
+    const info = this._analisar(cert, key, senha, origem);
+    const ca = (this.caArquivo && this.pasta) ? await fs.readFile(path.join(this.pasta, this.caArquivo)) : undefined;
+
+    this.info = info;
+    logger.info(`✅ Certificado da Cora carregado: ${info.subject} (emitido por ${info.issuer}), válido até ${info.valid_to.slice(0, 10)}.`);
+    this.verificarValidade();
+    return { cert, key, ...(senha ? { passphrase: senha } : {}), ca, info };
+  }
+
+  /**
+   * Recalcula os dias restantes e registra aviso/erro conforme a proximidade do vencimento.
+   * @returns {{ status: 'OK'|'EXPIRANDO'|'EXPIRADO'|'NAO_CARREGADO', days_remaining?: number, valid_to?: string }}
+   */
+  verificarValidade() {
+    if (!this.info) return { status: 'NAO_CARREGADO' };
+    const { status, diasRestantes } = this._situacao();
+    if (status === 'EXPIRADO') {
+      logger.error(`🚨 O certificado mTLS da Cora (${this.info.subject}) EXPIROU em ${this.info.valid_to.slice(0, 10)}. As chamadas à Cora vão falhar até a renovação.`);
+    } else if (status === 'EXPIRANDO') {
+      logger.warn(`⏳ O certificado mTLS da Cora (${this.info.subject}) vence em ${diasRestantes} dias (${this.info.valid_to.slice(0, 10)}). Renove-o no app da Cora.`);
+    }
+    return { status, days_remaining: diasRestantes, valid_to: this.info.valid_to };
+  }
+
+  _situacao() {
+    const diasRestantes = Math.floor((new Date(this.info.valid_to).getTime() - Date.now()) / MS_POR_DIA);
+    this.info.days_remaining = diasRestantes;
+    const status = diasRestantes < 0 ? 'EXPIRADO' : (diasRestantes <= this.avisoDias ? 'EXPIRANDO' : 'OK');
+    return { status, diasRestantes };
+  }
+
+  /**
+   * Dados do certificado carregado (ou null antes do carregamento), com o status da validade.
+   */
+  resumo() {
+    if (!this.info) return null;
+    return { ...this.info, status: this._situacao().status };
+  }
+
+  /**
+   * Carrega as credenciais agora (falhas de configuração aparecem na subida, não na primeira consulta)
+   * e repete a verificação da validade periodicamente.
+   */
+  async iniciarMonitoramento() {
+    await this.carregar();
+    if (this.temporizador) return;
+    this.temporizador = setInterval(() => this.verificarValidade(), this.intervaloVerificacaoMs);
+    this.temporizador.unref();
+  }
+
+  pararMonitoramento() {
+    if (this.temporizador) clearInterval(this.temporizador);
+    this.temporizador = null;
+  }
+}
+
+module.exports = { CredenciaisCoraService, CredenciaisError, opcoesDoAmbiente };
@@ -0,0 +1,36 @@
+// src/servicos/eventosBoletos.js
+// Barramento interno de eventos de boletos. Os webhooks da Cora publicam aqui e o resto da
+// aplicação (servicoCora, cache, notificações...) escuta sem depender do controlador HTTP.
+const { EventEmitter } = require('events');
+
+const EVENTOS = {
+  QUALQUER: 'boleto:evento',
+  PAGO: 'boleto:pago',
+  CANCELADO: 'boleto:cancelado',
+  ATRASADO: 'boleto:atrasado',
+  ABERTO: 'boleto:aberto'
+};
+
+class EventosBoletos extends EventEmitter {
+  constructor() {
+    super();
+    this.EVENTOS = EVENTOS;
+  }
+
+  /**
+   * Publica um evento normalizado ({ id, tenant, tipo, status, invoiceId, ocorridoEm, payload }).
+   * Sempre emite o evento genérico e, se o status for conhecido, o evento específico.
+   */
+  publicar(evento) {
+    this.emit(EVENTOS.QUALQUER, evento);
+    const especifico = {
+      PAID: EVENTOS.PAGO,
+      CANCELLED: EVENTOS.CANCELADO,
+      LATE: EVENTOS.ATRASADO,
+      OPEN: EVENTOS.ABERTO
+    }[evento.status];
+    if (especifico) this.emit(especifico, evento);
+  }
+}
+
+module.exports = new EventosBoletos();
@@ -0,0 +1,166 @@
+// src/servicos/servicoCache.js
+// Cache com stale-while-revalidate. O backend padrão é em memória; qualquer objeto com a mesma
+// interface assíncrona (get/set/delete/clear) pode ser plugado via usarBackend() — ex.: Redis.
+
+const logger = require('../utilitarios/logger');
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+/**
+ * Backend em memória (Map com expiração e limite de entradas, descartando as mais antigas).
+ * Interface esperada de qualquer backend:
+ *   get(chave) -> Promise<{ valor, criadoEm } | null>
+ *   set(chave, entrada, ttlMs) -> Promise<void>
+ *   delete(chave) -> Promise<void>
+ *   clear() -> Promise<void>
+ */
+class CacheMemoria {
+  constructor(maxEntradas = 5000) {
+    this.maxEntradas = maxEntradas;
+    this.entradas = new Map(); // chave -> { entrada, expiraEm }
+  }
+
+  async get(chave) {
+    const item = this.entradas.get(chave);
+    if (!item) return null;
+    if (Date.now() > item.expiraEm) {
+      this.entradas.delete(chave);
+      return null;
+    }
+    return item.entrada;
+  }
+
+  async set(chave, entrada, ttlMs) {
+    this.entradas.delete(chave);
+    this.entradas.set(chave, { entrada, expiraEm: Date.now() + ttlMs });
+    while (this.entradas.size > this.maxEntradas) {
+      this.entradas.delete(this.entradas.keys().next().value);
+    }
+  }
+
+  async delete(chave) {
+    this.entradas.delete(chave);
+  }
+
+  async clear() {
+    this.entradas.clear();
+  }
+}
+
+class CacheService {
+  constructor() {
+    this.habilitado = process.env.CORA_CACHE_ENABLED !== 'false';
+    this.staleMs = parseInt(process.env.CORA_CACHE_STALE_MS, 10) || 10 * 60 * 1000;
+    this.backend = new CacheMemoria(parseInt(process.env.CORA_CACHE_MAX_ENTRIES, 10) || 5000);
+    this.emAndamento = new Map(); // chave -> Promise do carregamento em curso
+    // chave -> { geracao, carregando }, só enquanto houver carregamento da chave em curso. invalidar()
+    // avança a geração, e o carregamento iniciado antes dela não grava o resultado
+    this.geracoes = new Map();
+  }
+
+  /**
+   * Troca o backend (ex.: adaptador Redis com a mesma interface do CacheMemoria).
+   */
+  usarBackend(backend) {
+    this.backend = backend;
+    this._descartarCarregamentos();
+  }
+
+  _descartarCarregamentos() {
+    for (const controle of this.geracoes.values()) controle.geracao++;
+    this.emAndamento.clear();
+  }
+
+  /**
+   * Executa o carregador uma única vez por chave, mesmo com chamadas concorrentes.
+   */
+  _carregar(chave, carregador, ttlMs, staleMs) {
+    if (this.emAndamento.has(chave)) return this.emAndamento.get(chave);
+
+    const controle = this.geracoes.get(chave) || { geracao: 0, carregando: 0 };
+    controle.carregando++;
+    this.geracoes.set(chave, controle);
+    const geracao = controle.geracao;
+
+    const promessa = (async () => {
+      try {
+        const valor = await carregador();
+        if (controle.geracao === geracao) {
+          await this.backend.set(chave, { valor, criadoEm: Date.now() }, ttlMs + staleMs);
+        } else {
+          // Invalidada durante o carregamento (ex.: webhook): o valor pode ser anterior à mudança
+          logger.debug(`🗄️ Cache: ${chave} invalidada durante o carregamento; resultado não gravado.`);
+        }
+        return valor;
+      } finally {
+        if (this.emAndamento.get(chave) === promessa) this.emAndamento.delete(chave);
+        if (--controle.carregando === 0 && this.geracoes.get(chave) === controle) this.geracoes.delete(chave);
+      }
+    })();
+    this.emAndamento.set(chave, promessa);
+    return promessa;
+  }
+
+  /**
+   * Retorna o valor em cache. Dentro do TTL devolve direto; entre o TTL e TTL + stale devolve o valor
+   * antigo e revalida em segundo plano; sem entrada (ou expirada) carrega e aguarda.
+   * @param {string} chave - Chave do cache.
+   * @param {Function} carregador - Função assíncrona que busca o valor na origem.
+   * @param {{ ttlMs: number, staleMs?: number }} opcoes - Tempo de frescor e janela de stale.
+   */
+  async obter(chave, carregador, { ttlMs, staleMs = this.staleMs }) {
+    if (!this.habilitado) return carregador();
+
+    const entrada = await this.backend.get(chave);
+    if (entrada) {
+      const idade = Date.now() - entrada.criadoEm;
+      if (idade <= ttlMs) {
+        logger.debug(`🗄️ Cache HIT: ${chave}`);
+        return entrada.valor;
+      }
+      if (idade <= ttlMs + staleMs) {
+        logger.info(`🗄️ Cache STALE: ${chave}. Revalidando em segundo plano...`);
+        this._carregar(chave, carregador, ttlMs, staleMs).catch(error => {
+          logger.warn(`⚠️ Falha ao revalidar ${chave} em segundo plano: ${error.message}`);
+        });
+        return entrada.valor;
+      }
+    }
+
+    logger.debug(`🗄️ Cache MISS: ${chave}`);
+    return this._carregar(chave, carregador, ttlMs, staleMs);
+  }
+
+  async definir(chave, valor, ttlMs, staleMs = this.staleMs) {
+    if (!this.habilitado) return;
+    await this.backend.set(chave, { valor, criadoEm: Date.now() }, ttlMs + staleMs);
+  }
+
+  async ler(chave) {
+    if (!this.habilitado) return null;
+    const entrada = await this.backend.get(chave);
+    return entrada ? entrada.valor : null;
+  }
+
+  /**
+   * Remove a chave e descarta o resultado de um carregamento dela que já esteja em curso (a próxima
+   * leitura carrega de novo, em vez de esperar por ele).
+   */
+  async invalidar(chave) {
+    const controle = this.geracoes.get(chave);
+    if (controle) controle.geracao++;
+    this.emAndamento.delete(chave);
+    await this.backend.delete(chave);
+    logger.info(`🗑️ Cache invalidado: ${chave}`);
+  }
+
+  async limpar() {
+    this._descartarCarregamentos();
+    await this.backend.clear();
+  }
+}
+
+module.exports = new CacheService();
+module.exports.CacheMemoria = CacheMemoria;
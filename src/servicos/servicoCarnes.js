@@ -0,0 +1,328 @@
+// src/servicos/servicoCarnes.js
+// Carnês (planos de parcelas de um curso): descreve o plano uma vez, emite todos os invoices na Cora
+// e acompanha a situação de cada parcela. A emissão é retomável: cada parcela usa uma chave de
+// idempotência fixa (<id do carnê>:<número>), então repetir a geração nunca duplica cobranças.
+// Com vários tenants, cada carnê guarda o tenant que o criou e só é visível (e retomado) nele.
+const crypto = require('crypto');
+const path = require('path');
+const servicoCora = require('./servicoCora');
+const servicoTenants = require('./servicoTenants');
+const validadorDocumento = require('../utilitarios/validadorDocumento');
+const validadorEmissao = require('../utilitarios/validadorEmissao');
+const datasBancarias = require('../utilitarios/datasBancarias');
+const logger = require('../utilitarios/logger');
+const { ArmazenamentoJson } = require('../utilitarios/armazenamentoJson');
+const { mapearComConcorrencia } = require('../utilitarios/concorrencia');
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+const MAX_PARCELAS = 120;
+
+class CarneError extends Error {
+  constructor(message, status = 400, erros = []) {
+    super(message);
+    this.name = 'CarneError';
+    this.status = status;
+    this.erros = erros;
+  }
+}
+
+class CarneService {
+  constructor() {
+    const arquivo = process.env.CARNES_ARQUIVO || path.join(__dirname, '..', '..', 'dados', 'carnes.json');
+    this.armazenamento = new ArmazenamentoJson(arquivo, () => ({ carnes: {} }));
+    this.geracoesEmAndamento = new Map(); // id do carnê -> Promise da geração em curso
+    this.criacoesEmAndamento = new Map(); // <tenant>:<chave de idempotência> -> Promise da criação em curso
+  }
+
+  /**
+   * Carnê do tenant em vigor (os de outros tenants não são encontrados).
+   * @throws {CarneError} - 404 se não existir.
+   */
+  async _carregar(id) {
+    const carne = (await this.armazenamento.ler()).carnes[id];
+    if (!carne || !servicoTenants.pertenceAoTenant(carne.tenant_id)) throw new CarneError('Carnê não encontrado.', 404);
+    return carne;
+  }
+
+  /**
+   * Vencimento da parcela n (1 = primeira): mesmo dia do mês a cada mês, limitado ao último dia
+   * dos meses mais curtos (ex.: dia 31 vira 30/04 e 28/02).
+   */
+  _vencimentoParcela(primeiroVencimento, diaVencimento, numero) {
+    if (numero === 1) return primeiroVencimento;
+    const [ano, mes] = primeiroVencimento.split('-').map(Number);
+    const alvo = new Date(Date.UTC(ano, mes - 1 + (numero - 1), 1));
+    const ultimoDia = new Date(Date.UTC(alvo.getUTCFullYear(), alvo.getUTCMonth() + 1, 0)).getUTCDate();
+    alvo.setUTCDate(Math.min(diaVencimento, ultimoDia));
+    return alvo.toISOString().slice(0, 10);
+  }
+
+  _subtrairDias(iso, dias) {
+    const data = new Date(`${iso}T00:00:00Z`);
+    data.setUTCDate(data.getUTCDate() - dias);
+    return data.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Divide o total em parcelas iguais; os centavos que sobram vão para as primeiras parcelas.
+   */
+  _valoresParcelas(dados, quantidade) {
+    if (dados.installment_amount_cents != null) {
+      return Array(quantidade).fill(dados.installment_amount_cents);
+    }
+    const base = Math.floor(dados.total_amount_cents / quantidade);
+    const resto = dados.total_amount_cents - base * quantidade;
+    return Array.from({ length: quantidade }, (_, i) => base + (i < resto ? 1 : 0));
+  }
+
+  /**
+   * Valida o plano e calcula as parcelas (número, vencimento, valor).
+   * @throws {CarneError}
+   */
+  _montarParcelas(dados) {
+    const erros = [];
+    const quantidade = dados?.installments;
+    if (!Number.isInteger(quantidade) || quantidade < 1 || quantidade > MAX_PARCELAS) {
+      erros.push(`installments deve ser um inteiro entre 1 e ${MAX_PARCELAS}.`);
+    }
+    if (typeof dados?.course !== 'string' || !dados.course.trim()) erros.push('course é obrigatório.');
+
+    const porParcela = dados?.installment_amount_cents;
+    const total = dados?.total_amount_cents;
+    if ((porParcela != null) === (total != null)) {
+      erros.push('Informe apenas um entre installment_amount_cents e total_amount_cents.');
+    } else if (!Number.isInteger(porParcela ?? total) || (porParcela ?? total) <= 0) {
+      erros.push('O valor deve ser um inteiro positivo (centavos).');
+    } else if (total != null && Number.isInteger(quantidade) && total < quantidade) {
+      erros.push('total_amount_cents não pode ser menor que o número de parcelas.');
+    }
+
+    const primeiro = dados?.first_due_date;
+    if (typeof primeiro !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(primeiro) || isNaN(new Date(primeiro).getTime())) {
+      erros.push('first_due_date é obrigatório no formato AAAA-MM-DD.');
+    }
+    const dia = dados?.due_day ?? (primeiro ? Number(String(primeiro).slice(8, 10)) : null);
+    if (!Number.isInteger(dia) || dia < 1 || dia > 31) erros.push('due_day deve ser um dia do mês entre 1 e 31.');
+
+    const diasAntes = dados?.discount?.days_before_due;
+    if (diasAntes != null && (!Number.isInteger(diasAntes) || diasAntes < 0)) {
+      erros.push('discount.days_before_due deve ser um inteiro maior ou igual a zero.');
+    }
+    if (erros.length) throw new CarneError('Dados do carnê inválidos.', 400, erros);
+
+    const valores = this._valoresParcelas(dados, quantidade);
+    return valores.map((valor, i) => ({
+      number: i + 1,
+      due_date: this._vencimentoParcela(primeiro, dia, i + 1),
+      amount_cents: valor
+    }));
+  }
+
+  /**
+   * Dados de emissão (formato do validadorEmissao) de uma parcela do carnê. Datas absolutas de multa e
+   * desconto não fazem sentido num plano: a multa vale do dia seguinte ao vencimento e o desconto
+   * até days_before_due dias antes de cada vencimento.
+   */
+  _dadosEmissaoParcela(carne, parcela) {
+    const { date: _dataMulta, ...multa } = carne.terms.fine || {};
+    const { days_before_due: diasAntes, date: _dataDesconto, ...desconto } = carne.terms.discount || {};
+    return {
+      code: `${carne.id}-${parcela.number}`,
+      customer: carne.customer,
+      services: [{
+        name: `${carne.course} Parcela ${parcela.number}/${carne.installments.length}`,
+        ...(carne.description ? { description: carne.description } : {}),
+        amount_cents: parcela.amount_cents
+      }],
+      due_date: parcela.due_date,
+      ...(carne.terms.fine ? { fine: multa } : {}),
+      ...(carne.terms.interest ? { interest: carne.terms.interest } : {}),
+      ...(carne.terms.discount ? {
+        discount: { ...desconto, ...(diasAntes ? { date: this._subtrairDias(parcela.due_date, diasAntes) } : {}) }
+      } : {}),
+      payment_forms: carne.terms.payment_forms
+    };
+  }
+
+  _publico(carne) {
+    const contagem = (status) => carne.installments.filter(p => p.issue_status === status).length;
+    return {
+      ...carne,
+      issued: contagem('EMITIDA'),
+      pending: contagem('PENDENTE') + contagem('FALHA')
+    };
+  }
+
+  /**
+   * Cria um carnê e emite suas parcelas. Repetir a chamada com a mesma chave de idempotência
+   * não cria outro carnê: retoma a emissão do que já existe.
+   * @param {object} dados - { customer: { name, document, email? }, course, description?, installments,
+   *   installment_amount_cents | total_amount_cents, first_due_date, due_day?, fine?, interest?,
+   *   discount?: { type, value, days_before_due? }, payment_forms? }
+   * @param {string} chaveIdempotencia
+   * @returns {Promise<{ carne: object, criado: boolean }>}
+   * @throws {CarneError}
+   */
+  async criarCarne(dados, chaveIdempotencia) {
+    // Duas requisições simultâneas com a mesma chave não podem criar dois carnês
+    const emAndamento = `${servicoTenants.atual().id}:${chaveIdempotencia}`;
+    if (this.criacoesEmAndamento.has(emAndamento)) {
+      const { carne } = await this.criacoesEmAndamento.get(emAndamento);
+      return { carne, criado: false };
+    }
+    const criacao = this._criarCarne(dados, chaveIdempotencia).finally(() => this.criacoesEmAndamento.delete(emAndamento));
+    this.criacoesEmAndamento.set(emAndamento, criacao);
+    return criacao;
+  }
+
+  async _criarCarne(dados, chaveIdempotencia) {
+    const existente = Object.values((await this.armazenamento.ler()).carnes)
+      .find(c => c.idempotency_key === chaveIdempotencia && servicoTenants.pertenceAoTenant(c.tenant_id));
+    if (existente) {
+      logger.info(`♻️ Carnê ${existente.id} já criado com a chave ${chaveIdempotencia}: retomando a emissão.`);
+      return { carne: await this.gerarParcelas(existente.id), criado: false };
+    }
+
+    const parcelas = this._montarParcelas(dados);
+    const documento = validadorDocumento.validar(dados.customer?.document || dados.customer?.cpf || dados.customer?.cnpj);
+    const carne = {
+      id: `carne_${crypto.randomUUID()}`,
+      tenant_id: servicoTenants.atual().id,
+      idempotency_key: chaveIdempotencia,
+      created_at: new Date().toISOString(),
+      status: 'EMITINDO',
+      customer: {
+        name: dados.customer?.name,
+        document: documento.documento,
+        ...(dados.customer?.email ? { email: dados.customer.email } : {})
+      },
+      customer_document_type: documento.tipo,
+      course: String(dados.course).trim(),
+      description: dados.description || null,
+      terms: {
+        fine: dados.fine || null,
+        interest: dados.interest || null,
+        discount: dados.discount || null,
+        payment_forms: dados.payment_forms || ['BANK_SLIP', 'PIX']
+      },
+      installments: parcelas.map(p => ({ ...p, issue_status: 'PENDENTE', invoice_id: null, error: null }))
+    };
+
+    // Mesmas regras da emissão avulsa, conferidas em todas as parcelas antes de emitir a primeira
+    const dataReferencia = new Date();
+    const erros = new Set();
+    for (const parcela of carne.installments) {
+      const { valido, erros: errosParcela } = validadorEmissao.validar(this._dadosEmissaoParcela(carne, parcela), dataReferencia);
+      if (!valido) errosParcela.forEach(e => erros.add(e));
+    }
+    if (erros.size) throw new CarneError('Dados do carnê inválidos.', 400, [...erros]);
+
+    await this.armazenamento.atualizar(d => { d.carnes[carne.id] = carne; });
+    logger.info(`🗂️ Carnê ${carne.id} criado: ${carne.installments.length} parcelas de ${carne.course}.`);
+    return { carne: await this.gerarParcelas(carne.id), criado: true };
+  }
+
+  /**
+   * Emite as parcelas ainda não emitidas de um carnê, em ordem, gravando o progresso a cada parcela.
+   * Para na primeira falha (o carnê fica INCOMPLETO) e pode ser chamada de novo para retomar.
+   * As parcelas são sempre emitidas na conta do tenant que criou o carnê.
+   * @returns {Promise<object>} - O carnê atualizado.
+   */
+  async gerarParcelas(id) {
+    const carne = await this._carregar(id);
+    if (this.geracoesEmAndamento.has(id)) return this.geracoesEmAndamento.get(id);
+    const geracao = servicoTenants.executarNoTenant(servicoTenants.doRegistro(carne.tenant_id), () => this._gerarParcelas(id))
+      .finally(() => this.geracoesEmAndamento.delete(id));
+    this.geracoesEmAndamento.set(id, geracao);
+    return geracao;
+  }
+
+  async _gerarParcelas(id) {
+    const carne = await this._carregar(id);
+
+    for (const parcela of carne.installments) {
+      if (parcela.issue_status === 'EMITIDA') continue;
+      try {
+        const { boleto } = await servicoCora.emitirBoleto(this._dadosEmissaoParcela(carne, parcela), `${carne.id}:${parcela.number}`);
+        Object.assign(parcela, { issue_status: 'EMITIDA', invoice_id: boleto.id, error: null, issued_at: new Date().toISOString() });
+        logger.info(`✅ Carnê ${id}: parcela ${parcela.number}/${carne.installments.length} emitida (${boleto.id}).`);
+      } catch (error) {
+        Object.assign(parcela, { issue_status: 'FALHA', error: error.message });
+        logger.error(`❌ Carnê ${id}: falha ao emitir a parcela ${parcela.number}. A emissão pode ser retomada.`, { erro: error.message });
+        break;
+      } finally {
+        carne.status = carne.installments.every(p => p.issue_status === 'EMITIDA') ? 'EMITIDO'
+          : carne.installments.some(p => p.issue_status === 'FALHA') ? 'INCOMPLETO' : 'EMITINDO';
+        await this.armazenamento.atualizar(d => { d.carnes[id] = carne; });
+      }
+    }
+    return this._publico(carne);
+  }
+
+  async listarCarnes({ documento } = {}) {
+    const carnes = Object.values((await this.armazenamento.ler()).carnes)
+      .filter(c => servicoTenants.pertenceAoTenant(c.tenant_id));
+    const filtrados = documento
+      ? carnes.filter(c => c.customer.document === validadorDocumento.limpar(documento))
+      : carnes;
+    return filtrados
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(c => this._publico(c));
+  }
+
+  /**
+   * Carnê com a situação atual de cada parcela na Cora: PAID, OPEN, LATE ou CANCELLED
+   * (parcelas ainda não emitidas aparecem como NOT_ISSUED). Uma parcela em aberto só fica LATE depois
+   * do vencimento efetivo (o próximo dia útil, quando vence em fim de semana ou feriado).
+   * @param {string} id
+   * @param {object} [opcoes] - { dataReferencia } (padrão: hoje em São Paulo).
+   * @throws {CarneError} - 404 se o carnê não existir.
+   */
+  async consultarCarne(id, { dataReferencia = datasBancarias.hoje() } = {}) {
+    const carne = await this._carregar(id);
+
+    const situacoes = new Map();
+    const consultar = async (parcela) => {
+      try {
+        const details = await servicoCora.consultarDetalhesBoleto(parcela.invoice_id);
+        let status = String(details.status || '').toUpperCase();
+        if (status === 'OPEN' && datasBancarias.atrasado(parcela.due_date, dataReferencia)) status = 'LATE';
+        return { numero: parcela.number, status, total_paid_cents: details.total_paid || 0 };
+      } catch (error) {
+        logger.warn(`⚠️ Carnê ${id}: não foi possível consultar a parcela ${parcela.number} (${parcela.invoice_id}).`);
+        return { numero: parcela.number, status: 'UNKNOWN', total_paid_cents: null };
+      }
+    };
+    const emitidas = carne.installments.filter(p => p.invoice_id);
+    for await (const situacao of mapearComConcorrencia(emitidas, servicoCora.concorrenciaDetalhes, consultar)) {
+      situacoes.set(situacao.numero, situacao);
+    }
+
+    const installments = carne.installments.map(p => ({
+      ...p,
+      status: situacoes.get(p.number)?.status || 'NOT_ISSUED',
+      total_paid_cents: situacoes.get(p.number)?.total_paid_cents ?? null
+    }));
+    const resumo = {};
+    for (const p of installments) resumo[p.status] = (resumo[p.status] || 0) + 1;
+
+    return {
+      ...this._publico(carne),
+      installments,
+      summary: {
+        paid: resumo.PAID || 0,
+        open: resumo.OPEN || 0,
+        late: resumo.LATE || 0,
+        cancelled: resumo.CANCELLED || 0,
+        not_issued: resumo.NOT_ISSUED || 0,
+        unknown: resumo.UNKNOWN || 0
+      }
+    };
+  }
+}
+
+module.exports = new CarneService();
+module.exports.CarneError = CarneError;
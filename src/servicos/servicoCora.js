@@ -1,207 +1,281 @@
 // src/services/coraService.js
-const axios = require('axios');
 const https = require('https');
-const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
 const querystring = require('querystring');
+const calculadoraEncargos = require('../utilitarios/calculadoraEncargos');
+const datasBancarias = require('../utilitarios/datasBancarias');
+const pixBrCode = require('../utilitarios/pixBrCode');
+const validadorBoleto = require('../utilitarios/validadorBoleto');
+const eventosBoletos = require('./eventosBoletos');
+const servicoCache = require('./servicoCache');
+const servicoTenants = require('./servicoTenants');
+const { CredenciaisCoraService } = require('./credenciaisCora');
+const logger = require('../utilitarios/logger');
+const metricas = require('../utilitarios/metricas');
+const { ClienteCora, CoraIndisponivelError } = require('./clienteCora');
+const { mapearComConcorrencia } = require('../utilitarios/concorrencia');
+const validadorDocumento = require('../utilitarios/validadorDocumento');
+const validadorEmissao = require('../utilitarios/validadorEmissao');
 
 if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config();
 }
 
+/**
+ * Erro de emissão de boleto com o status HTTP a devolver (400 dados inválidos, 409 chave de
+ * idempotência reutilizada com outro conteúdo, 422 recusado pela Cora).
+ */
+class EmissaoError extends Error {
+  constructor(message, status = 400, erros = []) {
+    super(message);
+    this.name = 'EmissaoError';
+    this.status = status;
+    this.erros = erros;
+  }
+}
+
+/**
+ * Id de invoice fora do formato da Cora (letras, dígitos, "_" e "-"). Nunca chega à URL da API.
+ */
+class IdBoletoInvalidoError extends Error {
+  constructor(invoiceId) {
+    super('Id de boleto inválido.');
+    this.name = 'IdBoletoInvalidoError';
+    this.status = 400;
+    this.invoiceId = invoiceId;
+  }
+}
+
+const REGEX_INVOICE_ID = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * Confere o formato do id antes de ele entrar no caminho de /v2/invoices/:id (ou numa chave de cache).
+ * @returns {string} - O id, já codificado para a URL.
+ * @throws {IdBoletoInvalidoError}
+ */
+const caminhoInvoice = (invoiceId) => {
+  if (typeof invoiceId !== 'string' || !REGEX_INVOICE_ID.test(invoiceId)) {
+    throw new IdBoletoInvalidoError(invoiceId);
+  }
+  return `/v2/invoices/${encodeURIComponent(invoiceId)}`;
+};
+
+// Faixa de vencimento listada na Cora quando a consulta não pede outra
+const PERIODO_PADRAO = { start: '2020-01-01', end: '2030-12-31' };
+
 class CoraService {
-  constructor() {
+  /**
+   * Uma instância por conta da Cora (tenant), com agente HTTPS, token e cache próprios.
+   * @param {object} tenant - Configuração do tenant (ver servicoTenants.js).
+   */
+  constructor(tenant) {
+    this.tenantId = tenant.id;
+    // Conta única (configurada pelo ambiente): sem prefixo no cache e sem rótulo nas métricas
+    this.prefixoCache = tenant.implicito ? '' : `${tenant.id}:`;
+    this.rotuloMetricas = tenant.implicito ? '' : tenant.id;
     this.httpsAgent = null;
     this.token = null;
     this.tokenExpiry = null;
-    // Lê diretamente do .env
-    this.apiBaseUrl = process.env.CORA_API_BASE_URL;
-    this.clientId = process.env.CORA_CLIENT_ID;
-    this.privateKeyPassphrase = process.env.CORA_PRIVATE_KEY_PASSPHRASE;
-    this.certEnvVar = process.env.CORACERT;
-    this.keyEnvVar = process.env.CORAKEY;
-    this.certFolderPath = process.env.CORA_CERT_FOLDER_PATH; // ex: C:/node/...
-    this.certificateFilename = process.env.CORA_CERT_FILENAME || 'certificate.pem';
-    this.privateKeyFilename = process.env.CORA_KEY_FILENAME || 'private_key.pem';
+    this.apiBaseUrl = tenant.apiBaseUrl;
+    this.clientId = tenant.clientId;
+    // Certificado e chave do mTLS (PEM ou PKCS#12): ver credenciaisCora.js
+    this.credenciais = new CredenciaisCoraService(tenant.certificado || undefined);
+    // Último status conhecido via webhook (invoiceId -> { status, ocorridoEm })
+    this.statusPorWebhook = new Map();
+    // TTLs do cache: detalhes de invoice (compartilhados entre consultas) e resultado por CPF
+    this.cacheTtlDetalheMs = parseInt(process.env.CORA_CACHE_TTL_DETALHE_MS, 10) || 5 * 60 * 1000;
+    this.cacheTtlCpfMs = parseInt(process.env.CORA_CACHE_TTL_CPF_MS, 10) || 60 * 1000;
 
     // Validações básicas
     if (!this.apiBaseUrl || !this.clientId) {
-      console.error('❌ Variáveis de ambiente CORA_API_BASE_URL ou CORA_CLIENT_ID não definidas.');
+      logger.error('❌ Variáveis de ambiente CORA_API_BASE_URL ou CORA_CLIENT_ID não definidas.');
       throw new Error('Configurações essenciais da Cora API estão faltando.');
     }
-    if (!this.certEnvVar && !this.certFolderPath) {
-      console.error('❌ Nenhuma fonte definida para o certificado (CORACERT ou CORA_CERT_FOLDER_PATH).');
+    const problemasCredenciais = this.credenciais.verificarConfiguracao();
+    if (problemasCredenciais.length) {
+      problemasCredenciais.forEach(problema => logger.error(`❌ ${problema}`));
       throw new Error('Configuração do certificado da Cora API está faltando.');
     }
-    if (!this.keyEnvVar && !this.certFolderPath) {
-      console.error('❌ Nenhuma fonte definida para a chave privada (CORAKEY ou CORA_CERT_FOLDER_PATH).');
-      throw new Error('Configuração da chave privada da Cora API está faltando.');
-    }
+
+    // Consultas de detalhe simultâneas (reduzidas à metade por um tempo após um 429)
+    this.concorrenciaDetalhes = parseInt(process.env.CORA_DETALHES_CONCORRENCIA, 10) || 8;
+    this.janelaReducaoConcorrenciaMs = parseInt(process.env.CORA_DETALHES_JANELA_429_MS, 10) || 30 * 1000;
+    this.ultimoResumoBusca = null;
+    // Emissões por chave de idempotência (chave -> { hash, promessa, expiraEm }); evita cobrança duplicada em retentativas
+    this.emissoesPorChave = new Map();
+    this.ttlIdempotenciaMs = parseInt(process.env.CORA_IDEMPOTENCIA_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+    // Cliente HTTP único (timeout, retentativas, renovação do token em 401 e circuit breaker)
+    this.tokenEmAndamento = null;
+    this.cliente = new ClienteCora({
+      tenant: this.rotuloMetricas,
+      baseUrl: this.apiBaseUrl,
+      obterAgente: () => this.createHttpsAgent(),
+      obterToken: (forcarRenovacao) => this.getAccessToken(forcarRenovacao)
+    });
+    metricas.registrarColeta('circuito', (gauge) => {
+      gauge.set({ tenant: this.rotuloMetricas }, { 'fechado': 0, 'meio-aberto': 0.5, 'aberto': 1 }[this.cliente.circuito.estado] ?? 0);
+    });
+
+    eventosBoletos.on(eventosBoletos.EVENTOS.QUALQUER, (evento) => {
+      if (evento.tenant && evento.tenant !== this.tenantId) return;
+      this.atualizarBoletoPorEvento(evento).catch(error => {
+        logger.error(`❌ Erro ao aplicar evento de webhook do boleto ${evento.invoiceId}.`, { erro: error.message });
+      });
+    });
   }
 
   /**
-   * Carrega certificado/chave com prioridade para arquivo em disco (se folder definido).
-   * Normaliza conteúdo vindo da env (remove aspas, converte "\n", tenta base64).
+   * Chave do cache desta conta (o mesmo CPF pode ter boletos em mais de uma escola).
    */
-  async _loadCertOrKeyContent(type) {
-    let content = null;
-    let source = 'desconhecida';
-    const envVarContent = (type === 'cert') ? this.certEnvVar : this.keyEnvVar;
-    const filename = (type === 'cert') ? this.certificateFilename : this.privateKeyFilename;
-    const typeName = (type === 'cert') ? 'certificado' : 'chave privada';
-
-    // 1) Prioriza leitura do arquivo em disco se houver pasta configurada
-    if (this.certFolderPath) {
-      const filePath = path.join(this.certFolderPath, filename);
-      try {
-        console.log(`🔑 Tentando ler ${typeName} do arquivo: ${filePath}`);
-        content = await fs.readFile(filePath);
-        source = `arquivo (${filePath})`;
-      } catch (fileError) {
-        console.warn(`⚠️ Erro ao ler ${typeName} do arquivo ${filePath}: ${fileError.message}. Tentando variável de ambiente...`);
-      }
-    }
-
-    // 2) Se não encontrou arquivo, usa variável de ambiente (normalizando)
-    if (!content && envVarContent) {
-      console.log(`🔑 Usando conteúdo do ambiente para ${typeName}. Normalizando...`);
-      let val = String(envVarContent).trim();
-
-      // remove aspas externas se houver
-      if ((val.startsWith('"') && val.endsWith('"')) || (val.startsWith("'") && val.endsWith("'"))) {
-        val = val.slice(1, -1);
-        console.log('   -> Removidas aspas externas.');
-      }
+  _chave(chave) {
+    return `${this.prefixoCache}${chave}`;
+  }
 
-      // converte literais "\n" em quebras reais
-      if (val.includes('\\n')) {
-        val = val.replace(/\\n/g, '\n');
-        console.log('   -> Convertidos literais \\n em quebras de linha.');
-      }
+  /**
+   * Consumidor dos eventos de webhook: guarda o status mais recente de cada invoice e invalida
+   * o cache do detalhe e das consultas do documento (CPF/CNPJ) titular (boletos e histórico de pagamentos),
+   * para que a próxima consulta reflita o evento.
+   */
+  async atualizarBoletoPorEvento(evento) {
+    if (!evento || !evento.invoiceId) return;
+    if (evento.status) {
+      this.statusPorWebhook.set(evento.invoiceId, { status: evento.status, ocorridoEm: evento.ocorridoEm });
+      logger.info(`🔄 Status do boleto ${evento.invoiceId} atualizado via webhook para ${evento.status}.`);
+    }
 
-      // se contém header PEM, retorna como utf8 buffer
-      if (val.includes('-----BEGIN')) {
-        content = Buffer.from(val, 'utf8');
-        source = `variável de ambiente (CORA${type.toUpperCase()})`;
-      } else {
-        // tenta detectar base64
-        const maybeBase64 = val.replace(/\s+/g, '');
-        const base64Regex = /^[A-Za-z0-9+/=]+$/;
-        if (base64Regex.test(maybeBase64)) {
-          try {
-            const buf = Buffer.from(maybeBase64, 'base64');
-            content = buf;
-            source = `variável de ambiente (CORA${type.toUpperCase()}) base64-decoded`;
-            if (buf.toString('utf8').includes('-----BEGIN')) {
-              console.log('   -> Base64 decodificado revelou PEM.');
-            }
-          } catch (e) {
-            console.warn('   -> Falha ao decodificar base64. Tratando como UTF-8 simples.');
-            content = Buffer.from(val, 'utf8');
-            source = `variável de ambiente (CORA${type.toUpperCase()})`;
-          }
-        } else {
-          // fallback: tratar como utf8
-          content = Buffer.from(val, 'utf8');
-          source = `variável de ambiente (CORA${type.toUpperCase()})`;
-        }
-      }
+    await servicoCache.invalidar(this._chave(`detalhe:${evento.invoiceId}`));
+    const documento = validadorDocumento.limpar(evento.payload?.customer?.document?.identity) || await servicoCache.ler(this._chave(`indice:invoice:${evento.invoiceId}`));
+    if (documento) {
+      await servicoCache.invalidar(this._chave(`documento:${documento}`));
+      await servicoCache.invalidar(this._chave(`pagamentos:${documento}`));
     }
+  }
 
-    if (!content) {
-      throw new Error(`Não foi possível carregar o ${typeName}. Nenhuma fonte válida encontrada (arquivo ou variável de ambiente).`);
+  /**
+   * A listagem da Cora pode demorar a refletir um pagamento. Se um webhook já informou
+   * PAID/CANCELLED e o detalhe ainda vem OPEN/LATE, prevalece o status do webhook.
+   */
+  _aplicarStatusDeWebhook(details) {
+    const conhecido = details && this.statusPorWebhook.get(details.id);
+    if (!conhecido) return details;
+    const statusAtual = String(details.status || '').toUpperCase();
+    if (['PAID', 'CANCELLED'].includes(conhecido.status) && ['OPEN', 'LATE'].includes(statusAtual)) {
+      logger.info(`🔄 Boleto ${details.id}: status ${statusAtual} substituído por ${conhecido.status} (webhook).`);
+      return { ...details, status: conhecido.status };
+    }
+    if (statusAtual === conhecido.status || ['PAID', 'CANCELLED'].includes(statusAtual)) {
+      // A Cora já reflete o evento; não é mais preciso guardar
+      this.statusPorWebhook.delete(details.id);
     }
-    console.log(`✅ ${typeName} carregado com sucesso de: ${source}`);
-    return content;
+    return details;
   }
 
   async createHttpsAgent() {
     if (this.httpsAgent) return this.httpsAgent;
     try {
-      const cert = await this._loadCertOrKeyContent('cert');
-      const key = await this._loadCertOrKeyContent('key');
-
-      // verificação rápida se chave parece encriptada
-      try {
-        const keyStr = key.toString('utf8');
-        if (keyStr.includes('ENCRYPTED')) {
-          console.warn('🔐 A chave privada parece estar ENCRYPTED. Verifique a passphrase (CORA_PRIVATE_KEY_PASSPHRASE).');
-        }
-      } catch (e) { /* ignore */ }
-
+      const { cert, key, passphrase, ca } = await this.credenciais.carregar();
       this.httpsAgent = new https.Agent({
         cert,
         key,
-        passphrase: this.privateKeyPassphrase,
+        ca,
+        passphrase,
         rejectUnauthorized: true
       });
-      console.log('✅ HTTPS Agent criado com sucesso.');
+      logger.info('✅ HTTPS Agent criado com sucesso.');
       return this.httpsAgent;
     } catch (error) {
-      console.error('❌ Erro ao criar HTTPS Agent:', error.message);
+      logger.error('❌ Erro ao criar HTTPS Agent.', { erro: error.message });
       throw error;
     }
   }
 
-  async getAccessToken() {
+  /**
+   * Retorna o token em cache ou obtém um novo. Com forcarRenovacao (ex.: após um 401),
+   * descarta o token atual. Chamadas concorrentes compartilham a mesma renovação.
+   */
+  async getAccessToken(forcarRenovacao = false) {
+    const motivo = forcarRenovacao ? 'forcada' : (this.token ? 'expirado' : 'inicial');
+    if (forcarRenovacao) {
+      this.token = null;
+      this.tokenExpiry = null;
+    }
     if (this.token && this.tokenExpiry && new Date() < this.tokenExpiry) {
-      console.log('✅ Usando token de acesso em cache.');
+      logger.debug('✅ Usando token de acesso em cache.');
       return this.token;
     }
+    if (this.tokenEmAndamento) return this.tokenEmAndamento;
+
+    this.tokenEmAndamento = this._solicitarToken().then(token => {
+      metricas.renovacoesToken.inc({ tenant: this.rotuloMetricas, reason: motivo, result: 'sucesso' });
+      return token;
+    }, error => {
+      metricas.renovacoesToken.inc({ tenant: this.rotuloMetricas, reason: motivo, result: 'falha' });
+      throw error;
+    }).finally(() => {
+      this.tokenEmAndamento = null;
+    });
+    return this.tokenEmAndamento;
+  }
 
-    console.log('🔄 Obtendo novo token de acesso...');
-    const httpsAgent = await this.createHttpsAgent();
-    const tokenUrl = `${this.apiBaseUrl.replace(/\/$/, '')}/token`;
+  async _solicitarToken() {
+    logger.info('🔄 Obtendo novo token de acesso...');
     const requestBody = querystring.stringify({
       grant_type: 'client_credentials',
       client_id: this.clientId
     });
 
     try {
-      const response = await axios.post(tokenUrl, requestBody, {
-        httpsAgent,
+      const response = await this.cliente.post('/token', requestBody, {
+        autenticar: false,
+        idempotente: true,
         headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
       });
       this.token = response.data.access_token;
-      this.tokenExpiry = new Date(Date.now() + 50 * 60 * 1000);
-      console.log('✅ Token de acesso obtido e armazenado.');
+      // Usa o expires_in da Cora (com 1 minuto de folga) quando vier; senão, 50 minutos
+      const expiresIn = Number(response.data.expires_in);
+      const validadeMs = Number.isFinite(expiresIn) && expiresIn > 120 ? (expiresIn - 60) * 1000 : 50 * 60 * 1000;
+      this.tokenExpiry = new Date(Date.now() + validadeMs);
+      logger.info('✅ Token de acesso obtido e armazenado.');
       return this.token;
     } catch (error) {
-      console.error('❌ Erro ao obter token de acesso:', error.message);
+      logger.error('❌ Erro ao obter token de acesso.', { erro: error.message });
       if (error.response) {
-        console.error('📄 Status da resposta:', error.response.status);
-        console.error('📄 Dados da resposta:', JSON.stringify(error.response.data, null, 2));
+        logger.error('📄 Resposta de erro da Cora.', { status: error.response.status, dados: error.response.data });
       }
       throw error;
     }
   }
 
   /**
-   * Consulta detalhes brutos do invoice (boleto).
+   * Consulta detalhes brutos do invoice (boleto), passando pelo cache de detalhes.
+   * @throws {IdBoletoInvalidoError} - Se o id não estiver no formato da Cora.
    */
   async consultarDetalhesBoleto(invoiceId) {
+    caminhoInvoice(invoiceId);
+    const details = await servicoCache.obter(
+      this._chave(`detalhe:${invoiceId}`),
+      () => this._buscarDetalhesNaCora(invoiceId),
+      { ttlMs: this.cacheTtlDetalheMs }
+    );
+    return this._aplicarStatusDeWebhook(details);
+  }
+
+  /**
+   * Busca os detalhes brutos do invoice diretamente na API da Cora.
+   */
+  async _buscarDetalhesNaCora(invoiceId) {
     try {
-      const httpsAgent = await this.createHttpsAgent();
-      const token = await this.getAccessToken();
-      const url = `${this.apiBaseUrl.replace(/\/$/, '')}/v2/invoices/${invoiceId}`;
-      console.log(`📡 Enviando GET para detalhes do boleto: ${url}`);
-      const response = await axios.get(url, {
-        httpsAgent,
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      console.log(`📥 Resposta de detalhes para ${invoiceId} - status ${response.status}`);
-      // log completo para debug (comentável se poluir)
-      try {
-        console.log(`📄 Dados brutos do detalhe (${invoiceId}):`, JSON.stringify(response.data, null, 2));
-      } catch (e) {
-        console.log('📄 (Erro ao serializar dados de detalhe para log)');
-      }
+      const url = caminhoInvoice(invoiceId);
+      logger.debug(`📡 Enviando GET para detalhes do boleto: ${url}`);
+      const response = await this.cliente.get(url);
+      logger.debug(`📥 Resposta de detalhes para ${invoiceId} - status ${response.status}`);
+      // payload completo apenas com LOG_LEVEL=debug (dados pessoais saem mascarados)
+      logger.debug(`📄 Dados brutos do detalhe (${invoiceId}).`, { dados: response.data });
       return response.data;
     } catch (error) {
-      console.error(`❌ Erro ao consultar detalhes do boleto ${invoiceId}:`, error.message);
+      logger.error(`❌ Erro ao consultar detalhes do boleto ${invoiceId}.`, { erro: error.message });
       if (error.response) {
-        console.error('📄 Status da resposta:', error.response.status);
-        console.error('📄 Dados da resposta:', JSON.stringify(error.response.data, null, 2));
+        logger.error('📄 Resposta de erro da Cora.', { status: error.response.status, dados: error.response.data });
       }
       throw error;
     }
@@ -257,9 +331,71 @@ class CoraService {
     return { pix_key: null, pix_payload: null };
   }
 
+  /**
+   * Valida código de barras e linha digitável do boleto (DVs FEBRABAN), preenche o lado que faltar,
+   * descarta valores inválidos e sinaliza divergências de valor/vencimento em relação ao invoice.
+   * Retorna { barcode, digitable, valid, details }.
+   */
+  _normalizarBoletoBancario(details, amountCents, dueDate) {
+    const bankSlip = details?.payment_options?.bank_slip || {};
+    const rawBarcode = bankSlip.barcode || bankSlip.bar_code || null;
+    const rawDigitable = bankSlip.digitable || bankSlip.line || null;
+    if (!rawBarcode && !rawDigitable) {
+      return { barcode: null, digitable: null, valid: null, details: null };
+    }
+
+    const errors = [];
+    let decoded = null;
+    if (rawBarcode) {
+      decoded = validadorBoleto.decodificar(rawBarcode, dueDate || new Date());
+      if (!decoded.valido || decoded.codigo_barras.length !== 44) {
+        errors.push(`Código de barras descartado: ${decoded.erros.join(' | ') || 'formato inesperado'}`);
+        decoded = null;
+      }
+    }
+    if (rawDigitable) {
+      const fromDigitable = validadorBoleto.decodificar(rawDigitable, dueDate || new Date());
+      if (!fromDigitable.valido || validadorBoleto.limpar(rawDigitable).length !== 47) {
+        errors.push(`Linha digitável descartada: ${fromDigitable.erros.join(' | ') || 'formato inesperado'}`);
+      } else if (decoded && decoded.codigo_barras !== fromDigitable.codigo_barras) {
+        errors.push('Linha digitável não corresponde ao código de barras; mantido o código de barras.');
+      } else if (!decoded) {
+        decoded = fromDigitable;
+      }
+    }
+
+    if (!decoded) {
+      logger.warn(`⚠️ Boleto ${details.id} sem código de barras/linha digitável válidos: ${errors.join(' | ')}`);
+      return { barcode: null, digitable: null, valid: false, details: { errors } };
+    }
+
+    // Confere o que está codificado no boleto com os dados do invoice
+    if (amountCents != null && decoded.valor_cents > 0 && decoded.valor_cents !== amountCents) {
+      errors.push(`Valor do código de barras (${decoded.valor_cents}) diverge do invoice (${amountCents}).`);
+    }
+    if (dueDate && decoded.vencimento && decoded.vencimento !== String(dueDate).slice(0, 10)) {
+      errors.push(`Vencimento do código de barras (${decoded.vencimento}) diverge do invoice (${dueDate}).`);
+    }
+    if (errors.length) {
+      logger.warn(`⚠️ Inconsistências no boleto ${details.id}: ${errors.join(' | ')}`);
+    }
+
+    return {
+      barcode: decoded.codigo_barras,
+      digitable: decoded.linha_digitavel,
+      valid: errors.length === 0,
+      details: {
+        bank_code: decoded.banco,
+        due_date: decoded.vencimento,
+        amount_cents: decoded.valor_cents,
+        errors
+      }
+    };
+  }
+
   /**
    * Formata um invoice (detalhe) para os campos solicitados pelo front.
-   * Adicionado customer_document para facilitar a filtragem por CPF.
+   * Adicionado customer_document (e o tipo, CPF ou CNPJ) para facilitar a filtragem por documento.
    */
   _formatInvoiceForFront(details) {
     if (!details) return null;
@@ -273,24 +409,58 @@ class CoraService {
     else if (typeof details?.amount === 'number') amountCents = details.amount;
     const amountFormatted = (amountCents != null) ? (amountCents / 100).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' }) : null;
     const { pix_key, pix_payload } = this._extractPixFromInvoiceDetails(details);
-    const barcode = details?.payment_options?.bank_slip?.barcode || details?.payment_options?.bank_slip?.bar_code || null;
-    const digitable = details?.payment_options?.bank_slip?.digitable || details?.payment_options?.bank_slip?.line || details?.payment_options?.bank_slip?.our_number || null;
+    const pixInfo = pix_payload ? pixBrCode.validarContraInvoice(pix_payload, amountCents) : null;
+    if (pixInfo && !pixInfo.valido) {
+      logger.warn(`⚠️ Payload PIX inválido no boleto ${details.id}: ${pixInfo.erros.join(' | ')}`);
+    }
+    const bankSlip = this._normalizarBoletoBancario(details, amountCents, dueDate);
     const pdfUrl = details?.payment_options?.bank_slip?.url || details?.payment_options?.bank_slip?.pdf_url || null;
     const customerDocument = details?.customer?.document?.identity || null; // Adicionado para filtragem por CPF
+    const customerDocumentType = details?.customer?.document?.type ? String(details.customer.document.type).toUpperCase() : null;
+
+    // Valor atualizado para hoje (multa, juros pro rata e desconto de pontualidade)
+    const encargos = calculadoraEncargos.calcular(details, amountCents);
+    const updatedAmountCents = encargos ? encargos.valor_atualizado_cents : amountCents;
+    const updatedAmountFormatted = (updatedAmountCents != null) ? (updatedAmountCents / 100).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' }) : null;
 
     return {
       id: details.id || null,
       student_name: studentName,
       status,
       due_date: dueDate,
+      // Vencimento em fim de semana ou feriado bancário: pagável sem encargos até o próximo dia útil
+      effective_due_date: dueDate ? datasBancarias.vencimentoEfetivo(dueDate) : null,
       amount_cents: amountCents,
       amount: amountFormatted,
+      updated_amount_cents: updatedAmountCents,
+      updated_amount: updatedAmountFormatted,
+      charges: encargos ? {
+        reference_date: encargos.data_referencia,
+        days_late: encargos.dias_atraso,
+        fine_cents: encargos.multa_cents,
+        interest_cents: encargos.juros_cents,
+        discount_cents: encargos.desconto_cents
+      } : null,
       pix_key,
       pix_payload,
-      barcode,
-      digitable,
+      pix_valid: pixInfo ? pixInfo.valido : null,
+      pix_details: pixInfo ? {
+        merchant_name: pixInfo.merchant_name,
+        merchant_city: pixInfo.merchant_city,
+        amount_cents: pixInfo.amount_cents,
+        txid: pixInfo.txid,
+        location_url: pixInfo.location_url,
+        errors: pixInfo.erros
+      } : null,
+      barcode: bankSlip.barcode,
+      digitable: bankSlip.digitable,
+      bank_slip_valid: bankSlip.valid,
+      bank_slip_details: bankSlip.details,
       pdf_url: pdfUrl,
-      customer_document: customerDocument // Incluído no objeto formatado
+      customer_document: customerDocument, // Incluído no objeto formatado
+      customer_document_type: customerDocumentType,
+      // Com várias contas da Cora, a conta (escola) a que o boleto pertence
+      ...(servicoTenants.multiTenant() ? { tenant: this.tenantId } : {})
     };
   }
 
@@ -299,193 +469,431 @@ class CoraService {
    */
   async consultarBoletoFormatado(invoiceId) {
     try {
-      console.log(`🔎 Consultando e formatando boleto id=${invoiceId}...`);
+      logger.info(`🔎 Consultando e formatando boleto id=${invoiceId}...`);
       const details = await this.consultarDetalhesBoleto(invoiceId);
       const formatted = this._formatInvoiceForFront(details);
-      console.log(`✅ Boleto formatado pronto para envio ao front (id=${invoiceId}).`);
-      console.log(JSON.stringify(formatted, null, 2));
+      logger.info(`✅ Boleto formatado pronto para envio ao front (id=${invoiceId}).`);
+      logger.debug(`📄 Boleto formatado (${invoiceId}).`, { dados: formatted });
       return formatted;
     } catch (error) {
-      console.error(`❌ Erro ao consultarBoletoFormatado ${invoiceId}:`, error.message);
+      logger.error(`❌ Erro ao consultarBoletoFormatado ${invoiceId}.`, { erro: error.message });
       throw error;
     }
   }
 
   /**
-   * Busca boletos (paginação) e retorna array de boletos formatados para o front.
-   * Agora aceita um customerDocument para filtrar na API.
+   * Emite um novo boleto (POST /v2/invoices) e devolve o invoice no formato do front.
+   * A chave de idempotência acompanha a requisição até a Cora, então retentativas (nossas ou do
+   * cliente) nunca geram uma segunda cobrança. Repetir a mesma chave com o mesmo conteúdo devolve
+   * o boleto já emitido; com outro conteúdo, é recusado.
+   * @param {object} dados - Ver validadorEmissao.validar.
+   * @param {string} chaveIdempotencia - Identificador único da emissão, gerado por quem chama.
+   * @returns {Promise<{ boleto: object, repetido: boolean }>}
+   * @throws {EmissaoError|CoraIndisponivelError}
    */
-  async buscarTodosBoletos(customerDocument = null) { // Adicionado parâmetro customerDocument
-    console.log(`🔍 Iniciando busca de boletos (formatados) na Cora para CPF: ${customerDocument || 'TODOS'}...`);
-    let page = 1;
-    const perPage = 200;
-    const formattedBoletos = [];
-    const startDateStr = '2020-01-01';
-    const endDateStr = '2030-12-31';
+  async emitirBoleto(dados, chaveIdempotencia) {
+    const { valido, erros, invoice } = validadorEmissao.validar(dados);
+    if (!valido) {
+      throw new EmissaoError('Dados do boleto inválidos.', 400, erros);
+    }
+
+    const agora = Date.now();
+    for (const [chave, emissao] of this.emissoesPorChave) {
+      if (emissao.expiraEm <= agora) this.emissoesPorChave.delete(chave);
+    }
+
+    const hash = crypto.createHash('sha256').update(JSON.stringify(invoice)).digest('hex');
+    const existente = this.emissoesPorChave.get(chaveIdempotencia);
+    if (existente) {
+      if (existente.hash !== hash) {
+        throw new EmissaoError('Esta chave de idempotência já foi usada para um boleto diferente.', 409);
+      }
+      logger.info(`♻️ Emissão repetida com a chave ${chaveIdempotencia}: devolvendo o boleto já emitido.`);
+      return { boleto: await existente.promessa, repetido: true };
+    }
 
+    const promessa = this._emitirNaCora(invoice, chaveIdempotencia);
+    this.emissoesPorChave.set(chaveIdempotencia, { hash, promessa, expiraEm: agora + this.ttlIdempotenciaMs });
     try {
-      const httpsAgent = await this.createHttpsAgent();
-      const token = await this.getAccessToken();
-      let totalItemsProcessed = 0;
-      let totalItems = 0;
-
-      do {
-        console.log(`📄 Buscando página ${page} da API Cora...`);
-        const params = {
-          page,
-          perPage,
-          start: startDateStr,
-          end: endDateStr
-        };
-
-        // Adiciona o filtro de CPF se fornecido
-        if (customerDocument) {
-          params.customer_document = customerDocument; // ASSUMIMOS QUE A API CORA ACEITA ESTE PARÂMETRO
-          console.log(`   -> Filtrando por customer_document: ${customerDocument}`);
-        }
+      return { boleto: await promessa, repetido: false };
+    } catch (error) {
+      // Falhou sem emitir (ou sem confirmação): libera a chave para uma nova tentativa, que a Cora deduplica
+      this.emissoesPorChave.delete(chaveIdempotencia);
+      throw error;
+    }
+  }
 
-        const response = await axios.get(`${this.apiBaseUrl.replace(/\/$/, '')}/v2/invoices`, {
-          httpsAgent,
-          headers: { Authorization: `Bearer ${token}` },
-          params: params // Passa os parâmetros, incluindo o CPF se existir
-        });
-        console.log(`📊 Resposta da API - Status: ${response.status}`);
-        const items = response.data.items || [];
-        totalItems = response.data.totalItems || (totalItems || items.length);
-        console.log(`📊 Items na resposta: ${items.length}`);
-
-        if (!items || items.length === 0) {
-          console.log('📄 Nenhum item encontrado nesta página. Encerrando paginação.');
-          break;
-        }
+  /**
+   * Cancela um invoice na Cora (DELETE /v2/invoices/:id) e publica o cancelamento no barramento
+   * interno, como faria o webhook, para que cache e demais consumidores reflitam na hora.
+   * @param {string} invoiceId
+   * @param {object} [details] - Detalhe já carregado (usado para invalidar a consulta do titular).
+   * @throws {IdBoletoInvalidoError} - Se o id não estiver no formato da Cora.
+   */
+  async cancelarBoleto(invoiceId, details = null) {
+    const url = caminhoInvoice(invoiceId);
+    logger.info(`🗑️ Cancelando boleto ${invoiceId} na Cora...`);
+    try {
+      await this.cliente.delete(url, { idempotente: true });
+    } catch (error) {
+      logger.error(`❌ Erro ao cancelar o boleto ${invoiceId}.`, { erro: error.message });
+      if (error.response) {
+        logger.error('📄 Resposta de erro da Cora.', { status: error.response.status, dados: error.response.data });
+      }
+      throw error;
+    }
+    logger.info(`✅ Boleto ${invoiceId} cancelado na Cora.`);
+    eventosBoletos.publicar({
+      id: `cancelamento:${invoiceId}`,
+      tenant: this.tenantId,
+      tipo: 'invoice.canceled',
+      status: 'CANCELLED',
+      invoiceId,
+      ocorridoEm: new Date().toISOString(),
+      payload: details ? { id: invoiceId, customer: details.customer } : {}
+    });
+  }
 
-        // Buscar detalhes em paralelo para os items desta página
-        const detailPromises = items.map(it =>
-          this.consultarDetalhesBoleto(it.id)
-            .then(details => ({ id: it.id, details }))
-            .catch(err => ({ id: it.id, details: null, error: err.message || String(err) }))
-        );
-
-        const settled = await Promise.all(detailPromises);
-        let addedThisPage = 0;
-        for (const res of settled) {
-          if (res && res.details) {
-            const details = res.details;
-            const status = String(details.status || '').toUpperCase();
-            if (status.startsWith('CANCEL')) {
-              console.log(`❌ Ignorando boleto cancelado: ${res.id}`);
-              continue;
-            }
-            const formatted = this._formatInvoiceForFront(details);
-            formattedBoletos.push(formatted);
-            addedThisPage++;
-          } else {
-            console.warn(`⚠️ Não foi possível obter detalhes para ${res.id}: ${res.error || 'erro desconhecido'}`);
-          }
-        }
-        console.log(`✅ Página ${page} processada. Adicionados: ${addedThisPage}`);
-        totalItemsProcessed += items.length;
-        page++;
-        await new Promise(resolve => setTimeout(resolve, 120));
-      } while (totalItemsProcessed < totalItems);
+  async _emitirNaCora(invoice, chaveIdempotencia) {
+    logger.info(`🧾 Emitindo boleto na Cora para o ${invoice.customer.document.type} ${invoice.customer.document.identity} (vencimento ${invoice.payment_terms.due_date}).`);
+    try {
+      const response = await this.cliente.post('/v2/invoices', invoice, {
+        headers: { 'Idempotency-Key': chaveIdempotencia },
+        idempotente: true // seguro repetir: a Cora deduplica pela Idempotency-Key
+      });
+      const details = response.data;
+      logger.info(`✅ Boleto ${details.id} emitido na Cora.`);
+      logger.debug(`📄 Dados brutos do boleto emitido (${details.id}).`, { dados: details });
 
-      console.log(`✅ Busca concluída. Total boletos formatados: ${formattedBoletos.length}`);
-      return formattedBoletos;
+      await servicoCache.definir(this._chave(`detalhe:${details.id}`), details, this.cacheTtlDetalheMs);
+      await servicoCache.invalidar(this._chave(`documento:${invoice.customer.document.identity}`));
+      return this._formatInvoiceForFront(details);
     } catch (error) {
-      console.error('❌ Erro ao buscar todos os boletos:', error.message);
+      const status = error.response?.status;
+      if (status === 400 || status === 422) {
+        const mensagem = error.response.data?.message || error.response.data?.errors?.[0]?.message || 'A Cora recusou os dados do boleto.';
+        logger.warn(`⚠️ Cora recusou a emissão (${status}): ${mensagem}`);
+        throw new EmissaoError(mensagem, 422, error.response.data?.errors || []);
+      }
+      logger.error('❌ Erro ao emitir boleto na Cora.', { erro: error.message });
       if (error.response) {
-        console.error('📄 Status da resposta:', error.response.status);
-        console.error('📄 Dados da resposta:', JSON.stringify(error.response.data, null, 2));
+        logger.error('📄 Resposta de erro da Cora.', { status, dados: error.response.data });
       }
       throw error;
     }
   }
 
   /**
-   * Busca boletos para um CPF específico, separando-os em atrasados e o próximo a vencer.
-   * Retorna { boletosAtrasados, proximoBoletoAVencer }.
+   * Percorre a listagem paginada de invoices da Cora, entregando os itens conforme as páginas chegam.
    */
-async consultarBoletosPorCpf(cpf) {
-  console.log(`🔍 Iniciando busca de boletos na Cora para o CPF: ${cpf}...`);
-  let page = 1;
-  const perPage = 200;
-  let allBoletos = [];
-  const startDateStr = '2020-01-01';
-  const endDateStr = '2030-12-31';
-
-  try {
-    const httpsAgent = await this.createHttpsAgent();
-    const token = await this.getAccessToken();
+  async *_listarInvoices(filtros = {}) {
+    const perPage = 200;
+    let page = 1;
     let totalItemsProcessed = 0;
     let totalItems = 0;
 
-    // paginação para coletar items (list)
     do {
-      console.log(`📄 Buscando página ${page} da API Cora para CPF ${cpf}...`);
-      const response = await axios.get(`${this.apiBaseUrl.replace(/\/$/, '')}/v2/invoices`, {
-        httpsAgent,
-        headers: { 'Authorization': `Bearer ${token}` },
-        params: {
-          page,
-          perPage,
-          start: startDateStr,
-          end: endDateStr,
-          search: cpf
-        },
-        timeout: 20000
+      logger.info(`📄 Buscando página ${page} da API Cora...`);
+      const response = await this.cliente.get('/v2/invoices', {
+        params: { page, perPage, ...filtros }
       });
-
-      console.log(`📊 Resposta da API - Status: ${response.status}`);
       const items = response.data.items || [];
-      totalItems = response.data.totalItems || (items ? items.length : totalItems);
-      console.log(`📊 Items na resposta: ${items.length}`);
-      if (!items || items.length === 0) {
-        console.log('📄 Nenhum item encontrado nesta página ou todas as páginas foram processadas.');
+      totalItems = response.data.totalItems || (totalItems || items.length);
+      logger.info(`📊 Items na resposta: ${items.length}`);
+
+      if (items.length === 0) {
+        logger.info('📄 Nenhum item encontrado nesta página. Encerrando paginação.');
         break;
       }
+      for (const item of items) yield item;
 
-      allBoletos = allBoletos.concat(items);
       totalItemsProcessed += items.length;
       page++;
-      await new Promise(resolve => setTimeout(resolve, 100));
     } while (totalItemsProcessed < totalItems);
+  }
 
-    console.log(`✅ Busca inicial concluída: ${allBoletos.length} boletos encontrados para o CPF ${cpf}.`);
+  /**
+   * Quantos detalhes manter em voo. Após um 429 recente da Cora, usa metade do limite configurado.
+   */
+  _concorrenciaDetalhes() {
+    const ultimo429 = this.cliente.ultimo429Em;
+    if (ultimo429 && Date.now() - ultimo429 < this.janelaReducaoConcorrenciaMs) {
+      return Math.max(1, Math.floor(this.concorrenciaDetalhes / 2));
+    }
+    return this.concorrenciaDetalhes;
+  }
 
-    // --- NOVA ETAPA: buscar detalhes para cada invoice e formatar ---
-    const BATCH_SIZE = 20; // ajuste conforme necessidade / rate limits
-    const formattedAll = [];
+  /**
+   * Iterador assíncrono dos invoices detalhados (brutos) de uma listagem. Mantém até N consultas
+   * de detalhe em andamento (CORA_DETALHES_CONCORRENCIA) e entrega cada invoice assim que chega.
+   * @param {object} [opcoes]
+   * @param {object} [opcoes.filtros] - Parâmetros da listagem da Cora (start, end, search...).
+   * @param {object} [opcoes.resumo] - Preenchido com o resumo da execução: { inicio, fim, listados, obtidos, falhas: [{ id, erro, status }] }.
+   * @throws {CoraIndisponivelError} - Se o circuito abrir durante a execução.
+   */
+  async *iterarDetalhesBoletos({ filtros = {}, resumo = {} } = {}) {
+    Object.assign(resumo, { inicio: new Date().toISOString(), fim: null, listados: 0, obtidos: 0, falhas: [] });
+
+    const listagem = this._listarInvoices(filtros);
+    const contarListados = async function* () {
+      for await (const item of listagem) {
+        resumo.listados++;
+        yield item;
+      }
+    };
+    const buscarDetalhe = (item) => this.consultarDetalhesBoleto(item.id)
+      .then(details => ({ id: item.id, details }))
+      .catch(error => ({ id: item.id, details: null, error }));
+
+    try {
+      for await (const r of mapearComConcorrencia(contarListados(), () => this._concorrenciaDetalhes(), buscarDetalhe)) {
+        if (r.details) {
+          resumo.obtidos++;
+          yield r.details;
+          continue;
+        }
+        // Com o circuito aberto não adianta seguir: a execução inteira falha com 503
+        if (r.error instanceof CoraIndisponivelError) throw r.error;
+        logger.warn(`⚠️ Não foi possível obter detalhes para ${r.id}: ${r.error?.message || 'erro desconhecido'}`);
+        resumo.falhas.push({ id: r.id, erro: r.error?.message || 'erro desconhecido', status: r.error?.response?.status || null });
+      }
+    } finally {
+      resumo.fim = new Date().toISOString();
+      this.ultimoResumoBusca = resumo;
+      const falhas = resumo.falhas.length ? ` Falhas: ${resumo.falhas.map(f => f.id).join(', ')}` : '';
+      logger.info(`📋 Resumo da busca: ${resumo.listados} listados, ${resumo.obtidos} detalhados, ${resumo.falhas.length} falhas.${falhas}`);
+    }
+  }
 
-    for (let i = 0; i < allBoletos.length; i += BATCH_SIZE) {
-      const batch = allBoletos.slice(i, i + BATCH_SIZE);
-      console.log(`📦 Processando lote ${Math.floor(i / BATCH_SIZE) + 1} (ids ${batch.map(b => b.id).join(', ')})`);
+  /**
+   * Mesmo que iterarDetalhesBoletos, mas entregando os boletos já formatados para o front.
+   */
+  async *iterarBoletos(opcoes = {}) {
+    for await (const details of this.iterarDetalhesBoletos(opcoes)) {
+      const formatted = this._formatInvoiceForFront(details);
+      if (formatted) yield formatted;
+    }
+  }
 
-      const promises = batch.map(it =>
-        this.consultarDetalhesBoleto(it.id)
-          .then(details => ({ id: it.id, details }))
-          .catch(err => ({ id: it.id, details: null, error: err }))
-      );
+  /**
+   * Busca boletos (paginação) e retorna array de boletos formatados para o front.
+   * Agora aceita um customerDocument para filtrar na API.
+   * @param {string|null} customerDocument - Documento do cliente, ou null para todos.
+   * @param {object} [opcoes] - { resumo } recebe o resumo da execução (ids que falharam);
+   *   { filtros } complementa/substitui os parâmetros da listagem (ex.: start/end de vencimento).
+   */
+  async buscarTodosBoletos(customerDocument = null, { resumo = {}, filtros: filtrosExtras = {} } = {}) { // Adicionado parâmetro customerDocument
+    logger.info(`🔍 Iniciando busca de boletos (formatados) na Cora para CPF: ${customerDocument || 'TODOS'}...`);
+    const formattedBoletos = [];
+    const filtros = {
+      ...PERIODO_PADRAO,
+      ...filtrosExtras
+    };
 
-      const results = await Promise.all(promises);
+    // Adiciona o filtro de CPF se fornecido
+    if (customerDocument) {
+      filtros.customer_document = customerDocument; // ASSUMIMOS QUE A API CORA ACEITA ESTE PARÂMETRO
+      logger.info(`   -> Filtrando por customer_document: ${customerDocument}`);
+    }
 
-      for (const r of results) {
-        if (r && r.details) {
-          const formatted = this._formatInvoiceForFront(r.details);
-          if (formatted) formattedAll.push(formatted);
-        } else {
-          console.warn(`⚠️ Não foi possível obter detalhes para ${r.id}: ${r.error || 'erro desconhecido'}`);
+    try {
+      for await (const formatted of this.iterarBoletos({ filtros, resumo })) {
+        if (String(formatted.status || '').toUpperCase().startsWith('CANCEL')) {
+          logger.info(`❌ Ignorando boleto cancelado: ${formatted.id}`);
+          continue;
         }
+        formattedBoletos.push(formatted);
+      }
+
+      logger.info(`✅ Busca concluída. Total boletos formatados: ${formattedBoletos.length}`);
+      return formattedBoletos;
+    } catch (error) {
+      logger.error('❌ Erro ao buscar todos os boletos.', { erro: error.message });
+      if (error.response) {
+        logger.error('📄 Resposta de erro da Cora.', { status: error.response.status, dados: error.response.data });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Busca boletos para um CPF específico, separando-os em atrasados e o próximo a vencer.
+   * Mantido por compatibilidade; equivale a consultarBoletosPorDocumento(cpf, 'CPF', opcoes).
+   */
+  async consultarBoletosPorCpf(cpf, opcoes = {}) {
+    return this.consultarBoletosPorDocumento(cpf, 'CPF', opcoes);
+  }
+
+  /**
+   * Busca boletos de um pagador (CPF ou CNPJ, inclusive alfanumérico), separando-os em atrasados
+   * e o próximo a vencer. Só entram invoices cujo customer.document confere com o documento e o tipo.
+   * O resultado fica em cache por documento (stale-while-revalidate).
+   * Retorna { boletos, boletosAtrasados, proximoBoletoAVencer, boletosEmAberto, detalhesIndisponiveis };
+   * boletos traz todos os do titular, inclusive pagos e cancelados.
+   * @param {object} [opcoes]
+   * @param {{ start?: string, end?: string }} [opcoes.periodo] - Faixa de vencimento a listar na Cora. Dentro de
+   *   PERIODO_PADRAO, a consulta (em cache) já cobre a faixa e quem chama filtra; fora dela, a listagem é
+   *   ampliada e feita sem cache.
+   */
+  async consultarBoletosPorDocumento(documento, tipo = null, { periodo = null } = {}) {
+    const documentoLimpo = validadorDocumento.limpar(documento);
+    const tipoDocumento = tipo || validadorDocumento.detectarTipo(documentoLimpo);
+
+    const inicio = periodo?.start && periodo.start < PERIODO_PADRAO.start ? periodo.start : PERIODO_PADRAO.start;
+    const fim = periodo?.end && periodo.end > PERIODO_PADRAO.end ? periodo.end : PERIODO_PADRAO.end;
+    if (inicio !== PERIODO_PADRAO.start || fim !== PERIODO_PADRAO.end) {
+      return this._consultarBoletosPorDocumentoNaCora(documentoLimpo, tipoDocumento, { start: inicio, end: fim });
+    }
+
+    const resultado = await servicoCache.obter(this._chave(`documento:${documentoLimpo}`), async () => {
+      const resultado = await this._consultarBoletosPorDocumentoNaCora(documentoLimpo, tipoDocumento);
+      // Índice invoice -> documento, usado para invalidar a consulta quando chega um webhook
+      const boletos = resultado.boletosEmAberto;
+      for (const boleto of boletos) {
+        await servicoCache.definir(this._chave(`indice:invoice:${boleto.id}`), documentoLimpo, this.cacheTtlCpfMs);
+      }
+      return resultado;
+    }, { ttlMs: this.cacheTtlCpfMs });
+
+    // Resultado incompleto não deve ser servido do cache na próxima consulta
+    if (resultado.detalhesIndisponiveis && resultado.detalhesIndisponiveis.length) {
+      await servicoCache.invalidar(this._chave(`documento:${documentoLimpo}`));
+    }
+    return resultado;
+  }
+
+  /**
+   * Pagamentos registrados em um invoice. Usa payments[] da Cora quando houver; senão (ex.: baixa
+   * ainda não detalhada, ou pagamento conhecido só pelo webhook) recorre a total_paid/occurrence_date.
+   * @returns {Array<{ paid_at: string|null, amount_cents: number|null, method: string|null }>}
+   */
+  _extrairPagamentos(details) {
+    const pagamentos = Array.isArray(details?.payments) ? details.payments : [];
+    const registrados = pagamentos.map(p => ({
+      paid_at: p.finalized_at || p.paid_at || p.date || p.created_at || null,
+      amount_cents: p.total_paid ?? p.amount ?? p.paid_amount ?? null,
+      method: p.method || p.payment_method || p.type || null
+    }));
+    if (registrados.length) return registrados;
+
+    const valorPago = details?.total_paid || (String(details?.status).toUpperCase() === 'PAID' ? details?.total_amount : null);
+    if (!valorPago) return [];
+    return [{
+      paid_at: details.occurrence_date || this.statusPorWebhook.get(details.id)?.ocorridoEm || null,
+      amount_cents: valorPago,
+      method: null
+    }];
+  }
+
+  /**
+   * Histórico de pagamentos de um pagador (CPF ou CNPJ): invoices pagos, com data, valor e meio de
+   * cada pagamento, e totais por ano do pagamento (serve de comprovante para o imposto de renda).
+   * O resultado fica em cache por documento e é invalidado pelos webhooks do titular.
+   * @returns {Promise<{ boletos: object[], totaisPorAno: object[], totalPagoCents: number, detalhesIndisponiveis: string[] }>}
+   */
+  async consultarHistoricoPagamentos(documento, tipo = null) {
+    const documentoLimpo = validadorDocumento.limpar(documento);
+    const tipoDocumento = tipo || validadorDocumento.detectarTipo(documentoLimpo);
+
+    const resultado = await servicoCache.obter(this._chave(`pagamentos:${documentoLimpo}`), async () => {
+      const resultado = await this._consultarHistoricoPagamentosNaCora(documentoLimpo, tipoDocumento);
+      for (const boleto of resultado.boletos) {
+        await servicoCache.definir(this._chave(`indice:invoice:${boleto.id}`), documentoLimpo, this.cacheTtlCpfMs);
+      }
+      return resultado;
+    }, { ttlMs: this.cacheTtlCpfMs });
+
+    if (resultado.detalhesIndisponiveis.length) {
+      await servicoCache.invalidar(this._chave(`pagamentos:${documentoLimpo}`));
+    }
+    return resultado;
+  }
+
+  async _consultarHistoricoPagamentosNaCora(documento, tipo) {
+    logger.info(`🔍 Buscando histórico de pagamentos na Cora para o ${tipo || 'documento'}: ${documento}...`);
+    const resumo = {};
+    const boletos = [];
+    // Precisa do invoice bruto (payments[], total_paid, occurrence_date), por isso itera os detalhes
+    for await (const details of this.iterarDetalhesBoletos({ filtros: { ...PERIODO_PADRAO, search: documento }, resumo })) {
+      if (!validadorDocumento.pertenceAoTitular(details.customer?.document, documento, tipo)) continue;
+      const status = String(details.status || '').toUpperCase();
+      const pagamentos = this._extrairPagamentos(details);
+      if (status !== 'PAID' && pagamentos.length === 0) continue;
+
+      const totalPago = pagamentos.reduce((soma, p) => soma + (p.amount_cents || 0), 0);
+      boletos.push({
+        id: details.id,
+        student_name: details.customer?.name || null,
+        description: details.services?.[0]?.name || null,
+        status,
+        due_date: details.payment_terms?.due_date || details.due_date || null,
+        amount_cents: typeof details.total_amount === 'number' ? details.total_amount : null,
+        total_paid_cents: totalPago,
+        total_paid: (totalPago / 100).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' }),
+        paid_at: details.occurrence_date || pagamentos.map(p => p.paid_at).filter(Boolean).sort().pop() || null,
+        payments: pagamentos
+      });
+    }
+
+    boletos.sort((a, b) => String(b.paid_at || b.due_date).localeCompare(String(a.paid_at || a.due_date)));
+
+    // Totais pelo ano em que o dinheiro foi pago (regime de caixa, como pede a declaração do IR)
+    const porAno = new Map();
+    for (const boleto of boletos) {
+      for (const pagamento of boleto.payments) {
+        const ano = String(pagamento.paid_at || boleto.paid_at || boleto.due_date || '').slice(0, 4) || null;
+        const total = porAno.get(ano) || { year: ano ? Number(ano) : null, payments: 0, invoices: new Set(), total_paid_cents: 0 };
+        total.payments++;
+        total.invoices.add(boleto.id);
+        total.total_paid_cents += pagamento.amount_cents || 0;
+        porAno.set(ano, total);
       }
+    }
+    const totaisPorAno = [...porAno.values()]
+      .sort((a, b) => (b.year || 0) - (a.year || 0))
+      .map(t => ({
+        year: t.year,
+        payments: t.payments,
+        invoices: t.invoices.size,
+        total_paid_cents: t.total_paid_cents,
+        total_paid: (t.total_paid_cents / 100).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' })
+      }));
+    const totalPagoCents = totaisPorAno.reduce((soma, t) => soma + t.total_paid_cents, 0);
+
+    logger.info(`✅ Histórico de pagamentos: ${boletos.length} boletos pagos, ${totaisPorAno.length} anos.`);
+    return {
+      boletos,
+      totaisPorAno,
+      totalPagoCents,
+      detalhesIndisponiveis: resumo.falhas.map(f => f.id)
+    };
+  }
+
+async _consultarBoletosPorDocumentoNaCora(documento, tipo, periodo = PERIODO_PADRAO) {
+  logger.info(`🔍 Iniciando busca de boletos na Cora para o ${tipo || 'documento'}: ${documento}...`);
+  const { start: startDateStr, end: endDateStr } = periodo;
 
-      // pequeno delay entre lotes para reduzir pressão na API
-      await new Promise(resolve => setTimeout(resolve, 150));
+  try {
+    // listagem paginada + detalhes com concorrência limitada, formatados conforme chegam
+    const resumo = {};
+    const formattedAll = [];
+    for await (const formatted of this.iterarBoletos({ filtros: { start: startDateStr, end: endDateStr, search: documento }, resumo })) {
+      // a busca da Cora é textual: confirma que o invoice é mesmo deste pagador
+      const documentoInvoice = { identity: formatted.customer_document, type: formatted.customer_document_type };
+      if (!validadorDocumento.pertenceAoTitular(documentoInvoice, documento, tipo)) {
+        logger.debug(`↪️ Ignorando boleto ${formatted.id}: documento do titular não confere.`);
+        continue;
+      }
+      formattedAll.push(formatted);
     }
+    const detalhesIndisponiveis = resumo.falhas.map(f => f.id);
+    metricas.boletosPorConsulta.observe({ tenant: this.rotuloMetricas }, resumo.obtidos);
 
-    console.log(`✅ Todos os detalhes obtidos e formatados: ${formattedAll.length} boletos formatados.`);
+    logger.info(`✅ Todos os detalhes obtidos e formatados: ${formattedAll.length} boletos formatados.`);
 
     // agora aplicar lógica de separação e ordenação sobre os objetos formatados
-    const hoje = new Date();
-    hoje.setHours(0, 0, 0, 0);
+    // "hoje" é o dia em São Paulo (não o do fuso do servidor); atrasado só depois do vencimento efetivo
+    const hoje = datasBancarias.hoje();
 
     const boletosAtivos = formattedAll.filter(boleto =>
       (String(boleto.status).toUpperCase() === 'OPEN' || String(boleto.status).toUpperCase() === 'LATE') &&
@@ -496,37 +904,41 @@ async consultarBoletosPorCpf(cpf) {
     let boletosFuturosOuHoje = [];
 
     for (const boleto of boletosAtivos) {
-      const dataVencimento = new Date(boleto.due_date);
-      dataVencimento.setHours(0, 0, 0, 0);
-      if (dataVencimento < hoje) boletosAtrasados.push(boleto);
+      if (datasBancarias.atrasado(boleto.due_date, hoje)) boletosAtrasados.push(boleto);
       else boletosFuturosOuHoje.push(boleto);
     }
 
-    boletosAtrasados.sort((a, b) => new Date(a.due_date) - new Date(b.due_date));
-    boletosFuturosOuHoje.sort((a, b) => new Date(a.due_date) - new Date(b.due_date));
+    const porVencimento = (a, b) => String(a.due_date).localeCompare(String(b.due_date));
+    boletosAtrasados.sort(porVencimento);
+    boletosFuturosOuHoje.sort(porVencimento);
 
     let proximoBoletoAVencer = null;
     if (boletosFuturosOuHoje.length > 0) proximoBoletoAVencer = boletosFuturosOuHoje[0];
     else if (boletosAtrasados.length > 0) proximoBoletoAVencer = boletosAtrasados[0];
 
-    console.log(`📊 ${boletosAtrasados.length} boletos atrasados encontrados.`);
+    logger.info(`📊 ${boletosAtrasados.length} boletos atrasados encontrados.`);
     if (proximoBoletoAVencer) {
-      console.log(`➡️ Próximo boleto a vencer (ou mais antigo atrasado): ID ${proximoBoletoAVencer.id}, Vencimento: ${proximoBoletoAVencer.due_date}, Status: ${proximoBoletoAVencer.status}`);
+      logger.info(`➡️ Próximo boleto a vencer (ou mais antigo atrasado): ID ${proximoBoletoAVencer.id}, Vencimento: ${proximoBoletoAVencer.due_date}, Status: ${proximoBoletoAVencer.status}`);
     } else {
-      console.log('➡️ Nenhum próximo boleto a vencer encontrado.');
+      logger.info('➡️ Nenhum próximo boleto a vencer encontrado.');
     }
 
     // Retorna objetos formatados — cada objeto já contém pix_key e pdf_url (quando presentes)
+    // boletos: todos os do titular, em qualquer status (filtros da consulta)
+    // boletosEmAberto: todos os OPEN/LATE do titular, por vencimento (PDF unificado)
+    // detalhesIndisponiveis: invoices que falharam mesmo após as retentativas (lista incompleta)
     return {
+      boletos: formattedAll,
       boletosAtrasados,
-      proximoBoletoAVencer
+      proximoBoletoAVencer,
+      boletosEmAberto: [...boletosAtrasados, ...boletosFuturosOuHoje],
+      detalhesIndisponiveis
     };
 
   } catch (error) {
-    console.error(`❌ Erro ao consultar boletos para o CPF ${cpf}:`, error.message);
+    logger.error(`❌ Erro ao consultar boletos para o documento ${documento}.`, { erro: error.message });
     if (error.response) {
-      console.error('📄 Status da resposta:', error.response.status);
-      console.error('📄 Dados da resposta:', JSON.stringify(error.response.data, null, 2));
+      logger.error('📄 Resposta de erro da Cora.', { status: error.response.status, dados: error.response.data });
     }
     throw error;
   }
@@ -534,4 +946,77 @@ async consultarBoletosPorCpf(cpf) {
 
 }
 
-module.exports = new CoraService();
+const instancias = new Map(); // tenantId -> CoraService
+
+/**
+ * Instância da conta (criada na primeira vez que é usada).
+ */
+const paraTenant = (tenant) => {
+  if (!instancias.has(tenant.id)) instancias.set(tenant.id, new CoraService(tenant));
+  return instancias.get(tenant.id);
+};
+
+/**
+ * Instâncias de todos os tenants configurados (cria as que ainda não existem).
+ */
+const todasAsInstancias = () => servicoTenants.listar().map(paraTenant);
+
+/**
+ * Ordena os boletos em aberto de várias contas e recalcula o próximo a vencer (e guarda o de cada conta).
+ */
+const juntarResultados = (resultados) => {
+  const porVencimento = (a, b) => String(a.due_date).localeCompare(String(b.due_date));
+  const boletosAtrasados = resultados.flatMap(r => r.boletosAtrasados).sort(porVencimento);
+  const emAberto = resultados.flatMap(r => r.boletosEmAberto || []).sort(porVencimento);
+  const atrasados = new Set(boletosAtrasados.map(b => `${b.tenant}:${b.id}`));
+  const futurosOuHoje = emAberto.filter(b => !atrasados.has(`${b.tenant}:${b.id}`));
+  return {
+    boletos: resultados.flatMap(r => r.boletos || []).sort(porVencimento),
+    boletosAtrasados,
+    proximoBoletoAVencer: futurosOuHoje[0] || boletosAtrasados[0] || null,
+    proximosBoletosAVencer: resultados.map(r => r.proximoBoletoAVencer).filter(Boolean),
+    boletosEmAberto: [...boletosAtrasados, ...futurosOuHoje],
+    detalhesIndisponiveis: resultados.flatMap(r => r.detalhesIndisponiveis || [])
+  };
+};
+
+/**
+ * Consulta os boletos de um CPF/CNPJ em todas as contas e junta os resultados (cada boleto traz o
+ * campo tenant). Contas que falharem entram em tenantsIndisponiveis; se todas falharem, o erro sobe.
+ * opcoes é repassado a consultarBoletosPorDocumento de cada conta.
+ */
+const consultarBoletosEmTodosTenants = async (documento, tipo = null, opcoes = {}) => {
+  const tenants = servicoTenants.listar();
+  const resultados = await Promise.allSettled(tenants.map(tenant => servicoTenants.executarNoTenant(
+    tenant,
+    () => paraTenant(tenant).consultarBoletosPorDocumento(documento, tipo, opcoes)
+  )));
+
+  const obtidos = resultados.filter(r => r.status === 'fulfilled').map(r => r.value);
+  const tenantsIndisponiveis = tenants.filter((_, i) => resultados[i].status === 'rejected').map(t => t.id);
+  if (obtidos.length === 0) throw resultados[0].reason;
+  tenantsIndisponiveis.forEach(id => {
+    const { reason } = resultados[tenants.findIndex(t => t.id === id)];
+    logger.warn(`⚠️ Consulta em todos os tenants: ${id} indisponível (${reason.message}).`);
+  });
+  return { ...juntarResultados(obtidos), tenantsIndisponiveis };
+};
+
+// O módulo continua sendo usado como um único serviço (servicoCora.consultarBoletosPorDocumento(...)):
+// cada acesso é repassado à instância do tenant em vigor (servicoTenants.atual()), ou seja, o da
+// requisição em andamento ou, fora de uma, o padrão.
+module.exports = new Proxy({
+  CoraService,
+  EmissaoError,
+  IdBoletoInvalidoError,
+  paraTenant,
+  todasAsInstancias,
+  consultarBoletosEmTodosTenants
+}, {
+  get(proprios, propriedade) {
+    if (propriedade in proprios) return proprios[propriedade];
+    const instancia = paraTenant(servicoTenants.atual());
+    const valor = instancia[propriedade];
+    return typeof valor === 'function' ? valor.bind(instancia) : valor;
+  }
+});
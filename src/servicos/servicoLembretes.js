@@ -0,0 +1,252 @@
+// src/servicos/servicoLembretes.js
+// Lembretes de vencimento e avisos de atraso: encontra os boletos que vencem em até N dias, que
+// vencem hoje e os atrasados, envia a mensagem por cada canal registrado (e-mail primeiro) e grava
+// cada envio, para que ninguém receba o mesmo aviso duas vezes. Em modo simulação só lista o que seria enviado.
+const path = require('path');
+const servicoCora = require('./servicoCora');
+const servicoTenants = require('./servicoTenants');
+const { CanalEmail } = require('./canalEmail');
+const modelosLembrete = require('../utilitarios/modelosLembrete');
+const linksAssinados = require('../utilitarios/linksAssinados');
+const calculadoraEncargos = require('../utilitarios/calculadoraEncargos');
+const datasBancarias = require('../utilitarios/datasBancarias');
+const logger = require('../utilitarios/logger');
+const { ArmazenamentoJson } = require('../utilitarios/armazenamentoJson');
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+const lerInteiro = (nome, padrao) => {
+  const valor = parseInt(process.env[nome], 10);
+  return Number.isFinite(valor) ? valor : padrao;
+};
+
+const deslocarDias = (iso, dias) => {
+  const data = new Date(`${iso}T00:00:00Z`);
+  data.setUTCDate(data.getUTCDate() + dias);
+  return data.toISOString().slice(0, 10);
+};
+
+class LembreteService {
+  constructor() {
+    const arquivo = process.env.LEMBRETES_ARQUIVO || path.join(__dirname, '..', '..', 'dados', 'lembretes-enviados.json');
+    this.armazenamento = new ArmazenamentoJson(arquivo, () => ({ envios: {} }));
+    this.canais = [];
+
+    this.diasAntes = lerInteiro('LEMBRETES_DIAS_ANTES', 3);
+    this.atrasoAposDias = lerInteiro('LEMBRETES_ATRASO_APOS_DIAS', 1);
+    // Atrasos mais antigos que isso não são mais avisados (e não entram na varredura)
+    this.janelaAtrasoDias = lerInteiro('LEMBRETES_JANELA_ATRASO_DIAS', 60);
+    this.sempreSimular = process.env.LEMBRETES_DRY_RUN === 'true';
+    this.intervaloMs = lerInteiro('LEMBRETES_INTERVALO_MS', 60 * 60 * 1000);
+    // Só envia dentro desta faixa de horário (hora local), para não notificar de madrugada
+    this.horaInicio = lerInteiro('LEMBRETES_HORA_INICIO', 8);
+    this.horaFim = lerInteiro('LEMBRETES_HORA_FIM', 20);
+    // Endereço público da API, para o link do PDF nas mensagens (o link do storage da Cora não é enviado)
+    this.urlApi = (process.env.API_URL_PUBLICA || '').replace(/\/$/, '');
+    this.avisoSemUrlEmitido = false;
+
+    this.execucoesEmAndamento = new Map(); // tenantId:modo:data -> Promise da rodada
+    this.temporizador = null;
+
+    if (process.env.SMTP_HOST) {
+      this.registrarCanal(new CanalEmail());
+    }
+  }
+
+  /**
+   * Link do PDF pela API (/api/boletos/boleto/:id/pdf), com um token assinado que vale mais que o das
+   * consultas (LINKS_ASSINADOS_VALIDADE_EMAIL_MS). Sem API_URL_PUBLICA a mensagem vai sem o PDF.
+   */
+  _linkPdf(boleto) {
+    if (!boleto.pdf_url) return null;
+    if (!this.urlApi) {
+      if (!this.avisoSemUrlEmitido) {
+        logger.warn('⚠️ API_URL_PUBLICA não definida: os lembretes vão sem o link do PDF.');
+        this.avisoSemUrlEmitido = true;
+      }
+      return null;
+    }
+    const tenant = boleto.tenant || servicoTenants.atual().id;
+    const prefixo = boleto.tenant ? `/t/${encodeURIComponent(boleto.tenant)}` : '';
+    const token = linksAssinados.assinar(boleto.id, tenant, Date.now(), linksAssinados.validadeEmailMs);
+    return `${this.urlApi}${prefixo}/api/boletos/boleto/${encodeURIComponent(boleto.id)}/pdf?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Registra um canal de envio ({ nome, destinatario(details), enviar(mensagem) }; ver canalEmail.js).
+   */
+  registrarCanal(canal) {
+    this.canais = this.canais.filter(c => c.nome !== canal.nome).concat(canal);
+    logger.info(`🔔 Canal de lembretes registrado: ${canal.nome}.`);
+  }
+
+  /**
+   * Que aviso cabe a um boleto em aberto na data de referência, se algum. Conta a partir do
+   * vencimento efetivo: o de um sábado "vence hoje" na segunda-feira e só atrasa depois dela.
+   * @returns {{ tipo: 'VENCE_EM_BREVE'|'VENCE_HOJE'|'ATRASADO', dias: number }|null}
+   */
+  classificar(dueDate, hoje) {
+    if (!dueDate) return null;
+    const diasParaVencer = calculadoraEncargos.diasEntre(hoje, datasBancarias.vencimentoEfetivo(dueDate));
+    if (diasParaVencer > 0 && diasParaVencer <= this.diasAntes) return { tipo: 'VENCE_EM_BREVE', dias: diasParaVencer };
+    if (diasParaVencer === 0) return { tipo: 'VENCE_HOJE', dias: 0 };
+    const diasAtraso = -diasParaVencer;
+    if (diasAtraso >= this.atrasoAposDias && diasAtraso <= this.janelaAtrasoDias) return { tipo: 'ATRASADO', dias: diasAtraso };
+    return null;
+  }
+
+  _chaveEnvio(invoiceId, tipo, canal) {
+    return `${invoiceId}:${tipo}:${canal}`;
+  }
+
+  /**
+   * Executa uma rodada de lembretes no tenant em vigor. Rodadas simultâneas do mesmo tenant, do mesmo
+   * modo (envio ou simulação) e com a mesma data de referência compartilham a mesma execução.
+   * @param {object} [opcoes]
+   * @param {boolean} [opcoes.simular=false] - Só lista o que seria enviado (LEMBRETES_DRY_RUN=true força).
+   * @param {Date|string} [opcoes.dataReferencia=new Date()]
+   * @returns {Promise<object>} - Resumo: avaliados, enviados, já enviados, sem destinatário, falhas e a lista de envios
+   *   (com incompleto/detalhes_indisponiveis se algum boleto não pôde ser consultado).
+   */
+  executar(opcoes = {}) {
+    const { id } = servicoTenants.atual();
+    const simulacao = Boolean(opcoes.simular) || this.sempreSimular;
+    const data = calculadoraEncargos.paraDataIso(opcoes.dataReferencia || new Date());
+    const chave = `${id}:${simulacao ? 'simulacao' : 'envio'}:${data}`;
+    if (this.execucoesEmAndamento.has(chave)) return this.execucoesEmAndamento.get(chave);
+    const execucao = this._executar(opcoes).finally(() => {
+      this.execucoesEmAndamento.delete(chave);
+    });
+    this.execucoesEmAndamento.set(chave, execucao);
+    return execucao;
+  }
+
+  async _executar({ simular = false, dataReferencia = new Date() } = {}) {
+    const simulacao = simular || this.sempreSimular;
+    const hoje = calculadoraEncargos.paraDataIso(dataReferencia);
+    const resumo = {
+      simulacao,
+      data_referencia: hoje,
+      canais: this.canais.map(c => c.nome),
+      avaliados: 0,
+      enviados: 0,
+      ja_enviados: 0,
+      sem_destinatario: 0,
+      falhas: 0,
+      envios: []
+    };
+    if (this.canais.length === 0) {
+      logger.warn('⚠️ Nenhum canal de lembretes configurado (defina SMTP_HOST para e-mail).');
+      return resumo;
+    }
+
+    logger.info(`🔔 Rodada de lembretes${simulacao ? ' (simulação)' : ''} para ${hoje}.`);
+    const { envios: jaEnviados } = await this.armazenamento.ler();
+    const filtros = {
+      start: deslocarDias(hoje, -this.janelaAtrasoDias),
+      end: deslocarDias(hoje, this.diasAntes)
+    };
+
+    const resumoBusca = {};
+    for await (const details of servicoCora.iterarDetalhesBoletos({ filtros, resumo: resumoBusca })) {
+      const status = String(details.status || '').toUpperCase();
+      if (!['OPEN', 'LATE'].includes(status)) continue;
+      const boleto = servicoCora._formatInvoiceForFront(details);
+      const aviso = boleto && this.classificar(boleto.due_date, hoje);
+      if (!aviso) continue;
+      resumo.avaliados++;
+
+      for (const canal of this.canais) {
+        const chave = this._chaveEnvio(boleto.id, aviso.tipo, canal.nome);
+        if (jaEnviados[chave]) {
+          resumo.ja_enviados++;
+          continue;
+        }
+        const destinatario = canal.destinatario(details);
+        if (!destinatario) {
+          resumo.sem_destinatario++;
+          continue;
+        }
+
+        const mensagem = modelosLembrete.montar(aviso.tipo, { ...boleto, pdf_url: this._linkPdf(boleto) }, { dias: aviso.dias, descricao: details.services?.[0]?.name });
+        const envio = {
+          invoice_id: boleto.id,
+          tipo: aviso.tipo,
+          canal: canal.nome,
+          destinatario: logger.mascararEmail(destinatario),
+          due_date: boleto.due_date,
+          assunto: mensagem.assunto
+        };
+
+        if (simulacao) {
+          resumo.envios.push({ ...envio, situacao: 'SIMULADO' });
+          continue;
+        }
+
+        try {
+          const { id } = await canal.enviar({ destinatario, ...mensagem });
+          const registro = { ...envio, id_mensagem: id || null, enviado_em: new Date().toISOString() };
+          await this.armazenamento.atualizar(dados => { dados.envios[chave] = registro; });
+          jaEnviados[chave] = registro;
+          resumo.enviados++;
+          resumo.envios.push({ ...envio, situacao: 'ENVIADO' });
+          logger.info(`📨 Lembrete ${aviso.tipo} do boleto ${boleto.id} enviado por ${canal.nome}.`);
+        } catch (error) {
+          resumo.falhas++;
+          resumo.envios.push({ ...envio, situacao: 'FALHA', erro: error.message });
+          logger.error(`❌ Falha ao enviar lembrete ${aviso.tipo} do boleto ${boleto.id} por ${canal.nome}.`, { erro: error.message });
+        }
+      }
+    }
+
+    // Boletos cujo detalhe não veio ficam para a próxima rodada (nada foi gravado para eles)
+    if (resumoBusca.falhas?.length) {
+      resumo.incompleto = true;
+      resumo.detalhes_indisponiveis = resumoBusca.falhas.map(f => f.id);
+    }
+
+    logger.info(`🔔 Lembretes${simulacao ? ' (simulação)' : ''}: ${resumo.avaliados} boletos avaliados, ${simulacao ? resumo.envios.length : resumo.enviados} envios, ${resumo.ja_enviados} já enviados, ${resumo.falhas} falhas.`);
+    return resumo;
+  }
+
+  /**
+   * Registro de envios, do mais recente para o mais antigo.
+   */
+  async listarEnvios({ invoiceId = null, limite = 100 } = {}) {
+    const { envios } = await this.armazenamento.ler();
+    return Object.values(envios)
+      .filter(e => !invoiceId || e.invoice_id === invoiceId)
+      .sort((a, b) => b.enviado_em.localeCompare(a.enviado_em))
+      .slice(0, limite);
+  }
+
+  /**
+   * Roda os lembretes periodicamente (LEMBRETES_INTERVALO_MS), apenas dentro da faixa de horário
+   * (no horário de São Paulo), em cada tenant. O registro de envios torna seguro rodar várias vezes ao dia.
+   */
+  iniciarAgendamento() {
+    if (this.temporizador) return;
+    const rodar = () => {
+      const hora = datasBancarias.horaAtual();
+      if (hora < this.horaInicio || hora >= this.horaFim) return;
+      servicoTenants.paraCadaTenant(() => this.executar()).then(resultados => {
+        for (const { tenant, erro } of resultados.filter(r => r.erro)) {
+          logger.error(`❌ Erro na rodada agendada de lembretes${servicoTenants.multiTenant() ? ` (tenant ${tenant.id})` : ''}.`, { erro: erro.message });
+        }
+      });
+    };
+    this.temporizador = setInterval(rodar, this.intervaloMs);
+    this.temporizador.unref();
+    logger.info(`⏰ Lembretes agendados a cada ${Math.round(this.intervaloMs / 60000)} min, entre ${this.horaInicio}h e ${this.horaFim}h.`);
+    rodar();
+  }
+
+  pararAgendamento() {
+    if (this.temporizador) clearInterval(this.temporizador);
+    this.temporizador = null;
+  }
+}
+
+module.exports = new LembreteService();
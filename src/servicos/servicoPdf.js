@@ -0,0 +1,234 @@
+// src/servicos/servicoPdf.js
+// PDFs dos boletos. O link da Cora (payment_options.bank_slip.url) é um endereço de storage de longa
+// duração que não entregamos ao navegador: a API baixa o PDF e o repassa. Também une os boletos em
+// aberto de um titular num único PDF, com uma folha de rosto listando as parcelas e o valor atualizado.
+const axios = require('axios');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const calculadoraEncargos = require('../utilitarios/calculadoraEncargos');
+const logger = require('../utilitarios/logger');
+const { mapearComConcorrencia } = require('../utilitarios/concorrencia');
+
+const lerInteiro = (nome, padrao) => {
+  const valor = parseInt(process.env[nome], 10);
+  return Number.isFinite(valor) ? valor : padrao;
+};
+
+const formatarReais = (cents) => (cents != null)
+  ? (cents / 100).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' })
+  : '-';
+
+const formatarData = (iso) => {
+  if (!iso) return '-';
+  const [ano, mes, dia] = String(iso).slice(0, 10).split('-');
+  return `${dia}/${mes}/${ano}`;
+};
+
+class PdfError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'PdfError';
+    this.status = status;
+  }
+}
+
+class PdfService {
+  constructor() {
+    this.timeoutMs = lerInteiro('PDF_TIMEOUT_MS', 15000);
+    this.tamanhoMaximoBytes = lerInteiro('PDF_TAMANHO_MAXIMO_BYTES', 10 * 1024 * 1024);
+    this.concorrencia = lerInteiro('PDF_CONCORRENCIA', 3);
+    this.maximoBoletosUnificados = lerInteiro('PDF_MAXIMO_BOLETOS', 36);
+  }
+
+  _urlDoBoleto(boleto) {
+    if (!boleto?.pdf_url || !/^https?:\/\//i.test(boleto.pdf_url)) {
+      throw new PdfError('Este boleto não possui PDF.', 404);
+    }
+    return boleto.pdf_url;
+  }
+
+  _requisitar(url, responseType) {
+    return axios.get(url, {
+      responseType,
+      timeout: this.timeoutMs,
+      maxRedirects: 3,
+      maxContentLength: this.tamanhoMaximoBytes,
+      validateStatus: status => status === 200
+    });
+  }
+
+  /**
+   * Abre o PDF de um boleto para ser repassado em streaming.
+   * @param {object} boleto - Boleto no formato do front (_formatInvoiceForFront).
+   * @returns {Promise<{ stream: import('stream').Readable, tamanho: number|null }>}
+   * @throws {PdfError} - 404 se o boleto não tiver PDF, 502 se o storage falhar.
+   */
+  async abrirPdf(boleto) {
+    const url = this._urlDoBoleto(boleto);
+    let response;
+    try {
+      response = await this._requisitar(url, 'stream');
+    } catch (error) {
+      logger.error(`❌ Erro ao baixar o PDF do boleto ${boleto.id}.`, { erro: error.message, status: error.response?.status });
+      throw new PdfError('Não foi possível obter o PDF do boleto agora. Por favor, tente novamente em instantes.');
+    }
+
+    const tipo = String(response.headers['content-type'] || '');
+    if (!/application\/(pdf|octet-stream)/i.test(tipo)) {
+      response.data.destroy();
+      logger.error(`❌ O storage devolveu "${tipo}" em vez de PDF para o boleto ${boleto.id}.`);
+      throw new PdfError('Não foi possível obter o PDF do boleto agora. Por favor, tente novamente em instantes.');
+    }
+    const tamanho = parseInt(response.headers['content-length'], 10);
+    return { stream: response.data, tamanho: Number.isFinite(tamanho) ? tamanho : null };
+  }
+
+  /**
+   * Baixa o PDF de um boleto inteiro para a memória.
+   * @returns {Promise<Buffer>}
+   * @throws {PdfError}
+   */
+  async baixarPdf(boleto) {
+    const url = this._urlDoBoleto(boleto);
+    let response;
+    try {
+      response = await this._requisitar(url, 'arraybuffer');
+    } catch (error) {
+      logger.error(`❌ Erro ao baixar o PDF do boleto ${boleto.id}.`, { erro: error.message, status: error.response?.status });
+      throw new PdfError('Não foi possível obter o PDF do boleto agora.');
+    }
+    const pdf = Buffer.from(response.data);
+    if (pdf.subarray(0, 5).toString('latin1') !== '%PDF-') {
+      throw new PdfError('O arquivo recebido do storage não é um PDF.');
+    }
+    return pdf;
+  }
+
+  /**
+   * Une os PDFs dos boletos (por ordem de vencimento) num único arquivo, precedido de uma folha de
+   * rosto com cada parcela e o valor atualizado. Boletos cujo PDF não pôde ser obtido continuam na
+   * folha de rosto, marcados como indisponíveis.
+   * @param {object[]} boletos - Boletos no formato do front.
+   * @param {object} [opcoes] - { titular }
+   * @returns {Promise<{ pdf: Buffer, incluidos: string[], indisponiveis: string[], omitidos: string[] }>}
+   */
+  async unificarBoletos(boletos, { titular = null } = {}) {
+    const ordenados = [...boletos].sort((a, b) => String(a.due_date).localeCompare(String(b.due_date)));
+    const selecionados = ordenados.slice(0, this.maximoBoletosUnificados);
+    const omitidos = ordenados.slice(this.maximoBoletosUnificados).map(b => b.id);
+
+    const baixados = new Map();
+    const baixar = (boleto) => this.baixarPdf(boleto)
+      .then(pdf => ({ id: boleto.id, pdf }))
+      .catch(error => ({ id: boleto.id, error }));
+    for await (const r of mapearComConcorrencia(selecionados, this.concorrencia, baixar)) {
+      if (r.pdf) baixados.set(r.id, r.pdf);
+      else logger.warn(`⚠️ PDF do boleto ${r.id} indisponível para o arquivo unificado: ${r.error.message}`);
+    }
+
+    const documento = await PDFDocument.create();
+    documento.setTitle('Boletos em aberto');
+    documento.setCreationDate(new Date());
+
+    const incluidos = [];
+    const indisponiveis = [];
+    const paginasBoletos = [];
+    for (const boleto of selecionados) {
+      const bytes = baixados.get(boleto.id);
+      if (!bytes) {
+        indisponiveis.push(boleto.id);
+        continue;
+      }
+      try {
+        const origem = await PDFDocument.load(bytes, { ignoreEncryption: true });
+        paginasBoletos.push(...await documento.copyPages(origem, origem.getPageIndices()));
+        incluidos.push(boleto.id);
+      } catch (error) {
+        logger.warn(`⚠️ PDF do boleto ${boleto.id} não pôde ser lido: ${error.message}`);
+        indisponiveis.push(boleto.id);
+      }
+    }
+
+    await this._desenharFolhaDeRosto(documento, selecionados, { titular, indisponiveis, omitidos: omitidos.length });
+    for (const pagina of paginasBoletos) documento.addPage(pagina);
+
+    const pdf = Buffer.from(await documento.save());
+    logger.info(`📎 PDF unificado gerado: ${incluidos.length} boletos, ${indisponiveis.length} indisponíveis, ${omitidos.length} omitidos.`);
+    return { pdf, incluidos, indisponiveis, omitidos };
+  }
+
+  /**
+   * As fontes padrão do PDF usam WinAnsi: caracteres fora do Latin-1 viram "?".
+   */
+  _texto(valor) {
+    return String(valor ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+  }
+
+  async _desenharFolhaDeRosto(documento, boletos, { titular, indisponiveis, omitidos }) {
+    const fonte = await documento.embedFont(StandardFonts.Helvetica);
+    const negrito = await documento.embedFont(StandardFonts.HelveticaBold);
+    const cinza = rgb(0.4, 0.4, 0.4);
+    const margem = 50;
+    const colunas = [margem, margem + 30, margem + 115, margem + 205, margem + 310, margem + 415];
+
+    let pagina = documento.insertPage(0);
+    let numeroPagina = 0;
+    let y = pagina.getHeight() - margem;
+    const escrever = (texto, x, { tamanho = 10, fonteTexto = fonte, cor } = {}) => {
+      pagina.drawText(this._texto(texto), { x, y, size: tamanho, font: fonteTexto, ...(cor ? { color: cor } : {}) });
+    };
+    const cabecalhoTabela = () => {
+      ['Nº', 'Vencimento', 'Situação', 'Valor original', 'Valor atualizado', 'PDF']
+        .forEach((titulo, i) => escrever(titulo, colunas[i], { fonteTexto: negrito }));
+      y -= 6;
+      pagina.drawLine({ start: { x: margem, y }, end: { x: pagina.getWidth() - margem, y }, thickness: 0.5, color: cinza });
+      y -= 16;
+    };
+
+    escrever('Boletos em aberto', margem, { tamanho: 18, fonteTexto: negrito });
+    y -= 24;
+    if (titular) {
+      escrever(`Titular: ${titular}`, margem, { tamanho: 12 });
+      y -= 18;
+    }
+    const hoje = calculadoraEncargos.paraDataIso(new Date());
+    escrever(`Gerado em ${formatarData(hoje)}. Os boletos seguem nas próximas páginas, por ordem de vencimento.`, margem, { cor: cinza });
+    y -= 30;
+    cabecalhoTabela();
+
+    let totalAtualizado = 0;
+    boletos.forEach((boleto, i) => {
+      if (y < margem + 60) {
+        pagina = documento.insertPage(++numeroPagina);
+        y = pagina.getHeight() - margem;
+        cabecalhoTabela();
+      }
+      const atrasado = boleto.charges?.days_late > 0 || String(boleto.status).toUpperCase() === 'LATE';
+      const atualizado = boleto.updated_amount_cents ?? boleto.amount_cents;
+      totalAtualizado += atualizado || 0;
+      escrever(String(i + 1), colunas[0]);
+      escrever(formatarData(boleto.due_date), colunas[1]);
+      escrever(atrasado ? 'Atrasado' : 'A vencer', colunas[2]);
+      escrever(formatarReais(boleto.amount_cents), colunas[3]);
+      escrever(formatarReais(atualizado), colunas[4]);
+      escrever(indisponiveis.includes(boleto.id) ? 'Indisponível' : 'Incluído', colunas[5]);
+      y -= 16;
+    });
+
+    y -= 4;
+    pagina.drawLine({ start: { x: margem, y: y + 12 }, end: { x: pagina.getWidth() - margem, y: y + 12 }, thickness: 0.5, color: cinza });
+    escrever('Total atualizado', colunas[2], { fonteTexto: negrito });
+    escrever(formatarReais(totalAtualizado), colunas[4], { fonteTexto: negrito });
+    y -= 28;
+
+    const notas = ['Valores atualizados com multa, juros e desconto calculados para hoje; após esta data podem mudar.'];
+    if (indisponiveis.length) notas.push(`${indisponiveis.length} boleto(s) marcado(s) como indisponível(is) não puderam ser anexados agora. Consulte-os individualmente.`);
+    if (omitidos) notas.push(`Há mais ${omitidos} boleto(s) em aberto não incluído(s) neste arquivo.`);
+    for (const nota of notas) {
+      escrever(nota, margem, { tamanho: 9, cor: cinza });
+      y -= 14;
+    }
+  }
+}
+
+module.exports = new PdfService();
+module.exports.PdfError = PdfError;
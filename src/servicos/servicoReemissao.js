@@ -0,0 +1,215 @@
+// src/servicos/servicoReemissao.js
+// Cancelamento e segunda via (reemissão com novo vencimento) de boletos. A segunda via é emitida
+// antes de o boleto antigo ser cancelado, e cada operação fica registrada com o vínculo entre o
+// invoice antigo e o novo, para que as consultas indiquem qual boleto substituiu qual.
+// Com vários tenants, cada registro guarda o tenant da operação e só vale nele.
+const path = require('path');
+const servicoCora = require('./servicoCora');
+const servicoTenants = require('./servicoTenants');
+const calculadoraEncargos = require('../utilitarios/calculadoraEncargos');
+const logger = require('../utilitarios/logger');
+const { ArmazenamentoJson } = require('../utilitarios/armazenamentoJson');
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+class ReemissaoError extends Error {
+  constructor(message, status = 400, erros = []) {
+    super(message);
+    this.name = 'ReemissaoError';
+    this.status = status;
+    this.erros = erros;
+  }
+}
+
+class ReemissaoService {
+  constructor() {
+    const arquivo = process.env.REEMISSOES_ARQUIVO || path.join(__dirname, '..', '..', 'dados', 'reemissoes.json');
+    // substituicoes: id antigo -> { tenant_id, new_invoice_id, status: 'CANCELAMENTO_PENDENTE'|'CONCLUIDA', ... }
+    this.armazenamento = new ArmazenamentoJson(arquivo, () => ({ operacoes: [], substituicoes: {} }));
+  }
+
+  async _registrarOperacao(operacao, alterar = () => {}) {
+    await this.armazenamento.atualizar(dados => {
+      dados.operacoes.push({ ...operacao, tenant_id: servicoTenants.atual().id, registrada_em: new Date().toISOString() });
+      alterar(dados);
+    });
+  }
+
+  /**
+   * Vínculo de segunda via do boleto no tenant em vigor, se houver.
+   */
+  async _vinculo(invoiceId) {
+    const vinculo = (await this.armazenamento.ler()).substituicoes[invoiceId];
+    return vinculo && servicoTenants.pertenceAoTenant(vinculo.tenant_id) ? vinculo : null;
+  }
+
+  /**
+   * Carrega o invoice e converte o id inválido e o 404 da Cora em ReemissaoError.
+   */
+  async _carregar(invoiceId) {
+    try {
+      return await servicoCora.consultarDetalhesBoleto(invoiceId);
+    } catch (error) {
+      if (error instanceof servicoCora.IdBoletoInvalidoError) throw new ReemissaoError(error.message, 400);
+      if (error.response?.status === 404) throw new ReemissaoError('Boleto não encontrado.', 404);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancela um boleto em aberto ou atrasado. Cancelar um boleto já cancelado não é erro.
+   * @returns {Promise<{ invoice_id: string, status: 'CANCELLED', already_cancelled: boolean }>}
+   * @throws {ReemissaoError} - 404 se não existir, 409 se já estiver pago.
+   */
+  async cancelar(invoiceId, { motivo = null } = {}) {
+    const details = await this._carregar(invoiceId);
+    const status = String(details.status || '').toUpperCase();
+    if (status === 'CANCELLED') {
+      return { invoice_id: invoiceId, status: 'CANCELLED', already_cancelled: true };
+    }
+    if (status === 'PAID') {
+      throw new ReemissaoError('Boleto já pago não pode ser cancelado.', 409);
+    }
+
+    await servicoCora.cancelarBoleto(invoiceId, details);
+    await this._registrarOperacao({ tipo: 'CANCELAMENTO', invoice_id: invoiceId, motivo });
+    return { invoice_id: invoiceId, status: 'CANCELLED', already_cancelled: false };
+  }
+
+  /**
+   * Monta os dados de emissão (formato do validadorEmissao) da segunda via a partir do invoice antigo:
+   * mesmo pagador, serviços, multa, juros, desconto e formas de pagamento, com o novo vencimento.
+   * Com atualizarValor, a multa e os juros acumulados até hoje entram como um item a mais.
+   */
+  _dadosSegundaVia(details, novoVencimento, atualizarValor) {
+    const terms = details.payment_terms || {};
+    const services = (details.services || []).map(s => ({
+      name: s.name,
+      ...(s.description ? { description: s.description } : {}),
+      amount_cents: s.amount ?? s.total_amount
+    }));
+
+    if (atualizarValor) {
+      const encargos = calculadoraEncargos.calcular(details, details.total_amount);
+      const acrescimo = encargos ? encargos.multa_cents + encargos.juros_cents : 0;
+      if (acrescimo > 0) {
+        services.push({ name: `Multa e juros até ${encargos.data_referencia} (boleto ${details.id})`, amount_cents: acrescimo });
+      }
+    }
+
+    let fine;
+    if (terms.fine?.amount > 0) fine = { amount_cents: terms.fine.amount };
+    else if (terms.fine?.rate > 0) fine = { rate: terms.fine.rate };
+
+    let discount;
+    const d = terms.discount;
+    if (d?.fixed > 0) discount = { type: 'FIXED', value: d.fixed };
+    else if ((d?.percent ?? d?.rate) > 0) discount = { type: 'PERCENT', value: d.percent ?? d.rate };
+    else if (d?.type && d?.value > 0) discount = { type: String(d.type).toUpperCase(), value: d.value };
+
+    const formas = [];
+    if (details.payment_options?.bank_slip) formas.push('BANK_SLIP');
+    if (details.pix?.emv || details.payment_options?.pix) formas.push('PIX');
+
+    return {
+      customer: {
+        name: details.customer?.name,
+        document: details.customer?.document?.identity,
+        ...(details.customer?.email ? { email: details.customer.email } : {})
+      },
+      services,
+      due_date: novoVencimento,
+      ...(fine ? { fine } : {}),
+      ...(terms.interest?.rate > 0 ? { interest: { rate: terms.interest.rate } } : {}),
+      ...(discount ? { discount } : {}),
+      ...(formas.length ? { payment_forms: formas } : {})
+    };
+  }
+
+  /**
+   * Emite a segunda via de um boleto com novo vencimento e só então cancela o antigo.
+   * Se o cancelamento falhar, o vínculo fica CANCELAMENTO_PENDENTE e repetir a chamada apenas
+   * conclui o cancelamento (a emissão é idempotente e não gera outra cobrança).
+   * @param {string} invoiceId - Boleto a substituir.
+   * @param {object} opcoes - { due_date, update_amount?, reason? }
+   * @param {string} [chaveIdempotencia] - Padrão: derivada do boleto e do novo vencimento.
+   * @returns {Promise<{ boleto: object, replaces: string, old_invoice_cancelled: boolean }>}
+   * @throws {ReemissaoError|EmissaoError|CoraIndisponivelError}
+   */
+  async emitirSegundaVia(invoiceId, { due_date: novoVencimento, update_amount: atualizarValor = false, reason: motivo = null } = {}, chaveIdempotencia = null) {
+    const details = await this._carregar(invoiceId);
+    const status = String(details.status || '').toUpperCase();
+    const vinculo = await this._vinculo(invoiceId);
+
+    if (vinculo?.status === 'CONCLUIDA') {
+      throw new ReemissaoError(`Este boleto já foi substituído pelo boleto ${vinculo.new_invoice_id}.`, 409);
+    }
+    if (!vinculo && ['PAID', 'CANCELLED'].includes(status)) {
+      throw new ReemissaoError(`Não é possível emitir segunda via de um boleto ${status === 'PAID' ? 'pago' : 'cancelado'}.`, 409);
+    }
+
+    let novoId = vinculo?.new_invoice_id;
+    let boleto;
+    if (novoId) {
+      logger.info(`♻️ Segunda via de ${invoiceId} já emitida (${novoId}); concluindo o cancelamento pendente.`);
+      boleto = await servicoCora.consultarBoletoFormatado(novoId);
+    } else {
+      if (!novoVencimento) throw new ReemissaoError('due_date é obrigatório para emitir a segunda via.');
+      const chave = chaveIdempotencia || `segunda-via:${invoiceId}:${novoVencimento}`;
+      ({ boleto } = await servicoCora.emitirBoleto(this._dadosSegundaVia(details, novoVencimento, atualizarValor), chave));
+      novoId = boleto.id;
+      await this._registrarOperacao(
+        { tipo: 'SEGUNDA_VIA', invoice_id: invoiceId, new_invoice_id: novoId, due_date: novoVencimento, update_amount: Boolean(atualizarValor), motivo },
+        dados => {
+          dados.substituicoes[invoiceId] = {
+            tenant_id: servicoTenants.atual().id,
+            new_invoice_id: novoId,
+            status: 'CANCELAMENTO_PENDENTE',
+            criada_em: new Date().toISOString()
+          };
+        }
+      );
+      logger.info(`✅ Segunda via de ${invoiceId} emitida: ${novoId} (vencimento ${novoVencimento}).`);
+    }
+
+    try {
+      // Um cancelamento anterior pode ter chegado à Cora sem ter sido registrado aqui
+      if (status !== 'CANCELLED') await servicoCora.cancelarBoleto(invoiceId, details);
+    } catch (error) {
+      logger.error(`❌ Segunda via ${novoId} emitida, mas o boleto antigo ${invoiceId} não foi cancelado. Repita a operação para concluir.`, { erro: error.message });
+      return { boleto, replaces: invoiceId, old_invoice_cancelled: false };
+    }
+
+    await this._registrarOperacao({ tipo: 'CANCELAMENTO', invoice_id: invoiceId, motivo: `Substituído por ${novoId}` }, dados => {
+      dados.substituicoes[invoiceId] = { ...dados.substituicoes[invoiceId], status: 'CONCLUIDA', concluida_em: new Date().toISOString() };
+    });
+    return { boleto, replaces: invoiceId, old_invoice_cancelled: true };
+  }
+
+  /**
+   * Acrescenta replaces_invoice_id / replaced_by_invoice_id aos boletos formatados que fazem parte
+   * de uma segunda via. Cada boleto só é comparado com os vínculos do seu tenant (o campo tenant, na
+   * busca em todos os tenants, ou o em vigor).
+   */
+  async anotarSubstituicoes(boletos) {
+    const { substituicoes } = await this.armazenamento.ler();
+    const vinculos = Object.entries(substituicoes);
+    return boletos.map(boleto => {
+      // Na busca em todos os tenants pode não haver tenant em vigor, mas cada boleto traz o seu
+      const tenant = boleto.tenant || servicoTenants.atual().id;
+      const doTenant = vinculos.filter(([, v]) => servicoTenants.pertenceAoTenant(v.tenant_id, tenant));
+      const substituido = doTenant.find(([antigo]) => antigo === boleto.id);
+      const substituto = doTenant.find(([, v]) => v.new_invoice_id === boleto.id);
+      return {
+        ...boleto,
+        replaces_invoice_id: substituto ? substituto[0] : null,
+        replaced_by_invoice_id: substituido ? substituido[1].new_invoice_id : null
+      };
+    });
+  }
+}
+
+module.exports = new ReemissaoService();
+module.exports.ReemissaoError = ReemissaoError;
@@ -0,0 +1,197 @@
+// src/servicos/servicoRelatorios.js
+// Relatórios gerenciais montados a partir da varredura completa dos invoices (servicoCora.buscarTodosBoletos).
+const servicoCora = require('./servicoCora');
+const calculadoraEncargos = require('../utilitarios/calculadoraEncargos');
+const logger = require('../utilitarios/logger');
+const { reaisCsv, montarCsv } = require('../utilitarios/csv');
+
+// Status considerados "em aberto" para a inadimplência (os demais já foram pagos ou cancelados)
+const STATUS_EM_ABERTO = ['OPEN', 'LATE'];
+
+// Faixas de atraso (aging), em dias corridos após o vencimento
+const FAIXAS_ATRASO = [
+  { chave: '1-30', min: 1, max: 30 },
+  { chave: '31-60', min: 31, max: 60 },
+  { chave: '61-90', min: 61, max: 90 },
+  { chave: '90+', min: 91, max: Infinity }
+];
+
+const faixaDoAtraso = (dias) => {
+  const faixa = FAIXAS_ATRASO.find(f => dias >= f.min && dias <= f.max);
+  return faixa ? faixa.chave : null;
+};
+
+const faixasZeradas = () => Object.fromEntries(FAIXAS_ATRASO.map(f => [f.chave, 0]));
+
+class RelatorioError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RelatorioError';
+    this.status = status;
+  }
+}
+
+class RelatorioService {
+  /**
+   * Valida os filtros recebidos na query (inicio, fim, status) e os converte para o formato interno.
+   * @throws {RelatorioError} - Datas fora do formato YYYY-MM-DD, intervalo invertido ou status desconhecido.
+   */
+  normalizarFiltros({ inicio, fim, status } = {}) {
+    for (const [nome, valor] of [['inicio', inicio], ['fim', fim]]) {
+      if (valor && (!/^\d{4}-\d{2}-\d{2}$/.test(valor) || isNaN(new Date(valor).getTime()))) {
+        throw new RelatorioError(`Parâmetro "${nome}" inválido. Use o formato AAAA-MM-DD.`);
+      }
+    }
+    if (inicio && fim && inicio > fim) {
+      throw new RelatorioError('O parâmetro "inicio" deve ser anterior ou igual a "fim".');
+    }
+
+    const statusPedidos = status
+      ? String(status).split(',').map(s => s.trim().toUpperCase()).filter(Boolean)
+      : STATUS_EM_ABERTO;
+    const desconhecidos = statusPedidos.filter(s => !STATUS_EM_ABERTO.includes(s));
+    if (desconhecidos.length) {
+      throw new RelatorioError(`Status inválido: ${desconhecidos.join(', ')}. Valores aceitos: ${STATUS_EM_ABERTO.join(', ')}.`);
+    }
+
+    return { inicio: inicio || null, fim: fim || null, status: statusPedidos };
+  }
+
+  /**
+   * Relatório de inadimplência: boletos em aberto e atrasados agrupados por documento do cliente,
+   * com total vencido, quantidade de parcelas em atraso e faixa de atraso (aging).
+   * @param {object} [filtros] - { inicio, fim } (vencimento, YYYY-MM-DD) e status (ex.: 'OPEN,LATE').
+   * @returns {Promise<object>} - Resumo geral e lista de clientes ordenada pelo total vencido.
+   * @throws {RelatorioError|CoraIndisponivelError}
+   */
+  async gerarRelatorioInadimplencia(filtros = {}) {
+    const { inicio, fim, status } = this.normalizarFiltros(filtros);
+    const dataReferencia = calculadoraEncargos.paraDataIso(new Date());
+
+    const filtrosListagem = {};
+    if (inicio) filtrosListagem.start = inicio;
+    if (fim) filtrosListagem.end = fim;
+
+    logger.info(`📊 Gerando relatório de inadimplência (vencimento ${inicio || '...'} a ${fim || '...'}, status ${status.join(',')}).`);
+    const resumoBusca = {};
+    const boletos = await servicoCora.buscarTodosBoletos(null, { resumo: resumoBusca, filtros: filtrosListagem });
+
+    const clientes = new Map();
+    for (const boleto of boletos) {
+      const statusBoleto = String(boleto.status || '').toUpperCase();
+      if (!status.includes(statusBoleto)) continue;
+      if (inicio && boleto.due_date && boleto.due_date < inicio) continue;
+      if (fim && boleto.due_date && boleto.due_date > fim) continue;
+
+      const documento = boleto.customer_document || 'SEM_DOCUMENTO';
+      if (!clientes.has(documento)) {
+        clientes.set(documento, {
+          customer_document: boleto.customer_document,
+          customer_document_type: boleto.customer_document_type,
+          customer_name: boleto.student_name,
+          open_invoices: 0,
+          late_invoices: 0,
+          total_open_cents: 0,
+          total_overdue_cents: 0,
+          total_overdue_updated_cents: 0,
+          max_days_late: 0,
+          aging_bucket: null,
+          aging_cents: faixasZeradas(),
+          invoices: []
+        });
+      }
+      const cliente = clientes.get(documento);
+
+      const diasAtraso = boleto.charges?.days_late || 0;
+      const valor = boleto.amount_cents || 0;
+      cliente.open_invoices++;
+      cliente.total_open_cents += valor;
+      if (diasAtraso > 0) {
+        cliente.late_invoices++;
+        cliente.total_overdue_cents += valor;
+        cliente.total_overdue_updated_cents += boleto.updated_amount_cents ?? valor;
+        cliente.aging_cents[faixaDoAtraso(diasAtraso)] += valor;
+        cliente.max_days_late = Math.max(cliente.max_days_late, diasAtraso);
+        cliente.aging_bucket = faixaDoAtraso(cliente.max_days_late);
+      }
+      cliente.invoices.push({
+        id: boleto.id,
+        status: statusBoleto,
+        due_date: boleto.due_date,
+        effective_due_date: boleto.effective_due_date,
+        amount_cents: boleto.amount_cents,
+        updated_amount_cents: boleto.updated_amount_cents,
+        days_late: diasAtraso
+      });
+    }
+
+    const listaClientes = [...clientes.values()]
+      .map(c => ({ ...c, invoices: c.invoices.sort((a, b) => String(a.due_date).localeCompare(String(b.due_date))) }))
+      .sort((a, b) => b.total_overdue_cents - a.total_overdue_cents || b.max_days_late - a.max_days_late);
+
+    const resumo = {
+      customers: listaClientes.length,
+      late_customers: 0,
+      open_invoices: 0,
+      late_invoices: 0,
+      total_open_cents: 0,
+      total_overdue_cents: 0,
+      total_overdue_updated_cents: 0,
+      customers_by_bucket: faixasZeradas(),
+      aging_cents: faixasZeradas()
+    };
+    for (const c of listaClientes) {
+      resumo.open_invoices += c.open_invoices;
+      resumo.late_invoices += c.late_invoices;
+      resumo.total_open_cents += c.total_open_cents;
+      resumo.total_overdue_cents += c.total_overdue_cents;
+      resumo.total_overdue_updated_cents += c.total_overdue_updated_cents;
+      if (c.aging_bucket) {
+        resumo.late_customers++;
+        resumo.customers_by_bucket[c.aging_bucket]++;
+      }
+      for (const faixa of Object.keys(c.aging_cents)) resumo.aging_cents[faixa] += c.aging_cents[faixa];
+    }
+
+    logger.info(`✅ Relatório de inadimplência: ${resumo.customers} clientes, ${resumo.late_invoices} parcelas em atraso.`);
+    return {
+      generated_at: new Date().toISOString(),
+      reference_date: dataReferencia,
+      filters: { start: inicio, end: fim, status },
+      summary: resumo,
+      customers: listaClientes,
+      // Boletos cujo detalhe não pôde ser obtido ficam de fora; o chamador decide como avisar
+      unavailable_invoices: resumoBusca.falhas ? resumoBusca.falhas.map(f => f.id) : []
+    };
+  }
+
+  /**
+   * Converte o relatório de inadimplência em CSV (uma linha por cliente), no formato que o Excel
+   * em português abre direto: separador ";", vírgula decimal e BOM UTF-8.
+   */
+  relatorioInadimplenciaParaCsv(relatorio) {
+    const cabecalho = [
+      'documento', 'tipo_documento', 'nome', 'boletos_em_aberto', 'parcelas_em_atraso',
+      'total_em_aberto', 'total_vencido', 'total_vencido_atualizado', 'maior_atraso_dias', 'faixa_atraso',
+      ...FAIXAS_ATRASO.map(f => `vencido_${f.chave.replace('-', '_').replace('+', '_mais')}_dias`)
+    ];
+    const linhas = relatorio.customers.map(c => [
+      c.customer_document,
+      c.customer_document_type,
+      c.customer_name,
+      c.open_invoices,
+      c.late_invoices,
+      reaisCsv(c.total_open_cents),
+      reaisCsv(c.total_overdue_cents),
+      reaisCsv(c.total_overdue_updated_cents),
+      c.max_days_late,
+      c.aging_bucket,
+      ...FAIXAS_ATRASO.map(f => reaisCsv(c.aging_cents[f.chave]))
+    ]);
+
+    return montarCsv(cabecalho, linhas);
+  }
+}
+
+module.exports = new RelatorioService();
+module.exports.RelatorioError = RelatorioError;
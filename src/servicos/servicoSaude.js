@@ -0,0 +1,141 @@
+// src/servicos/servicoSaude.js
+// Verificações de saúde. Liveness: o processo responde (não depende de nada externo).
+// Readiness: o certificado está válido, o token da Cora pode ser obtido e a API da Cora responde.
+// O resultado da prontidão fica em cache por alguns segundos, para que probes frequentes
+// (load balancer, Kubernetes) não virem uma chamada à Cora cada uma. Com vários tenants, verifica o
+// da requisição ou, sem nenhum indicado, todos.
+const servicoCora = require('./servicoCora');
+const servicoTenants = require('./servicoTenants');
+const logger = require('../utilitarios/logger');
+
+const lerInteiro = (nome, padrao) => {
+  const valor = parseInt(process.env[nome], 10);
+  return Number.isFinite(valor) ? valor : padrao;
+};
+
+class SaudeService {
+  constructor() {
+    this.iniciadoEm = new Date();
+    this.cacheMs = lerInteiro('SAUDE_CACHE_MS', 10000);
+    this.timeoutMs = lerInteiro('SAUDE_TIMEOUT_MS', 5000);
+    this.verificacoes = new Map(); // tenantId -> { em, resultado }
+    this.verificacoesEmAndamento = new Map(); // tenantId -> Promise
+  }
+
+  vivo() {
+    return {
+      status: 'ok',
+      started_at: this.iniciadoEm.toISOString(),
+      uptime_seconds: Math.floor(process.uptime())
+    };
+  }
+
+  /**
+   * Prontidão para atender consultas.
+   * @param {object|null} [tenant] - Tenant a verificar. Sem ele, com vários tenants, verifica todos:
+   *   "ready" se todos estão prontos, "degraded" se só parte, "not_ready" se nenhum.
+   * @returns {Promise<{ status: string, checked_at: string, checks?: object, tenants?: object }>}
+   */
+  async pronto(tenant = null) {
+    if (tenant || !servicoTenants.multiTenant()) {
+      const alvo = tenant || servicoTenants.atual();
+      const resultado = await this._prontoDoTenant(alvo);
+      return servicoTenants.multiTenant() ? { tenant: alvo.id, ...resultado } : resultado;
+    }
+
+    const tenants = {};
+    for (const t of servicoTenants.listar()) {
+      const { status, checks } = await this._prontoDoTenant(t);
+      tenants[t.id] = { status, checks };
+    }
+    const prontos = Object.values(tenants).filter(t => t.status === 'ready').length;
+    const total = Object.keys(tenants).length;
+    const status = prontos === total ? 'ready' : (prontos > 0 ? 'degraded' : 'not_ready');
+    return { status, checked_at: new Date().toISOString(), tenants };
+  }
+
+  /**
+   * Verificação de um tenant, com cache e execuções simultâneas compartilhadas.
+   */
+  _prontoDoTenant(tenant) {
+    const ultima = this.verificacoes.get(tenant.id);
+    if (ultima && Date.now() - ultima.em < this.cacheMs) return Promise.resolve(ultima.resultado);
+    if (this.verificacoesEmAndamento.has(tenant.id)) return this.verificacoesEmAndamento.get(tenant.id);
+
+    const verificacao = servicoTenants.executarNoTenant(tenant, () => this._verificar(ultima?.resultado)).then(resultado => {
+      this.verificacoes.set(tenant.id, { em: Date.now(), resultado });
+      return resultado;
+    }).finally(() => {
+      this.verificacoesEmAndamento.delete(tenant.id);
+    });
+    this.verificacoesEmAndamento.set(tenant.id, verificacao);
+    return verificacao;
+  }
+
+  /**
+   * Verificações em sequência: se uma falha, as seguintes (que dependem dela) ficam como "skipped".
+   */
+  async _verificar(anterior) {
+    const checks = {
+      certificate: await this._verificarCertificado()
+    };
+    checks.token = checks.certificate.ok ? await this._verificarToken() : { ok: false, skipped: true };
+    checks.cora = checks.token.ok ? await this._verificarCora() : { ok: false, skipped: true };
+
+    const pronto = Object.values(checks).every(c => c.ok);
+    if (!pronto && anterior?.status !== 'not_ready') {
+      const falhas = Object.entries(checks).filter(([, c]) => !c.ok && !c.skipped).map(([nome, c]) => `${nome}: ${c.error}`);
+      logger.warn(`🩺 API não está pronta. ${falhas.join('; ')}`);
+    }
+    return { status: pronto ? 'ready' : 'not_ready', checked_at: new Date().toISOString(), checks };
+  }
+
+  async _verificarCertificado() {
+    try {
+      await servicoCora.credenciais.carregar();
+      const { status, valid_to: validTo, days_remaining: diasRestantes } = servicoCora.credenciais.resumo();
+      if (status === 'EXPIRADO') {
+        return { ok: false, valid_to: validTo, days_remaining: diasRestantes, error: 'Certificado expirado.' };
+      }
+      return { ok: true, valid_to: validTo, days_remaining: diasRestantes, ...(status === 'EXPIRANDO' ? { warning: 'Certificado perto do vencimento.' } : {}) };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+
+  async _verificarToken() {
+    try {
+      await this._comTimeout(servicoCora.getAccessToken(), 'token');
+      return { ok: true, expires_at: servicoCora.tokenExpiry ? servicoCora.tokenExpiry.toISOString() : null };
+    } catch (error) {
+      return { ok: false, error: this._descreverErro(error) };
+    }
+  }
+
+  async _verificarCora() {
+    const inicio = Date.now();
+    try {
+      // Sem retentativas: a prontidão deve refletir o estado atual, não esperar pelo backoff
+      await servicoCora.cliente.get('/v2/invoices', { params: { page: 1, perPage: 1 }, idempotente: false, timeout: this.timeoutMs });
+      return { ok: true, latency_ms: Date.now() - inicio };
+    } catch (error) {
+      return { ok: false, latency_ms: Date.now() - inicio, error: this._descreverErro(error) };
+    }
+  }
+
+  _comTimeout(promessa, nome) {
+    let temporizador;
+    const limite = new Promise((resolve, reject) => {
+      temporizador = setTimeout(() => reject(new Error(`${nome}: sem resposta em ${this.timeoutMs}ms.`)), this.timeoutMs);
+    });
+    return Promise.race([promessa, limite]).finally(() => clearTimeout(temporizador));
+  }
+
+  _descreverErro(error) {
+    if (error.name === 'CoraIndisponivelError') return 'Circuito da Cora aberto (muitas falhas recentes).';
+    const status = error.response?.status;
+    return status ? `HTTP ${status} da Cora.` : error.message;
+  }
+}
+
+module.exports = new SaudeService();
@@ -0,0 +1,229 @@
+// src/servicos/servicoTenants.js
+// Contas da Cora (tenants). Sem configuração, há uma única conta, lida das variáveis de ambiente
+// (CORA_API_BASE_URL, CORA_CLIENT_ID, certificado...). Com CORA_TENANTS_ARQUIVO (um JSON com a lista)
+// ou CORA_TENANTS_PASTA (um JSON por tenant; o nome do arquivo é o id), cada escola tem a sua conta:
+//
+//   {
+//     "id": "escola-centro", "nome": "Escola Centro", "padrao": false,
+//     "api_base_url": "https://matls-clients.api.cora.com.br", "client_id": "int-...",
+//     "cert_folder_path": "/certs/centro", "cert_filename": "certificate.pem", "key_filename": "private_key.pem",
+//     "private_key_passphrase": "env:CENTRO_SENHA_CHAVE",
+//     "pfx_filename": "...", "pfx_passphrase": "...", "cert": "...", "key": "...", "pfx": "...", "ca_filename": "...",
+//     "cors_origin": "https://centro.escola.com.br", "subdominios": ["centro"], "webhook_secret": "env:CENTRO_WEBHOOK"
+//   }
+//
+// Qualquer valor "env:NOME" é lido da variável de ambiente NOME (segredos fora do arquivo).
+// O tenant da requisição vale para tudo o que roda dentro dela (AsyncLocalStorage): ver executarNoTenant.
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../utilitarios/logger');
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+const ID_VALIDO = /^[a-z0-9][a-z0-9_-]{0,62}$/i;
+
+class TenantError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TenantError';
+    this.status = status;
+  }
+}
+
+const resolverValor = (valor) => {
+  if (typeof valor !== 'string' || !valor.startsWith('env:')) return valor;
+  return process.env[valor.slice(4)];
+};
+
+const comoLista = (valor) => [].concat(valor ?? []).map(v => String(v).trim()).filter(Boolean);
+
+class TenantService {
+  constructor() {
+    this.contexto = new AsyncLocalStorage();
+    this.cabecalho = (process.env.TENANT_HEADER || 'x-tenant-id').toLowerCase();
+    this.tenants = new Map();
+    this.padrao = null;
+
+    const arquivo = process.env.CORA_TENANTS_ARQUIVO;
+    const pasta = process.env.CORA_TENANTS_PASTA;
+    if (arquivo || pasta) {
+      const brutos = arquivo ? this._lerArquivo(arquivo) : this._lerPasta(pasta);
+      for (const bruto of brutos) this._adicionar(this._normalizar(bruto, arquivo || pasta));
+      if (this.tenants.size === 0) {
+        throw new Error(`Nenhum tenant configurado em ${arquivo || pasta}.`);
+      }
+      this.padrao = this._escolherPadrao();
+      logger.info(`🏫 ${this.tenants.size} tenant(s) da Cora: ${[...this.tenants.keys()].join(', ')}${this.padrao ? ` (padrão: ${this.padrao.id})` : ''}.`);
+    } else {
+      this.padrao = {
+        id: 'padrao',
+        nome: null,
+        implicito: true,
+        apiBaseUrl: process.env.CORA_API_BASE_URL,
+        clientId: process.env.CORA_CLIENT_ID,
+        certificado: null, // credenciaisCora lê do ambiente
+        corsOrigem: comoLista(process.env.FRONTEND_URL),
+        subdominios: [],
+        webhookSecret: null
+      };
+      this.tenants.set(this.padrao.id, this.padrao);
+    }
+  }
+
+  _lerArquivo(arquivo) {
+    const conteudo = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    return Array.isArray(conteudo) ? conteudo : (conteudo.tenants || []);
+  }
+
+  _lerPasta(pasta) {
+    return fs.readdirSync(pasta)
+      .filter(nome => nome.endsWith('.json'))
+      .sort()
+      .map(nome => ({ id: path.basename(nome, '.json'), ...JSON.parse(fs.readFileSync(path.join(pasta, nome), 'utf8')) }));
+  }
+
+  _normalizar(bruto, origem) {
+    const id = String(bruto.id || '').trim();
+    if (!ID_VALIDO.test(id)) {
+      throw new Error(`Tenant com id inválido em ${origem}: "${id}" (use letras, números, "-" ou "_").`);
+    }
+    const apiBaseUrl = resolverValor(bruto.api_base_url) || process.env.CORA_API_BASE_URL;
+    const clientId = resolverValor(bruto.client_id);
+    if (!apiBaseUrl || !clientId) {
+      throw new Error(`Tenant ${id}: api_base_url e client_id são obrigatórios.`);
+    }
+    return {
+      id,
+      nome: bruto.nome || id,
+      implicito: false,
+      padrao: bruto.padrao === true,
+      apiBaseUrl,
+      clientId,
+      certificado: {
+        tenant: id,
+        pasta: resolverValor(bruto.cert_folder_path),
+        certArquivo: resolverValor(bruto.cert_filename),
+        chaveArquivo: resolverValor(bruto.key_filename),
+        certConteudo: resolverValor(bruto.cert),
+        chaveConteudo: resolverValor(bruto.key),
+        senhaChave: resolverValor(bruto.private_key_passphrase),
+        pfxArquivo: resolverValor(bruto.pfx_filename),
+        pfxConteudo: resolverValor(bruto.pfx),
+        pfxSenha: resolverValor(bruto.pfx_passphrase ?? bruto.private_key_passphrase),
+        caArquivo: resolverValor(bruto.ca_filename)
+      },
+      corsOrigem: comoLista(bruto.cors_origin),
+      subdominios: comoLista(bruto.subdominios).map(s => s.toLowerCase()),
+      webhookSecret: resolverValor(bruto.webhook_secret) || null
+    };
+  }
+
+  _adicionar(tenant) {
+    if (this.tenants.has(tenant.id)) {
+      throw new Error(`Tenant duplicado: ${tenant.id}.`);
+    }
+    this.tenants.set(tenant.id, tenant);
+  }
+
+  /**
+   * Tenant usado quando a requisição não indica nenhum: o marcado "padrao", o de TENANT_PADRAO
+   * ou, havendo um só, esse.
+   */
+  _escolherPadrao() {
+    const marcados = [...this.tenants.values()].filter(t => t.padrao);
+    if (marcados.length > 1) {
+      throw new Error(`Mais de um tenant marcado como padrão: ${marcados.map(t => t.id).join(', ')}.`);
+    }
+    if (marcados.length) return marcados[0];
+    if (process.env.TENANT_PADRAO) {
+      const tenant = this.tenants.get(process.env.TENANT_PADRAO);
+      if (!tenant) throw new Error(`TENANT_PADRAO=${process.env.TENANT_PADRAO} não corresponde a nenhum tenant.`);
+      return tenant;
+    }
+    return this.tenants.size === 1 ? [...this.tenants.values()][0] : null;
+  }
+
+  /**
+   * Há várias contas configuradas (arquivo/pasta de tenants)?
+   */
+  multiTenant() {
+    return !this.padrao?.implicito;
+  }
+
+  listar() {
+    return [...this.tenants.values()];
+  }
+
+  obter(id) {
+    return this.tenants.get(id) || null;
+  }
+
+  /**
+   * Tenant cujo subdomínio corresponde ao host (ex.: centro.boletos.escola.com.br -> "centro").
+   */
+  porSubdominio(hostname) {
+    const partes = String(hostname || '').toLowerCase().split('.');
+    if (partes.length < 3) return null;
+    return this.listar().find(t => t.subdominios.includes(partes[0])) || null;
+  }
+
+  /**
+   * Tenant em vigor: o da requisição/tarefa em andamento ou, fora dela, o padrão.
+   * @throws {TenantError} - Se nenhum foi indicado e não há tenant padrão.
+   */
+  atual() {
+    const tenant = this.contexto.getStore()?.tenant || this.padrao;
+    if (!tenant) {
+      throw new TenantError(`Tenant não informado. Use o header ${this.cabecalho}, o subdomínio ou o prefixo /t/<tenant>.`);
+    }
+    return tenant;
+  }
+
+  /**
+   * O registro gravado pelo tenant tenantId pertence ao tenant de referência (por padrão, o em vigor)?
+   * Registros gravados antes de haver vários tenants (sem tenantId) pertencem ao padrão.
+   */
+  pertenceAoTenant(tenantId, referencia = this.atual().id) {
+    return (tenantId || this.padrao?.id) === referencia;
+  }
+
+  /**
+   * Tenant que gravou o registro (o padrão, para registros sem tenantId).
+   * @throws {TenantError} - Se o tenant não estiver mais configurado.
+   */
+  doRegistro(tenantId) {
+    const tenant = tenantId ? this.obter(tenantId) : this.padrao;
+    if (!tenant) throw new TenantError(`Tenant ${tenantId || 'padrão'} não está configurado.`, 409);
+    return tenant;
+  }
+
+  /**
+   * Executa fn no contexto do tenant: o servicoCora, os logs e tudo o que for chamado dentro usam essa conta.
+   */
+  executarNoTenant(tenant, fn) {
+    const executar = () => this.contexto.run({ tenant }, fn);
+    return this.multiTenant() ? logger.executarComContexto({ tenant: tenant.id }, executar) : executar();
+  }
+
+  /**
+   * Executa fn em cada tenant, em sequência (tarefas agendadas, verificações de saúde...).
+   * @returns {Promise<Array<{ tenant, resultado?, erro? }>>}
+   */
+  async paraCadaTenant(fn) {
+    const resultados = [];
+    for (const tenant of this.listar()) {
+      try {
+        resultados.push({ tenant, resultado: await this.executarNoTenant(tenant, () => fn(tenant)) });
+      } catch (erro) {
+        resultados.push({ tenant, erro });
+      }
+    }
+    return resultados;
+  }
+}
+
+module.exports = new TenantService();
+module.exports.TenantError = TenantError;
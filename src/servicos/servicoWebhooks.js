@@ -0,0 +1,135 @@
+// src/servicos/servicoWebhooks.js
+const crypto = require('crypto');
+const eventosBoletos = require('./eventosBoletos');
+const servicoTenants = require('./servicoTenants');
+const logger = require('../utilitarios/logger');
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+class WebhookError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = status;
+  }
+}
+
+class WebhookService {
+  constructor() {
+    this.secret = process.env.CORA_WEBHOOK_SECRET;
+    this.signatureHeader = (process.env.CORA_WEBHOOK_SIGNATURE_HEADER || 'x-cora-signature').toLowerCase();
+    this.dedupTtlMs = parseInt(process.env.CORA_WEBHOOK_DEDUP_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+    this.eventosProcessados = new Map(); // eventId -> timestamp de recebimento
+
+    if (!this.secret && !servicoTenants.listar().some(t => t.webhookSecret)) {
+      logger.warn('⚠️ CORA_WEBHOOK_SECRET não definido. O endpoint de webhooks recusará todas as entregas.');
+    }
+  }
+
+  _comparar(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+  }
+
+  /**
+   * Verifica a autenticidade da entrega. Aceita uma assinatura HMAC-SHA256 do corpo bruto
+   * (hex, com ou sem prefixo "sha256=") no header configurado, ou o segredo no parâmetro "token"
+   * da URL cadastrada na Cora. Cada tenant pode ter o seu segredo (webhook_secret); sem ele, vale CORA_WEBHOOK_SECRET.
+   */
+  verificarAutenticidade(headers, rawBody, token) {
+    const secret = servicoTenants.atual().webhookSecret || this.secret;
+    if (!secret) return false;
+
+    const assinatura = headers[this.signatureHeader];
+    if (assinatura) {
+      const esperada = crypto.createHmac('sha256', secret).update(rawBody || '').digest('hex');
+      return this._comparar(String(assinatura).replace(/^sha256=/, ''), esperada);
+    }
+    if (token) {
+      return this._comparar(token, secret);
+    }
+    return false;
+  }
+
+  /**
+   * Traduz o tipo de evento da Cora (ex.: "invoice.paid") para o status do invoice.
+   */
+  _statusDoTipo(tipo) {
+    const t = String(tipo || '').toLowerCase();
+    if (t.includes('paid')) return 'PAID';
+    if (t.includes('cancel')) return 'CANCELLED';
+    if (t.includes('late') || t.includes('overdue')) return 'LATE';
+    if (t.includes('open') || t.includes('created')) return 'OPEN';
+    return null;
+  }
+
+  /**
+   * Monta o evento normalizado a partir dos headers e do corpo entregues pela Cora.
+   * A Cora identifica a entrega pelos headers webhook-event-id / webhook-event-type / webhook-resource-id;
+   * o corpo pode trazer o invoice completo.
+   */
+  normalizarEvento(headers, body) {
+    const payload = body || {};
+    const tipo = headers['webhook-event-type'] || payload.event || payload.type || null;
+    const invoiceId = headers['webhook-resource-id'] || payload.invoice_id || payload.data?.id || payload.id || null;
+    const id = headers['webhook-event-id'] || payload.event_id || (tipo && invoiceId ? `${tipo}:${invoiceId}` : null);
+
+    if (!id || !invoiceId) {
+      throw new WebhookError('Evento sem identificação do evento ou do invoice.', 400);
+    }
+
+    return {
+      id,
+      tenant: servicoTenants.atual().id,
+      tipo,
+      status: this._statusDoTipo(tipo) || String(payload.status || payload.data?.status || '').toUpperCase() || null,
+      invoiceId,
+      ocorridoEm: payload.occurrence_date || payload.created_at || new Date().toISOString(),
+      payload
+    };
+  }
+
+  _limparExpirados(agora) {
+    for (const [id, recebidoEm] of this.eventosProcessados) {
+      if (agora - recebidoEm > this.dedupTtlMs) this.eventosProcessados.delete(id);
+    }
+  }
+
+  /**
+   * Processa uma entrega: verifica autenticidade, descarta duplicadas e publica no barramento interno.
+   * @returns {{ duplicado: boolean, evento: object }}
+   * @throws {WebhookError} - 401 para entregas não autênticas, 400 para payloads inválidos.
+   */
+  processar({ headers, body, rawBody, token }) {
+    if (!this.verificarAutenticidade(headers, rawBody, token)) {
+      throw new WebhookError('Assinatura do webhook inválida.', 401);
+    }
+
+    const evento = this.normalizarEvento(headers, body);
+    const agora = Date.now();
+    this._limparExpirados(agora);
+
+    const chave = `${evento.tenant}:${evento.id}`;
+    if (this.eventosProcessados.has(chave)) {
+      logger.info(`🔁 Webhook ${evento.id} já processado. Ignorando entrega repetida.`);
+      return { duplicado: true, evento };
+    }
+    this.eventosProcessados.set(chave, agora);
+
+    logger.info(`📬 Webhook recebido: ${evento.tipo} para o boleto ${evento.invoiceId} (status ${evento.status || 'desconhecido'}).`);
+    try {
+      eventosBoletos.publicar(evento);
+    } catch (error) {
+      // Libera o id para que a Cora possa reenviar a entrega
+      this.eventosProcessados.delete(chave);
+      throw error;
+    }
+    return { duplicado: false, evento };
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.WebhookError = WebhookError;
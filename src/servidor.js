@@ -5,10 +5,32 @@ if (process.env.NODE_ENV !== 'production') {
 const express = require('express');
 const cors = require('cors');
 const rotasBoletos = require('./rotas/rotasBoletos');
+const rotasWebhooks = require('./rotas/rotasWebhooks');
+const rotasRelatorios = require('./rotas/rotasRelatorios');
+const rotasEmissao = require('./rotas/rotasEmissao');
+const rotasLembretes = require('./rotas/rotasLembretes');
+const rotasSaude = require('./rotas/rotasSaude');
+const controladorSaude = require('./controladores/controladorSaude');
+const servicoLembretes = require('./servicos/servicoLembretes');
+const servicoCora = require('./servicos/servicoCora');
+const servicoTenants = require('./servicos/servicoTenants');
+const logger = require('./utilitarios/logger');
+const correlacao = require('./middlewares/correlacao');
+const metricasHttp = require('./middlewares/metricasHttp');
+const autenticacaoAdmin = require('./middlewares/autenticacaoAdmin');
+const { identificarTenant, exigirTenant } = require('./middlewares/tenant');
 
 const app = express();
 const PORTA = process.env.PORT;
 
+// Atrás de proxy/load balancer, usa o X-Forwarded-For para identificar o IP real (limite de consultas).
+// Sem TRUST_PROXY, confia só em proxies na mesma máquina ou em rede privada (nginx local, Docker, VPC);
+// TRUST_PROXY=false desliga (a API recebe os clientes diretamente)
+const trustProxy = process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal';
+if (trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Configuração do CORS
 const corsOptions = {
   origin: process.env.FRONTEND_URL,
@@ -17,29 +39,76 @@ const corsOptions = {
   optionsSuccessStatus: 204,
 };
 
-app.use(cors(corsOptions));
+// Com vários tenants, cada um tem as suas origens permitidas (cors_origin). Sem tenant identificado
+// (ex.: o preflight de quem usa o header X-Tenant-Id), vale a origem de qualquer tenant.
+const corsPorTenant = cors((req, callback) => {
+  if (!servicoTenants.multiTenant()) return callback(null, corsOptions);
+  const origens = (req.tenant ? [req.tenant] : servicoTenants.listar()).flatMap(t => t.corsOrigem);
+  return callback(null, { ...corsOptions, origin: origens.length ? origens : corsOptions.origin });
+});
+
+// Id de correlação em cada requisição (propagado para todos os logs)
+app.use(correlacao);
+// Conta da Cora (tenant) da requisição: prefixo /t/<tenant>, header X-Tenant-Id ou subdomínio
+app.use(identificarTenant);
+// Contagem e latência por rota (expostas em /metrics)
+app.use(metricasHttp);
+app.use(corsPorTenant);
 
 app.get('/', (req, res) => {
   res.status(200).json({ mensagem: 'API OK', build: 'GET-CPF-ATIVO' });
 });
 
+// Liveness (/saude) e readiness (/saude/pronto) para o load balancer / orquestrador
+app.use('/saude', rotasSaude);
+
+// Métricas do Prometheus. Com METRICAS_EXIGIR_CHAVE=true, exigem a chave administrativa (Authorization: Bearer)
+if (process.env.METRICAS_EXIGIR_CHAVE === 'true') {
+  app.get('/metrics', autenticacaoAdmin, controladorSaude.exporMetricas);
+} else {
+  app.get('/metrics', controladorSaude.exporMetricas);
+}
+
+// Toda rota da API fala com a Cora: exige um tenant (ou usa o padrão)
+app.use('/api', exigirTenant);
 app.use('/api/boletos', rotasBoletos);
+app.use('/api/webhooks', rotasWebhooks);
+app.use('/api/relatorios', rotasRelatorios);
+app.use('/api/emissao', rotasEmissao);
+app.use('/api/lembretes', rotasLembretes);
 
 app.use((req, res, next) => {
-    console.warn(`⚠️ Rota não encontrada: ${req.method} ${req.originalUrl}`);
+    logger.warn(`⚠️ Rota não encontrada: ${req.method} ${req.originalUrl}`);
     res.status(404).json({ erro: 'Rota não encontrada.' });
 });
 
 app.use((err, req, res, next) => {
-    console.error('❌ Erro inesperado no servidor:', err.stack);
+    logger.error('❌ Erro inesperado no servidor.', { erro: err });
     res.status(500).json({ erro: 'Ocorreu um erro interno no servidor. Por favor, tente novamente mais tarde.' });
 });
 
-// Inicia o servidor
-app.listen(PORTA, "0.0.0.0", () => {
-  console.log(`🚀 Servidor rodando na porta ${PORTA}`);
-  console.log(`Ambiente: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`CORS permitido para: ${process.env.FRONTEND_URL || 'qualquer origem (CORS desabilitado ou não configurado)'}`);
+// Inicia o servidor (quando carregado por outro módulo, ex.: os testes, só exporta o app)
+const iniciar = () => app.listen(PORTA, "0.0.0.0", () => {
+  logger.info(`🚀 Servidor rodando na porta ${PORTA}`);
+  logger.info(`Ambiente: ${process.env.NODE_ENV || 'development'}`);
+  logger.info(`CORS permitido para: ${process.env.FRONTEND_URL || 'qualquer origem (CORS desabilitado ou não configurado)'}`);
+
+  // Carrega o certificado de cada tenant já na subida (chave x certificado, validade) e avisa quando estiver perto de expirar
+  servicoTenants.paraCadaTenant(() => servicoCora.credenciais.iniciarMonitoramento()).then(resultados => {
+    for (const { tenant, erro } of resultados.filter(r => r.erro)) {
+      const conta = servicoTenants.multiTenant() ? ` (tenant ${tenant.id})` : '';
+      logger.error(`❌ Certificado da Cora inválido${conta}: as chamadas à Cora vão falhar até que seja corrigido.`, { erro: erro.message });
+    }
+  });
+
+  // Lembretes de vencimento/atraso automáticos (também podem ser disparados por POST /api/lembretes/executar)
+  if (process.env.LEMBRETES_ATIVOS === 'true') {
+    servicoLembretes.iniciarAgendamento();
+  }
 });
 
+if (require.main === module) {
+  iniciar();
+}
 
+module.exports = app;
@@ -0,0 +1,83 @@
+// src/simulador/certificadosTeste.js
+// Gera uma CA autoassinada, o certificado do servidor (localhost) e o certificado de cliente
+// usado no mTLS, no mesmo layout de pasta que o servicoCora lê (CORA_CERT_FOLDER_PATH).
+const forge = require('node-forge');
+const fs = require('fs').promises;
+const path = require('path');
+
+const gerarChaves = () => forge.pki.rsa.generateKeyPair({ bits: 2048, e: 0x10001 });
+
+const emitirCertificado = ({ commonName, chavePublica, emissor, chaveEmissor, ehCa = false, altNames = [], serial }) => {
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = chavePublica;
+  cert.serialNumber = serial;
+  cert.validity.notBefore = new Date(Date.now() - 60 * 1000);
+  cert.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+  const subject = [{ name: 'commonName', value: commonName }, { name: 'organizationName', value: 'Simulador Cora' }];
+  cert.setSubject(subject);
+  cert.setIssuer(emissor ? emissor.subject.attributes : subject);
+
+  const extensoes = [
+    { name: 'basicConstraints', cA: ehCa },
+    { name: 'keyUsage', keyCertSign: ehCa, digitalSignature: true, keyEncipherment: true }
+  ];
+  if (!ehCa) extensoes.push({ name: 'extKeyUsage', serverAuth: true, clientAuth: true });
+  if (altNames.length) extensoes.push({ name: 'subjectAltName', altNames });
+  cert.setExtensions(extensoes);
+
+  cert.sign(chaveEmissor, forge.md.sha256.create());
+  return cert;
+};
+
+/**
+ * Gera (ou reaproveita) os certificados de teste na pasta informada.
+ * Arquivos: ca.pem, server_certificate.pem, server_private_key.pem, certificate.pem, private_key.pem.
+ * @returns {Promise<{ pasta, ca, serverCert, serverKey, clientCert, clientKey }>} - Conteúdos PEM.
+ */
+const gerarCertificadosTeste = async (pasta) => {
+  const arquivos = {
+    ca: path.join(pasta, 'ca.pem'),
+    serverCert: path.join(pasta, 'server_certificate.pem'),
+    serverKey: path.join(pasta, 'server_private_key.pem'),
+    clientCert: path.join(pasta, 'certificate.pem'),
+    clientKey: path.join(pasta, 'private_key.pem')
+  };
+
+  try {
+    const conteudos = {};
+    for (const [nome, arquivo] of Object.entries(arquivos)) conteudos[nome] = await fs.readFile(arquivo, 'utf8');
+    return { pasta, ...conteudos };
+  } catch (e) {
+    // ainda não gerados — segue para a geração
+  }
+
+  await fs.mkdir(pasta, { recursive: true });
+  const chavesCa = gerarChaves();
+  const ca = emitirCertificado({ commonName: 'Simulador Cora CA', chavePublica: chavesCa.publicKey, chaveEmissor: chavesCa.privateKey, ehCa: true, serial: '01' });
+
+  const chavesServidor = gerarChaves();
+  const servidor = emitirCertificado({
+    commonName: 'localhost',
+    chavePublica: chavesServidor.publicKey,
+    emissor: ca,
+    chaveEmissor: chavesCa.privateKey,
+    altNames: [{ type: 2, value: 'localhost' }, { type: 7, ip: '127.0.0.1' }],
+    serial: '02'
+  });
+
+  const chavesCliente = gerarChaves();
+  const cliente = emitirCertificado({ commonName: 'int-simulador-client', chavePublica: chavesCliente.publicKey, emissor: ca, chaveEmissor: chavesCa.privateKey, serial: '03' });
+
+  const conteudos = {
+    ca: forge.pki.certificateToPem(ca),
+    serverCert: forge.pki.certificateToPem(servidor),
+    serverKey: forge.pki.privateKeyToPem(chavesServidor.privateKey),
+    clientCert: forge.pki.certificateToPem(cliente),
+    clientKey: forge.pki.privateKeyToPem(chavesCliente.privateKey)
+  };
+  for (const [nome, arquivo] of Object.entries(arquivos)) await fs.writeFile(arquivo, conteudos[nome]);
+  return { pasta, ...conteudos };
+};
+
+module.exports = { gerarCertificadosTeste };
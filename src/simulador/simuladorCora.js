@@ -0,0 +1,351 @@
+// src/simulador/simuladorCora.js
+// Servidor local que imita a API da Cora (/token, GET/POST /v2/invoices e GET/DELETE /v2/invoices/:id) com mTLS,
+// alimentado por invoices no formato de parametrosCora.json. Permite injetar erros, latência e 429
+// para exercitar o servicoCora sem o certificado real. Os PDFs dos boletos ficam num servidor HTTP
+// à parte, sem mTLS, como o storage público para onde a Cora aponta payment_options.bank_slip.url.
+// Uso: npm run simulador-cora  (SIMULADOR_PORTA, SIMULADOR_FIXTURES, SIMULADOR_CERT_PATH)
+const https = require('https');
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const express = require('express');
+const { gerarCertificadosTeste } = require('./certificadosTeste');
+const validadorBoleto = require('../utilitarios/validadorBoleto');
+const pixBrCode = require('../utilitarios/pixBrCode');
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Carrega invoices de um arquivo JSON (objeto ou array) ou de todos os .json de uma pasta.
+ */
+const carregarFixtures = async (caminho) => {
+  const stat = await fs.stat(caminho);
+  const arquivos = stat.isDirectory()
+    ? (await fs.readdir(caminho)).filter(f => f.endsWith('.json')).map(f => path.join(caminho, f))
+    : [caminho];
+  const faturas = [];
+  for (const arquivo of arquivos) {
+    const conteudo = JSON.parse(await fs.readFile(arquivo, 'utf8'));
+    faturas.push(...(Array.isArray(conteudo) ? conteudo : [conteudo]));
+  }
+  return faturas;
+};
+
+/**
+ * Resumo de um invoice no formato dos itens da listagem da Cora.
+ */
+const resumirFatura = (fatura) => ({
+  id: fatura.id,
+  status: fatura.status,
+  created_at: fatura.created_at,
+  total_amount: fatura.total_amount,
+  total_paid: fatura.total_paid,
+  occurrence_date: fatura.occurrence_date,
+  due_date: fatura.payment_terms?.due_date,
+  customer_name: fatura.customer?.name,
+  customer_document: fatura.customer?.document?.identity
+});
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+/**
+ * Código de barras do banco 403 (Cora) para um vencimento e valor, com campo livre aleatório.
+ */
+const gerarCodigoBarras = (dueDate, valorCents) => {
+  const dias = Math.round((Date.parse(`${dueDate}T00:00:00Z`) - Date.UTC(2025, 1, 22)) / MS_POR_DIA);
+  const fator = String(1000 + Math.max(0, dias)).padStart(4, '0');
+  const valor = String(valorCents).padStart(10, '0');
+  const campoLivre = Array.from(crypto.randomBytes(25), b => b % 10).join('');
+  const semDv = `4039${fator}${valor}${campoLivre}`;
+  return `4039${validadorBoleto.modulo11(semDv)}${fator}${valor}${campoLivre}`;
+};
+
+/**
+ * BR Code de cobrança com vencimento (cobv) no formato que a Cora devolve.
+ */
+const gerarPixEmv = (id) => {
+  const tlv = (campo, valor) => `${campo}${String(valor.length).padStart(2, '0')}${valor}`;
+  const conta = tlv('00', 'br.gov.bcb.pix') + tlv('25', `qrcode.cora.com.br/v1/cobv/${id.replace(/\W/g, '')}`);
+  const semCrc = tlv('00', '01') + tlv('01', '12') + tlv('26', conta) + tlv('52', '0000') + tlv('53', '986') +
+    tlv('58', 'BR') + tlv('59', 'SIMULADOR CORA') + tlv('60', 'SAO PAULO') + tlv('62', tlv('05', '***')) + '6304';
+  return semCrc + pixBrCode.crc16(semCrc);
+};
+
+/**
+ * PDF mínimo (uma página com uma linha de texto) para servir como "boleto" do simulador.
+ */
+const gerarPdfSimples = (texto) => {
+  const conteudo = `BT /F1 14 Tf 72 720 Td (${texto.replace(/[()\\]/g, '')}) Tj ET`;
+  const objetos = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${conteudo.length} >>\nstream\n${conteudo}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const posicoes = objetos.map((obj, i) => {
+    const posicao = pdf.length;
+    pdf += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+    return posicao;
+  });
+  const inicioXref = pdf.length;
+  pdf += `xref\n0 ${objetos.length + 1}\n0000000000 65535 f \n`;
+  pdf += posicoes.map(p => `${String(p).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objetos.length + 1} /Root 1 0 R >>\nstartxref\n${inicioXref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+class SimuladorCora {
+  /**
+   * @param {object} opcoes
+   * @param {object[]} opcoes.faturas - Invoices completos servidos pelo simulador.
+   * @param {string} opcoes.pastaCertificados - Pasta onde os certificados de teste são gerados/lidos.
+   * @param {number} [opcoes.porta=0] - Porta HTTPS (0 = aleatória).
+   * @param {number} [opcoes.tokenTtlMs] - Validade dos tokens emitidos.
+   */
+  constructor({ faturas = [], pastaCertificados, porta = 0, tokenTtlMs = 60 * 60 * 1000 }) {
+    this.faturas = new Map(faturas.map(f => [f.id, f]));
+    this.pastaCertificados = pastaCertificados;
+    this.porta = porta;
+    this.tokenTtlMs = tokenTtlMs;
+    this.tokens = new Map(); // token -> expiraEm
+    this.falhas = [];
+    this.requisicoes = [];
+    this.emissoesPorChave = new Map(); // Idempotency-Key -> id do invoice criado
+    this.servidor = null;
+    this.servidorArquivos = null;
+    this.app = this._criarApp();
+    this.appArquivos = this._criarAppArquivos();
+  }
+
+  /**
+   * Define as falhas injetadas. Cada regra:
+   * { rota: 'token'|'listagem'|'detalhe'|'emissao'|'cancelamento'|'pdf'|'*', status?, vezes?, latenciaMs?, retryAfter?, corpo? }
+   * "vezes" limita quantas requisições a regra afeta (padrão: todas).
+   */
+  definirFalhas(regras = []) {
+    this.falhas = regras.map(r => ({ rota: '*', vezes: Infinity, ...r }));
+  }
+
+  expirarTokens() {
+    this.tokens.clear();
+  }
+
+  _registrarFalhas(rota) {
+    return async (req, res, next) => {
+      this.requisicoes.push({ rota, metodo: req.method, caminho: req.originalUrl, em: Date.now() });
+      const regra = this.falhas.find(r => r.vezes > 0 && (r.rota === '*' || r.rota === rota));
+      if (!regra) return next();
+
+      regra.vezes--;
+      if (regra.latenciaMs) await esperar(regra.latenciaMs);
+      if (!regra.status) return next();
+      if (regra.retryAfter != null) res.set('Retry-After', String(regra.retryAfter));
+      return res.status(regra.status).json(regra.corpo || { code: regra.status, message: 'Falha injetada pelo simulador' });
+    };
+  }
+
+  _exigirToken(req, res, next) {
+    const token = String(req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const expiraEm = this.tokens.get(token);
+    if (!expiraEm || expiraEm < Date.now()) {
+      return res.status(401).json({ code: 401, message: 'Invalid or expired token' });
+    }
+    return next();
+  }
+
+  _criarApp() {
+    const app = express();
+    const exigirToken = this._exigirToken.bind(this);
+
+    app.post('/token', express.urlencoded({ extended: false }), this._registrarFalhas('token'), (req, res) => {
+      if (req.body.grant_type !== 'client_credentials' || !req.body.client_id) {
+        return res.status(400).json({ error: 'invalid_request' });
+      }
+      const token = crypto.randomBytes(24).toString('hex');
+      this.tokens.set(token, Date.now() + this.tokenTtlMs);
+      return res.json({ access_token: token, token_type: 'Bearer', expires_in: Math.floor(this.tokenTtlMs / 1000) });
+    });
+
+    app.get('/v2/invoices', this._registrarFalhas('listagem'), exigirToken, (req, res) => {
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const perPage = Math.max(1, parseInt(req.query.perPage, 10) || 20);
+      const search = String(req.query.search || '').toLowerCase();
+      const { start, end, state } = req.query;
+
+      const filtradas = [...this.faturas.values()].filter(f => {
+        const vencimento = f.payment_terms?.due_date || '';
+        if (start && vencimento < start) return false;
+        if (end && vencimento > end) return false;
+        if (state && String(f.status).toUpperCase() !== String(state).toUpperCase()) return false;
+        if (search) {
+          const campos = [f.customer?.document?.identity, f.customer?.name, f.customer?.email, f.id];
+          if (!campos.some(c => c && String(c).toLowerCase().includes(search))) return false;
+        }
+        return true;
+      });
+
+      const items = filtradas.slice((page - 1) * perPage, page * perPage).map(resumirFatura);
+      return res.json({ totalItems: filtradas.length, items });
+    });
+
+    app.post('/v2/invoices', express.json(), this._registrarFalhas('emissao'), exigirToken, (req, res) => {
+      const chave = req.get('idempotency-key');
+      if (chave && this.emissoesPorChave.has(chave)) {
+        return res.status(200).json(this.faturas.get(this.emissoesPorChave.get(chave)));
+      }
+      const corpo = req.body || {};
+      const services = Array.isArray(corpo.services) ? corpo.services : [];
+      if (!corpo.customer?.document?.identity || services.length === 0 || !corpo.payment_terms?.due_date) {
+        return res.status(400).json({ code: 400, message: 'customer.document, services and payment_terms.due_date are required' });
+      }
+
+      const id = `inv_${crypto.randomBytes(10).toString('hex')}`;
+      const totalAmount = services.reduce((soma, s) => soma + (s.amount || 0), 0);
+      const formas = corpo.payment_forms || ['BANK_SLIP'];
+      const fatura = {
+        id,
+        status: 'OPEN',
+        created_at: new Date().toISOString(),
+        total_amount: totalAmount,
+        total_paid: 0,
+        occurrence_date: null,
+        code: corpo.code || null,
+        customer: { telephone: null, address: null, code: null, ...corpo.customer },
+        services: services.map(s => ({ unit: 'AMOUNT', quantity: null, total_amount: null, code: null, ...s })),
+        payment_terms: corpo.payment_terms,
+        payment_options: {},
+        payments: []
+      };
+      if (formas.includes('BANK_SLIP')) {
+        const barcode = gerarCodigoBarras(corpo.payment_terms.due_date, totalAmount);
+        fatura.payment_options.bank_slip = {
+          barcode,
+          digitable: validadorBoleto.codigoBarrasParaLinhaDigitavel(barcode),
+          our_number: barcode.slice(27),
+          registered: true,
+          url: this._urlPdf(id)
+        };
+      }
+      if (formas.includes('PIX')) fatura.pix = { emv: gerarPixEmv(id) };
+
+      this.faturas.set(id, fatura);
+      if (chave) this.emissoesPorChave.set(chave, id);
+      return res.status(201).json(fatura);
+    });
+
+    app.get('/v2/invoices/:id', this._registrarFalhas('detalhe'), exigirToken, (req, res) => {
+      const fatura = this.faturas.get(req.params.id);
+      if (!fatura) return res.status(404).json({ code: 404, message: 'Invoice not found' });
+      return res.json(fatura);
+    });
+
+    app.delete('/v2/invoices/:id', this._registrarFalhas('cancelamento'), exigirToken, (req, res) => {
+      const fatura = this.faturas.get(req.params.id);
+      if (!fatura) return res.status(404).json({ code: 404, message: 'Invoice not found' });
+      if (fatura.status === 'PAID') return res.status(409).json({ code: 409, message: 'Paid invoices cannot be canceled' });
+      fatura.status = 'CANCELLED';
+      return res.json(fatura);
+    });
+
+    // Controle do simulador (útil quando ele roda como processo separado)
+    app.post('/__simulador/falhas', express.json(), (req, res) => {
+      this.definirFalhas(Array.isArray(req.body) ? req.body : [req.body]);
+      res.status(204).end();
+    });
+    app.delete('/__simulador/falhas', (req, res) => {
+      this.definirFalhas([]);
+      res.status(204).end();
+    });
+    app.post('/__simulador/tokens/expirar', (req, res) => {
+      this.expirarTokens();
+      res.status(204).end();
+    });
+    app.get('/__simulador/requisicoes', (req, res) => res.json(this.requisicoes));
+
+    return app;
+  }
+
+  _urlPdf(id) {
+    return `${this.urlArquivos}/pdf/${id}.pdf`;
+  }
+
+  /**
+   * "Storage" dos PDFs (payment_options.bank_slip.url): HTTP simples, sem token nem certificado.
+   */
+  _criarAppArquivos() {
+    const app = express();
+    app.get('/pdf/:id.pdf', this._registrarFalhas('pdf'), (req, res) => {
+      const fatura = this.faturas.get(req.params.id);
+      if (!fatura) return res.status(404).type('text/plain').send('Not Found');
+      const digitavel = fatura.payment_options?.bank_slip?.digitable || '';
+      res.type('application/pdf').send(gerarPdfSimples(`Boleto ${fatura.id} - ${digitavel}`));
+    });
+    return app;
+  }
+
+  /**
+   * Sobe o servidor HTTPS exigindo certificado de cliente assinado pela CA de teste, e o de arquivos (PDFs).
+   * @returns {Promise<{ url: string, urlArquivos: string, certificados: object }>}
+   */
+  async iniciar() {
+    this.certificados = await gerarCertificadosTeste(this.pastaCertificados);
+    this.servidor = https.createServer({
+      key: this.certificados.serverKey,
+      cert: this.certificados.serverCert,
+      ca: this.certificados.ca,
+      requestCert: true,
+      rejectUnauthorized: true
+    }, this.app);
+
+    await new Promise(resolve => this.servidor.listen(this.porta, '127.0.0.1', resolve));
+    this.url = `https://localhost:${this.servidor.address().port}`;
+
+    this.servidorArquivos = http.createServer(this.appArquivos);
+    await new Promise(resolve => this.servidorArquivos.listen(0, '127.0.0.1', resolve));
+    this.urlArquivos = `http://127.0.0.1:${this.servidorArquivos.address().port}`;
+    // Os links das fixtures (storage real da Cora) passam a apontar para o storage do simulador
+    for (const fatura of this.faturas.values()) {
+      const bankSlip = fatura.payment_options?.bank_slip;
+      if (bankSlip?.url) fatura.payment_options = { ...fatura.payment_options, bank_slip: { ...bankSlip, url: this._urlPdf(fatura.id) } };
+    }
+    return { url: this.url, urlArquivos: this.urlArquivos, certificados: this.certificados };
+  }
+
+  async encerrar() {
+    if (!this.servidor) return;
+    await new Promise(resolve => this.servidor.close(resolve));
+    await new Promise(resolve => this.servidorArquivos.close(resolve));
+    this.servidor = null;
+    this.servidorArquivos = null;
+  }
+}
+
+module.exports = { SimuladorCora, carregarFixtures };
+
+if (require.main === module) {
+  (async () => {
+    const raiz = path.join(__dirname, '..', '..');
+    const fixtures = process.env.SIMULADOR_FIXTURES || path.join(__dirname, '..', 'parametrosCora.json');
+    const pastaCertificados = process.env.SIMULADOR_CERT_PATH || path.join(raiz, '.simulador-cora');
+    const simulador = new SimuladorCora({
+      faturas: await carregarFixtures(fixtures),
+      pastaCertificados,
+      porta: parseInt(process.env.SIMULADOR_PORTA, 10) || 4443
+    });
+    const { url } = await simulador.iniciar();
+
+    console.log(`🧪 Simulador Cora rodando em ${url} (${simulador.faturas.size} invoices de ${fixtures})`);
+    console.log(`   PDFs dos boletos servidos em ${simulador.urlArquivos}/pdf/<id>.pdf`);
+    console.log('   Para apontar a API para o simulador, use no .env:');
+    console.log(`   CORA_API_BASE_URL=${url}`);
+    console.log('   CORA_CLIENT_ID=int-simulador-client');
+    console.log(`   CORA_CERT_FOLDER_PATH=${pastaCertificados}`);
+    console.log('   CORA_CA_FILENAME=ca.pem');
+  })().catch(error => {
+    console.error('❌ Falha ao iniciar o simulador Cora:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,100 @@
+// src/simulador/simuladorSmtp.js
+// Servidor SMTP local mínimo que aceita qualquer mensagem e a guarda em memória, para exercitar os
+// lembretes por e-mail sem um servidor de verdade. Sem TLS nem autenticação (use SMTP_SECURE=false).
+// Uso: npm run simulador-smtp  (SIMULADOR_SMTP_PORTA)
+const net = require('net');
+
+class SimuladorSmtp {
+  /**
+   * @param {object} [opcoes]
+   * @param {number} [opcoes.porta=0] - Porta (0 = aleatória).
+   * @param {Function} [opcoes.aoReceber] - (mensagem) => void, chamada a cada mensagem aceita.
+   */
+  constructor({ porta = 0, aoReceber = null } = {}) {
+    this.porta = porta;
+    this.aoReceber = aoReceber;
+    this.mensagens = []; // { de, para: [], dados, recebidaEm }
+    this.servidor = net.createServer(socket => this._atender(socket));
+  }
+
+  _atender(socket) {
+    let transacao = { de: null, para: [] };
+    let lendoDados = false;
+    let dados = [];
+    let buffer = '';
+
+    const responder = (linha) => socket.write(`${linha}\r\n`);
+    responder('220 simulador-smtp ESMTP pronto');
+
+    socket.on('data', pedaco => {
+      buffer += pedaco.toString('utf8');
+      let fim;
+      while ((fim = buffer.indexOf('\r\n')) !== -1) {
+        const linha = buffer.slice(0, fim);
+        buffer = buffer.slice(fim + 2);
+
+        if (lendoDados) {
+          if (linha === '.') {
+            lendoDados = false;
+            const mensagem = { ...transacao, dados: dados.join('\r\n'), recebidaEm: new Date().toISOString() };
+            this.mensagens.push(mensagem);
+            if (this.aoReceber) this.aoReceber(mensagem);
+            transacao = { de: null, para: [] };
+            dados = [];
+            responder(`250 OK: mensagem ${this.mensagens.length} aceita`);
+          } else {
+            dados.push(linha.startsWith('..') ? linha.slice(1) : linha);
+          }
+          continue;
+        }
+
+        const comando = linha.slice(0, 4).toUpperCase();
+        if (comando === 'EHLO') responder('250-simulador-smtp\r\n250-8BITMIME\r\n250 SMTPUTF8');
+        else if (comando === 'HELO') responder('250 simulador-smtp');
+        else if (comando === 'MAIL') {
+          transacao.de = (linha.match(/<([^>]*)>/) || [])[1] || null;
+          responder('250 OK');
+        } else if (comando === 'RCPT') {
+          transacao.para.push((linha.match(/<([^>]*)>/) || [])[1]);
+          responder('250 OK');
+        } else if (comando === 'DATA') {
+          lendoDados = true;
+          responder('354 Envie a mensagem; termine com <CRLF>.<CRLF>');
+        } else if (comando === 'RSET') {
+          transacao = { de: null, para: [] };
+          responder('250 OK');
+        } else if (comando === 'NOOP') responder('250 OK');
+        else if (comando === 'QUIT') {
+          responder('221 Até logo');
+          socket.end();
+        } else responder('502 Comando não implementado');
+      }
+    });
+    socket.on('error', () => {});
+  }
+
+  async iniciar() {
+    await new Promise(resolve => this.servidor.listen(this.porta, '127.0.0.1', resolve));
+    return { host: '127.0.0.1', porta: this.servidor.address().port };
+  }
+
+  async encerrar() {
+    await new Promise(resolve => this.servidor.close(resolve));
+  }
+}
+
+module.exports = { SimuladorSmtp };
+
+if (require.main === module) {
+  const simulador = new SimuladorSmtp({
+    porta: parseInt(process.env.SIMULADOR_SMTP_PORTA, 10) || 2525,
+    aoReceber: (m) => console.log(`📨 Mensagem de ${m.de} para ${m.para.join(', ')} (${m.dados.length} bytes)`)
+  });
+  simulador.iniciar().then(({ host, porta }) => {
+    console.log(`🧪 Simulador SMTP rodando em ${host}:${porta}`);
+    console.log(`   Use no .env: SMTP_HOST=${host} SMTP_PORT=${porta} SMTP_SECURE=false`);
+  }).catch(error => {
+    console.error('❌ Falha ao iniciar o simulador SMTP:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,52 @@
+// src/utilitarios/armazenamentoJson.js
+// Persistência simples em um arquivo JSON, para estados que precisam sobreviver a um restart
+// (carnês, registros de envio...). As gravações são serializadas e atômicas (arquivo temporário + rename).
+const fs = require('fs').promises;
+const path = require('path');
+
+class ArmazenamentoJson {
+  /**
+   * @param {string} arquivo - Caminho do arquivo JSON (a pasta é criada se não existir).
+   * @param {Function} [valorInicial] - () => conteúdo usado quando o arquivo ainda não existe.
+   */
+  constructor(arquivo, valorInicial = () => ({})) {
+    this.arquivo = arquivo;
+    this.valorInicial = valorInicial;
+    this.fila = Promise.resolve();
+  }
+
+  async ler() {
+    try {
+      return JSON.parse(await fs.readFile(this.arquivo, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return this.valorInicial();
+      throw error;
+    }
+  }
+
+  async _gravar(dados) {
+    await fs.mkdir(path.dirname(this.arquivo), { recursive: true });
+    const temporario = `${this.arquivo}.${process.pid}.tmp`;
+    await fs.writeFile(temporario, JSON.stringify(dados, null, 2));
+    await fs.rename(temporario, this.arquivo);
+  }
+
+  /**
+   * Lê, aplica fn e grava o resultado, uma atualização por vez.
+   * @param {Function} fn - (dados) => novos dados (ou undefined para gravar o próprio objeto alterado).
+   * @returns {Promise<*>} - Os dados gravados.
+   */
+  atualizar(fn) {
+    const execucao = this.fila.then(async () => {
+      const dados = await this.ler();
+      const novos = (await fn(dados)) ?? dados;
+      await this._gravar(novos);
+      return novos;
+    });
+    // Uma falha não pode travar as próximas atualizações
+    this.fila = execucao.catch(() => {});
+    return execucao;
+  }
+}
+
+module.exports = { ArmazenamentoJson };
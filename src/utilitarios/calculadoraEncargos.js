@@ -0,0 +1,123 @@
+const datasBancarias = require('./datasBancarias');
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+class CalculadoraEncargos {
+
+    /**
+     * Converte uma data (Date ou 'YYYY-MM-DD') para 'YYYY-MM-DD' no horário de São Paulo.
+     * @param {Date|string} data - A data a ser normalizada.
+     * @returns {string|null} - A data no formato ISO curto, ou null se inválida.
+     */
+    paraDataIso(data) {
+        return datasBancarias.paraDataIso(data);
+    }
+
+    /**
+     * Quantidade de dias corridos entre duas datas 'YYYY-MM-DD' (fim - inicio).
+     */
+    diasEntre(inicioIso, fimIso) {
+        const inicio = Date.UTC(...this._partesData(inicioIso));
+        const fim = Date.UTC(...this._partesData(fimIso));
+        return Math.round((fim - inicio) / MS_POR_DIA);
+    }
+
+    _partesData(iso) {
+        const [ano, mes, dia] = iso.split('-').map(Number);
+        return [ano, mes - 1, dia];
+    }
+
+    _adicionarDias(iso, dias) {
+        const d = new Date(Date.UTC(...this._partesData(iso)) + dias * MS_POR_DIA);
+        return d.toISOString().slice(0, 10);
+    }
+
+    _numero(valor) {
+        return (typeof valor === 'number' && isFinite(valor)) ? valor : null;
+    }
+
+    /**
+     * Calcula a multa por atraso. A Cora envia payment_terms.fine com "amount" (centavos fixos)
+     * ou "rate" (percentual sobre o valor original) e, opcionalmente, "date" (início da cobrança).
+     */
+    _calcularMulta(fine, valorOriginal, dueDate, dataRef) {
+        if (!fine) return 0;
+        const inicio = this.paraDataIso(fine.date) || this._adicionarDias(dueDate, 1);
+        if (dataRef < inicio) return 0;
+
+        const fixo = this._numero(fine.amount);
+        if (fixo != null && fixo > 0) return Math.round(fixo);
+        const taxa = this._numero(fine.rate);
+        if (taxa != null && taxa > 0) return Math.round(valorOriginal * taxa / 100);
+        return 0;
+    }
+
+    /**
+     * Calcula os juros de mora pro rata die. payment_terms.interest.rate é o percentual mensal,
+     * aplicado sobre o valor original à razão de 1/30 por dia corrido de atraso.
+     */
+    _calcularJuros(interest, valorOriginal, diasAtraso) {
+        if (!interest || diasAtraso <= 0) return 0;
+        const fixoDiario = this._numero(interest.amount);
+        if (fixoDiario != null && fixoDiario > 0) return Math.round(fixoDiario * diasAtraso);
+        const taxaMensal = this._numero(interest.rate);
+        if (taxaMensal == null || taxaMensal <= 0) return 0;
+        return Math.round(valorOriginal * (taxaMensal / 100) / 30 * diasAtraso);
+    }
+
+    /**
+     * Calcula o desconto por pagamento antecipado. Aceita os formatos { fixed }, { percent } ou
+     * { type: 'FIXED'|'PERCENT', value }. O desconto vale até "date" (quando informado) ou até o vencimento;
+     * se o limite cair em dia não útil, até o próximo dia útil.
+     */
+    _calcularDesconto(discount, valorOriginal, dueDate, dataRef) {
+        if (!discount) return 0;
+        const limite = datasBancarias.proximoDiaUtil(this.paraDataIso(discount.date) || dueDate);
+        if (dataRef > limite) return 0;
+
+        const tipo = String(discount.type || '').toUpperCase();
+        let fixo = this._numero(discount.fixed);
+        let percentual = this._numero(discount.percent) ?? this._numero(discount.rate);
+        if (tipo === 'FIXED' && fixo == null) fixo = this._numero(discount.value);
+        if (tipo === 'PERCENT' && percentual == null) percentual = this._numero(discount.value);
+
+        let desconto = 0;
+        if (fixo != null && fixo > 0) desconto = Math.round(fixo);
+        else if (percentual != null && percentual > 0) desconto = Math.round(valorOriginal * percentual / 100);
+        return Math.min(desconto, valorOriginal);
+    }
+
+    /**
+     * Calcula o valor atualizado de um invoice da Cora em uma data de referência.
+     * Pago até o vencimento efetivo (próximo dia útil, se o vencimento cair em fim de semana ou feriado
+     * bancário), não há encargos; depois dele, o atraso conta desde o vencimento original.
+     * @param {object} details - Invoice bruto da Cora (com payment_terms).
+     * @param {number} valorOriginal - Valor de face em centavos.
+     * @param {Date|string} [dataReferencia=new Date()] - Data do pagamento simulado.
+     * @returns {object|null} - Detalhamento em centavos, ou null se não houver dados suficientes.
+     */
+    calcular(details, valorOriginal, dataReferencia = new Date()) {
+        const dueDate = this.paraDataIso(details?.payment_terms?.due_date || details?.due_date);
+        const dataRef = this.paraDataIso(dataReferencia);
+        if (valorOriginal == null || !dueDate || !dataRef) return null;
+
+        const terms = details.payment_terms || {};
+        const diasAtraso = datasBancarias.atrasado(dueDate, dataRef) ? this.diasEntre(dueDate, dataRef) : 0;
+
+        const multa = diasAtraso > 0 ? this._calcularMulta(terms.fine, valorOriginal, dueDate, dataRef) : 0;
+        const juros = this._calcularJuros(terms.interest, valorOriginal, diasAtraso);
+        const desconto = diasAtraso > 0 ? 0 : this._calcularDesconto(terms.discount, valorOriginal, dueDate, dataRef);
+
+        return {
+            data_referencia: dataRef,
+            dias_atraso: diasAtraso,
+            valor_original_cents: valorOriginal,
+            multa_cents: multa,
+            juros_cents: juros,
+            desconto_cents: desconto,
+            valor_atualizado_cents: Math.max(0, valorOriginal + multa + juros - desconto)
+        };
+    }
+}
+
+module.exports = new CalculadoraEncargos();
@@ -0,0 +1,47 @@
+// src/utilitarios/concorrencia.js
+
+/**
+ * Aplica fn a cada item de uma fonte (array, iterável ou iterável assíncrono) mantendo até
+ * "limite" chamadas em andamento ao mesmo tempo. Assim que uma termina, a próxima começa
+ * (sem esperar o lote inteiro). Os resultados são entregues na ordem em que ficam prontos.
+ *
+ * @param {Iterable|AsyncIterable} fonte - Itens a processar.
+ * @param {number|Function} limite - Máximo de chamadas simultâneas, ou função que devolve o limite atual
+ *   (permite reduzir a concorrência em tempo de execução, ex.: após um 429).
+ * @param {Function} fn - async (item) => resultado. Erros devem ser tratados dentro de fn;
+ *   um erro não tratado interrompe a iteração.
+ * @returns {AsyncGenerator} - Resultados de fn à medida que ficam prontos.
+ */
+async function* mapearComConcorrencia(fonte, limite, fn) {
+  const obterLimite = typeof limite === 'function' ? limite : () => limite;
+  const iterador = (fonte[Symbol.asyncIterator] ? fonte[Symbol.asyncIterator]() : fonte[Symbol.iterator]());
+  const emAndamento = new Map(); // id -> Promise<{ id, resultado }>
+  let proximoId = 0;
+  let fonteEsgotada = false;
+
+  const preencher = async () => {
+    while (!fonteEsgotada && emAndamento.size < Math.max(1, obterLimite())) {
+      const { value, done } = await iterador.next();
+      if (done) {
+        fonteEsgotada = true;
+        break;
+      }
+      const id = proximoId++;
+      emAndamento.set(id, Promise.resolve().then(() => fn(value)).then(resultado => ({ id, resultado })));
+    }
+  };
+
+  try {
+    await preencher();
+    while (emAndamento.size > 0) {
+      const { id, resultado } = await Promise.race(emAndamento.values());
+      emAndamento.delete(id);
+      yield resultado;
+      await preencher();
+    }
+  } finally {
+    if (!fonteEsgotada && typeof iterador.return === 'function') await iterador.return();
+  }
+}
+
+module.exports = { mapearComConcorrencia };
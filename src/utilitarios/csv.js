@@ -0,0 +1,21 @@
+// CSV no formato que o Excel em português abre direto: separador ";", vírgula decimal e BOM UTF-8.
+
+/**
+ * Valor em centavos como reais com vírgula decimal (ex.: 12345 -> "123,45").
+ */
+const reaisCsv = (centavos) => ((centavos || 0) / 100).toFixed(2).replace('.', ',');
+
+const celulaCsv = (valor) => {
+    let texto = valor == null ? '' : String(valor);
+    // Evita que o conteúdo seja interpretado como fórmula pela planilha
+    if (/^[=+\-@\t\r]/.test(texto)) texto = `'${texto}`;
+    return /[";\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * Monta o arquivo CSV a partir do cabeçalho e das linhas (arrays de valores).
+ */
+const montarCsv = (cabecalho, linhas) =>
+    '\uFEFF' + [cabecalho, ...linhas].map(l => l.map(celulaCsv).join(';')).join('\r\n') + '\r\n';
+
+module.exports = { reaisCsv, celulaCsv, montarCsv };
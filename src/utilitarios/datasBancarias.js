@@ -0,0 +1,164 @@
+// Datas no fuso de São Paulo e calendário bancário nacional. Um boleto que vence em fim de semana
+// ou feriado bancário pode ser pago sem encargos no próximo dia útil (vencimento efetivo).
+// Feriados locais (estaduais/municipais) ou dias sem expediente avulsos entram por
+// FERIADOS_BANCARIOS_EXTRAS (datas AAAA-MM-DD separadas por vírgula).
+
+const FUSO_HORARIO = 'America/Sao_Paulo';
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+// Feriados nacionais de data fixa (MM-DD)
+const FERIADOS_FIXOS = {
+    '01-01': 'Confraternização Universal',
+    '04-21': 'Tiradentes',
+    '05-01': 'Dia do Trabalho',
+    '09-07': 'Independência do Brasil',
+    '10-12': 'Nossa Senhora Aparecida',
+    '11-02': 'Finados',
+    '11-15': 'Proclamação da República',
+    '12-25': 'Natal',
+    // Sem expediente bancário para o público; boletos vencidos no dia são pagos no próximo dia útil
+    '12-31': 'Último dia do ano (sem expediente bancário)'
+};
+
+// Feriados móveis, em dias a partir do domingo de Páscoa
+const FERIADOS_MOVEIS = [
+    { dias: -48, nome: 'Carnaval (segunda-feira)' },
+    { dias: -47, nome: 'Carnaval (terça-feira)' },
+    { dias: -2, nome: 'Sexta-feira Santa' },
+    { dias: 60, nome: 'Corpus Christi' }
+];
+
+const formatador = new Intl.DateTimeFormat('en-CA', {
+    timeZone: FUSO_HORARIO,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23'
+});
+
+class DatasBancarias {
+    constructor() {
+        this.fusoHorario = FUSO_HORARIO;
+        this.feriadosPorAno = new Map(); // ano -> Map(AAAA-MM-DD -> nome)
+        this.extras = String(process.env.FERIADOS_BANCARIOS_EXTRAS || '')
+            .split(',')
+            .map(d => d.trim())
+            .filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d));
+    }
+
+    _partes(data) {
+        const partes = Object.fromEntries(formatador.formatToParts(data).map(p => [p.type, p.value]));
+        return { data: `${partes.year}-${partes.month}-${partes.day}`, hora: Number(partes.hour) };
+    }
+
+    /**
+     * Converte uma data (Date ou 'YYYY-MM-DD') para 'YYYY-MM-DD' no horário de São Paulo.
+     * @returns {string|null} - null se a data for inválida.
+     */
+    paraDataIso(data) {
+        if (!data) return null;
+        if (typeof data === 'string' && /^\d{4}-\d{2}-\d{2}/.test(data)) {
+            return data.slice(0, 10);
+        }
+        const d = data instanceof Date ? data : new Date(data);
+        if (isNaN(d.getTime())) return null;
+        return this._partes(d).data;
+    }
+
+    /**
+     * Data de hoje em São Paulo, independentemente do fuso do servidor.
+     */
+    hoje(agora = new Date()) {
+        return this._partes(agora).data;
+    }
+
+    /**
+     * Hora atual (0-23) em São Paulo.
+     */
+    horaAtual(agora = new Date()) {
+        return this._partes(agora).hora;
+    }
+
+    adicionarDias(iso, dias) {
+        const [ano, mes, dia] = iso.split('-').map(Number);
+        return new Date(Date.UTC(ano, mes - 1, dia) + dias * MS_POR_DIA).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher, calendário gregoriano).
+     */
+    pascoa(ano) {
+        const a = ano % 19;
+        const b = Math.floor(ano / 100);
+        const c = ano % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const mes = Math.floor((h + l - 7 * m + 114) / 31);
+        const dia = ((h + l - 7 * m + 114) % 31) + 1;
+        return `${ano}-${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+    }
+
+    /**
+     * Feriados bancários nacionais do ano (fixos, móveis e os extras configurados).
+     * @returns {Map<string, string>} - AAAA-MM-DD -> nome.
+     */
+    feriados(ano) {
+        if (this.feriadosPorAno.has(ano)) return this.feriadosPorAno.get(ano);
+
+        const feriados = new Map();
+        for (const [mesDia, nome] of Object.entries(FERIADOS_FIXOS)) feriados.set(`${ano}-${mesDia}`, nome);
+        // Lei 14.759/2023: feriado nacional a partir de 2024
+        if (ano >= 2024) feriados.set(`${ano}-11-20`, 'Dia Nacional de Zumbi e da Consciência Negra');
+        const pascoa = this.pascoa(ano);
+        for (const { dias, nome } of FERIADOS_MOVEIS) feriados.set(this.adicionarDias(pascoa, dias), nome);
+        for (const extra of this.extras.filter(d => d.startsWith(`${ano}-`))) {
+            if (!feriados.has(extra)) feriados.set(extra, 'Feriado bancário (configurado)');
+        }
+
+        const ordenados = new Map([...feriados.entries()].sort(([a], [b]) => a.localeCompare(b)));
+        this.feriadosPorAno.set(ano, ordenados);
+        return ordenados;
+    }
+
+    feriado(iso) {
+        return this.feriados(Number(iso.slice(0, 4))).get(iso) || null;
+    }
+
+    diaUtil(iso) {
+        const diaSemana = new Date(`${iso}T00:00:00Z`).getUTCDay();
+        return diaSemana !== 0 && diaSemana !== 6 && !this.feriado(iso);
+    }
+
+    proximoDiaUtil(iso) {
+        let dia = iso;
+        while (!this.diaUtil(dia)) dia = this.adicionarDias(dia, 1);
+        return dia;
+    }
+
+    /**
+     * Último dia em que o boleto pode ser pago sem encargos: o próprio vencimento ou, se cair em
+     * fim de semana ou feriado bancário, o próximo dia útil.
+     */
+    vencimentoEfetivo(dueDate) {
+        const iso = this.paraDataIso(dueDate);
+        return iso ? this.proximoDiaUtil(iso) : null;
+    }
+
+    /**
+     * O boleto já está atrasado na data de referência (hoje em São Paulo, por padrão)?
+     */
+    atrasado(dueDate, dataReferencia = this.hoje()) {
+        const efetivo = this.vencimentoEfetivo(dueDate);
+        return Boolean(efetivo) && this.paraDataIso(dataReferencia) > efetivo;
+    }
+}
+
+module.exports = new DatasBancarias();
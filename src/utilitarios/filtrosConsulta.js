@@ -0,0 +1,176 @@
+// Opções da consulta de boletos por CPF/CNPJ: status, faixa de vencimento, quais boletos a vencer
+// mostrar, ordem e paginação. Sem nenhuma opção, a consulta é a de sempre: os atrasados e o
+// próximo a vencer, atrasados primeiro, tudo em uma página.
+
+// Status aceitos no filtro e o rótulo que cada um recebe na resposta
+const ROTULOS = {
+    late: 'ATRASADO',
+    open: 'A VENCER',
+    paid: 'PAGO',
+    cancelled: 'CANCELADO'
+};
+const STATUS_PADRAO = ['late', 'open'];
+const POR_PAGINA_PADRAO = 20;
+const POR_PAGINA_MAXIMO = 100;
+
+const formatarMoeda = (centavos) => (centavos / 100).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+class FiltrosConsulta {
+
+    /**
+     * AAAA-MM-DD de um dia que existe: new Date('2025-02-30') vira 02/03, então a data precisa voltar igual.
+     */
+    _dataValida(valor) {
+        if (typeof valor !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(valor)) return false;
+        const data = new Date(`${valor}T00:00:00Z`);
+        return !isNaN(data.getTime()) && data.toISOString().slice(0, 10) === valor;
+    }
+
+    _inteiro(valor) {
+        const numero = Number(valor);
+        return Number.isInteger(numero) ? numero : null;
+    }
+
+    /**
+     * Lê as opções da consulta (query string ou corpo do POST).
+     * @param {object} fonte - status (lista separada por vírgula: open, late, paid, cancelled),
+     *   vencimento_inicio / vencimento_fim (AAAA-MM-DD), a_vencer (proximo | todos),
+     *   ordem (asc | desc, por vencimento), pagina, por_pagina (até 100).
+     * @returns {{ valido: boolean, erros: string[], opcoes: object|null }}
+     */
+    ler(fonte = {}) {
+        const erros = [];
+
+        const status = String(fonte.status ?? '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+        const desconhecidos = status.filter(s => !ROTULOS[s]);
+        if (desconhecidos.length) {
+            erros.push(`status inválido: ${desconhecidos.join(', ')}. Use ${Object.keys(ROTULOS).join(', ')}.`);
+        }
+
+        const vencimentoInicio = fonte.vencimento_inicio || null;
+        const vencimentoFim = fonte.vencimento_fim || null;
+        if (vencimentoInicio && !this._dataValida(vencimentoInicio)) erros.push('vencimento_inicio deve ser uma data válida no formato AAAA-MM-DD.');
+        if (vencimentoFim && !this._dataValida(vencimentoFim)) erros.push('vencimento_fim deve ser uma data válida no formato AAAA-MM-DD.');
+        if (vencimentoInicio && vencimentoFim && vencimentoInicio > vencimentoFim) {
+            erros.push('vencimento_inicio não pode ser posterior a vencimento_fim.');
+        }
+
+        const aVencer = String(fonte.a_vencer || 'proximo').toLowerCase();
+        if (!['proximo', 'todos'].includes(aVencer)) erros.push('a_vencer deve ser proximo ou todos.');
+
+        const ordem = fonte.ordem ? String(fonte.ordem).toLowerCase() : null;
+        if (ordem && !['asc', 'desc'].includes(ordem)) erros.push('ordem deve ser asc ou desc.');
+
+        const paginar = fonte.pagina != null || fonte.por_pagina != null;
+        const pagina = fonte.pagina != null ? this._inteiro(fonte.pagina) : 1;
+        const porPagina = fonte.por_pagina != null ? this._inteiro(fonte.por_pagina) : POR_PAGINA_PADRAO;
+        if (pagina == null || pagina < 1) erros.push('pagina deve ser um inteiro maior que zero.');
+        if (porPagina == null || porPagina < 1 || porPagina > POR_PAGINA_MAXIMO) {
+            erros.push(`por_pagina deve ser um inteiro entre 1 e ${POR_PAGINA_MAXIMO}.`);
+        }
+
+        if (erros.length) return { valido: false, erros, opcoes: null };
+        return {
+            valido: true,
+            erros,
+            opcoes: {
+                status: status.length ? [...new Set(status)] : STATUS_PADRAO,
+                vencimentoInicio,
+                vencimentoFim,
+                todosAVencer: aVencer === 'todos',
+                ordem,
+                pagina: paginar ? pagina : 1,
+                porPagina: paginar ? porPagina : null
+            }
+        };
+    }
+
+    /**
+     * Alguma opção muda o resultado da consulta de sempre?
+     */
+    personalizada(opcoes) {
+        return [...opcoes.status].sort().join() !== [...STATUS_PADRAO].sort().join() || Boolean(opcoes.vencimentoInicio || opcoes.vencimentoFim) ||
+            opcoes.todosAVencer || Boolean(opcoes.ordem) || opcoes.porPagina != null;
+    }
+
+    /**
+     * Classifica os boletos do titular, aplica os filtros, ordena e pagina.
+     * @param {object} resultado - Retorno do servicoCora: boletos (todos os status) e boletosAtrasados.
+     * @param {object} opcoes - Retorno de ler().
+     * @returns {{ boletos: object[], paginacao: object, resumo: object }} - boletos da página, com o status
+     *   trocado pelo rótulo (ATRASADO, A VENCER, PAGO, CANCELADO); resumo considera todos os boletos da faixa
+     *   de vencimento, independentemente do filtro de status e da página.
+     */
+    aplicar(resultado, opcoes) {
+        const chave = (boleto) => `${boleto.tenant || ''}:${boleto.id}`;
+        const atrasados = new Set(resultado.boletosAtrasados.map(chave));
+        const classificar = (boleto) => {
+            const status = String(boleto.status || '').toUpperCase();
+            if (status.startsWith('CANCEL')) return 'cancelled';
+            if (status === 'PAID') return 'paid';
+            if (status === 'OPEN' || status === 'LATE') return atrasados.has(chave(boleto)) ? 'late' : 'open';
+            return null;
+        };
+        const porVencimento = (a, b) => String(a.due_date).localeCompare(String(b.due_date));
+
+        // Resultados guardados em cache antes de existir a lista completa só têm os boletos em aberto
+        const naFaixa = (resultado.boletos || resultado.boletosEmAberto || [])
+            .filter(boleto => (!opcoes.vencimentoInicio || String(boleto.due_date) >= opcoes.vencimentoInicio) &&
+                (!opcoes.vencimentoFim || String(boleto.due_date) <= opcoes.vencimentoFim))
+            .map(boleto => ({ boleto, categoria: classificar(boleto) }))
+            .filter(({ categoria }) => categoria)
+            .sort((a, b) => porVencimento(a.boleto, b.boleto));
+
+        // Dos boletos a vencer, por padrão só o próximo (de cada conta, na busca em todos os tenants)
+        const contasComProximo = new Set();
+        let selecionados = naFaixa.filter(({ boleto, categoria }) => {
+            if (!opcoes.status.includes(categoria)) return false;
+            if (categoria !== 'open' || opcoes.todosAVencer) return true;
+            if (contasComProximo.has(boleto.tenant || '')) return false;
+            contasComProximo.add(boleto.tenant || '');
+            return true;
+        }).map(({ boleto, categoria }) => ({ ...boleto, status: ROTULOS[categoria] }));
+
+        if (opcoes.ordem) {
+            selecionados.sort(opcoes.ordem === 'asc' ? porVencimento : (a, b) => porVencimento(b, a));
+        } else {
+            // Ordem de sempre: atrasados primeiro, depois pelo vencimento (a ordenação é estável)
+            const prioridade = (boleto) => (boleto.status === ROTULOS.late ? 0 : 1);
+            selecionados.sort((a, b) => prioridade(a) - prioridade(b));
+        }
+
+        const totalItens = selecionados.length;
+        const porPagina = opcoes.porPagina || Math.max(totalItens, 1);
+        if (opcoes.porPagina) {
+            selecionados = selecionados.slice((opcoes.pagina - 1) * porPagina, opcoes.pagina * porPagina);
+        }
+
+        const somar = (categoria) => {
+            const boletos = naFaixa.filter(b => b.categoria === categoria).map(b => b.boleto);
+            const centavos = boletos.reduce((soma, b) => soma + (b.updated_amount_cents ?? b.amount_cents ?? 0), 0);
+            return { quantidade: boletos.length, centavos };
+        };
+        const vencidos = somar('late');
+        const aVencer = somar('open');
+
+        return {
+            boletos: selecionados,
+            paginacao: {
+                page: opcoes.pagina,
+                page_size: porPagina,
+                total_items: totalItens,
+                total_pages: Math.ceil(totalItens / porPagina)
+            },
+            resumo: {
+                overdue_count: vencidos.quantidade,
+                overdue_total_cents: vencidos.centavos,
+                overdue_total: formatarMoeda(vencidos.centavos),
+                upcoming_count: aVencer.quantidade,
+                upcoming_total_cents: aVencer.centavos,
+                upcoming_total: formatarMoeda(aVencer.centavos)
+            }
+        };
+    }
+}
+
+module.exports = new FiltrosConsulta();
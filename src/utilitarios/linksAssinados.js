@@ -0,0 +1,66 @@
+// src/utilitarios/linksAssinados.js
+// Tokens de curta duração para os links de PDF devolvidos nas consultas: o link leva uma assinatura
+// HMAC do boleto, do tenant e da validade, em vez do CPF/CNPJ do titular, que já foi conferido na consulta.
+// LINKS_ASSINADOS_SEGREDO precisa ser o mesmo em todas as instâncias; sem ele, cada processo sorteia
+// o seu e os links deixam de valer num restart. LINKS_ASSINADOS_VALIDADE_MS define a validade (15 min)
+// e LINKS_ASSINADOS_VALIDADE_EMAIL_MS a dos links enviados nos lembretes por e-mail (30 dias).
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const VALIDADE_PADRAO_MS = 15 * 60 * 1000;
+const VALIDADE_EMAIL_PADRAO_MS = 30 * 24 * 60 * 60 * 1000;
+
+class LinksAssinados {
+
+    constructor() {
+        this.segredo = process.env.LINKS_ASSINADOS_SEGREDO || null;
+        this.validadeMs = Number(process.env.LINKS_ASSINADOS_VALIDADE_MS) || VALIDADE_PADRAO_MS;
+        this.validadeEmailMs = Number(process.env.LINKS_ASSINADOS_VALIDADE_EMAIL_MS) || VALIDADE_EMAIL_PADRAO_MS;
+    }
+
+    _segredo() {
+        if (!this.segredo) {
+            logger.warn('⚠️ LINKS_ASSINADOS_SEGREDO não definido: usando um segredo aleatório deste processo (os links de PDF não valem em outras instâncias nem após um restart).');
+            this.segredo = crypto.randomBytes(32).toString('hex');
+        }
+        return this.segredo;
+    }
+
+    _assinatura(invoiceId, tenant, expiraEm) {
+        return crypto.createHmac('sha256', this._segredo())
+            .update(`${tenant || ''}\n${invoiceId}\n${expiraEm}`)
+            .digest('base64url');
+    }
+
+    /**
+     * Gera o token do link de um boleto.
+     * @param {string} invoiceId - Id do boleto.
+     * @param {string} [tenant] - Tenant em que o boleto foi consultado.
+     * @param {number} [agora] - Instante de referência (ms).
+     * @param {number} [validadeMs] - Padrão: a dos links devolvidos nas consultas.
+     * @returns {string} - "<expira em (ms)>.<assinatura>".
+     */
+    assinar(invoiceId, tenant, agora = Date.now(), validadeMs = this.validadeMs) {
+        const expiraEm = agora + validadeMs;
+        return `${expiraEm}.${this._assinatura(invoiceId, tenant, expiraEm)}`;
+    }
+
+    /**
+     * Confere um token gerado por assinar() para o mesmo boleto e tenant.
+     * @returns {'VALIDO'|'EXPIRADO'|'INVALIDO'}
+     */
+    verificar(token, invoiceId, tenant, agora = Date.now()) {
+        const [expiraEm, assinatura] = String(token || '').split('.');
+        if (!/^\d+$/.test(expiraEm || '') || !assinatura) {
+            return 'INVALIDO';
+        }
+        const esperada = Buffer.from(this._assinatura(invoiceId, tenant, expiraEm));
+        const recebida = Buffer.from(assinatura);
+        if (esperada.length !== recebida.length || !crypto.timingSafeEqual(esperada, recebida)) {
+            return 'INVALIDO';
+        }
+        return Number(expiraEm) < agora ? 'EXPIRADO' : 'VALIDO';
+    }
+}
+
+module.exports = new LinksAssinados();
@@ -0,0 +1,156 @@
+// src/utilitarios/logger.js
+// Logger estruturado com níveis, saída JSON em produção, id de correlação por requisição
+// e mascaramento automático de dados pessoais (LGPD) antes de qualquer escrita.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const NIVEIS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Dados pessoais reconhecidos dentro de textos livres
+const REGEX_CNPJ = /(?<![\dA-Za-z])[\dA-Z]{2}\.?[\dA-Z]{3}\.?[\dA-Z]{3}\/?[\dA-Z]{4}-?\d{2}(?![\dA-Za-z])/g; // inclui o CNPJ alfanumérico
+const REGEX_CPF = /(?<![\dA-Za-z])\d{3}\.?\d{3}\.?\d{3}-?\d{2}(?![\dA-Za-z])/g;
+const REGEX_EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const REGEX_TELEFONE = /(?:\+55\s?)?\(\d{2}\)\s?9?\d{4}-?\d{4}|(?:\+55\s?)?\b\d{2}\s9?\d{4}-\d{4}\b/g;
+// Segredos em query strings (ex.: ?token= do webhook da Cora) nunca vão para o log
+const REGEX_SEGREDO_URL = /([?&](?:token|access_token|secret|segredo|senha|password|assinatura|signature|chave|key)=)[^&#\s]*/gi;
+
+// Chaves de objetos cujo valor é sempre mascarado
+const CHAVES_DOCUMENTO = /^(cpf|cnpj|cpfLimpo|document|documento|identity|customer_document|customerDocument)$/i;
+const CHAVES_EMAIL = /e-?mail/i;
+const CHAVES_TELEFONE = /^(phone|telephone|telefone|celular)$/i;
+const CHAVES_NOME = /^(name|nome|student_name|customer_name|studentName|nomeAluno)$/i;
+// Objetos cujo "name" não é de pessoa (ex.: nome do serviço/parcela)
+const PAIS_SEM_NOME_PESSOAL = /^(services|servicos|items)$/i;
+
+class Logger {
+  constructor() {
+    this.contexto = new AsyncLocalStorage();
+    this.configurar({
+      // "debug" (que inclui os dumps de payload) só quando pedido explicitamente em LOG_LEVEL
+      nivel: process.env.LOG_LEVEL || 'info',
+      formato: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'texto')
+    });
+  }
+
+  /**
+   * Ajusta nível mínimo ("debug" | "info" | "warn" | "error" | "silent") e formato ("json" | "texto").
+   */
+  configurar({ nivel, formato, saida } = {}) {
+    if (nivel) this.nivel = NIVEIS[String(nivel).toLowerCase()] ?? NIVEIS.info;
+    if (formato) this.formato = formato === 'json' ? 'json' : 'texto';
+    if (saida) this.saida = saida;
+    if (!this.saida) this.saida = (linha, nivel) => (nivel >= NIVEIS.warn ? process.stderr : process.stdout).write(linha + '\n');
+  }
+
+  habilitado(nivel) {
+    return NIVEIS[nivel] >= this.nivel;
+  }
+
+  // ---------- mascaramento ----------
+
+  mascararDocumento(valor) {
+    const digitos = String(valor || '').replace(/[^\dA-Za-z]/g, '');
+    if (!digitos) return valor;
+    return '*'.repeat(Math.max(0, digitos.length - 2)) + digitos.slice(-2);
+  }
+
+  mascararEmail(valor) {
+    return String(valor || '').replace(REGEX_EMAIL, '$1***@$2');
+  }
+
+  mascararTelefone(valor) {
+    const digitos = String(valor || '').replace(/\D/g, '');
+    return digitos ? '*'.repeat(Math.max(0, digitos.length - 4)) + digitos.slice(-4) : valor;
+  }
+
+  mascararNome(valor) {
+    return String(valor || '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(parte => `${parte.charAt(0)}***`)
+      .join(' ');
+  }
+
+  mascararTexto(texto) {
+    return String(texto)
+      .replace(REGEX_SEGREDO_URL, '$1***')
+      .replace(REGEX_EMAIL, '$1***@$2')
+      .replace(REGEX_CNPJ, m => this.mascararDocumento(m))
+      .replace(REGEX_CPF, m => this.mascararDocumento(m))
+      .replace(REGEX_TELEFONE, m => this.mascararTelefone(m));
+  }
+
+  /**
+   * Copia profunda do valor com todos os dados pessoais mascarados.
+   */
+  mascarar(valor, chave = null, vistos = new WeakSet(), pai = null) {
+    if (valor == null) return valor;
+    if (valor instanceof Error) {
+      return { mensagem: this.mascararTexto(valor.message), status: valor.response?.status, stack: this.habilitado('debug') ? this.mascararTexto(valor.stack) : undefined };
+    }
+    if (typeof valor === 'object') {
+      if (vistos.has(valor)) return '[circular]';
+      vistos.add(valor);
+      if (Buffer.isBuffer(valor)) return `[buffer ${valor.length} bytes]`;
+      if (Array.isArray(valor)) return valor.map(item => this.mascarar(item, chave, vistos, pai));
+      const copia = {};
+      for (const [k, v] of Object.entries(valor)) copia[k] = this.mascarar(v, k, vistos, chave);
+      return copia;
+    }
+    if (typeof valor !== 'string' && typeof valor !== 'number') return valor;
+
+    if (chave && CHAVES_DOCUMENTO.test(chave)) return this.mascararDocumento(valor);
+    if (chave && CHAVES_EMAIL.test(chave)) return this.mascararEmail(valor);
+    if (chave && CHAVES_TELEFONE.test(chave)) return this.mascararTelefone(valor);
+    if (chave && CHAVES_NOME.test(chave) && !(pai && PAIS_SEM_NOME_PESSOAL.test(pai))) return this.mascararNome(valor);
+    return typeof valor === 'string' ? this.mascararTexto(valor) : valor;
+  }
+
+  // ---------- correlação ----------
+
+  /**
+   * Executa fn com um contexto (ex.: { correlationId }, { tenant }) anexado a todos os logs emitidos
+   * dentro dela. Soma-se ao contexto já em vigor.
+   */
+  executarComContexto(contexto, fn) {
+    return this.contexto.run({ ...this.contexto.getStore(), ...contexto }, fn);
+  }
+
+  correlationId() {
+    return this.contexto.getStore()?.correlationId || null;
+  }
+
+  // ---------- escrita ----------
+
+  _escrever(nivel, mensagem, dados) {
+    if (!this.habilitado(nivel)) return;
+
+    const correlationId = this.correlationId();
+    const tenant = this.contexto.getStore()?.tenant || null;
+    const texto = this.mascararTexto(mensagem);
+    const extras = dados === undefined ? undefined : this.mascarar(dados instanceof Error ? { erro: dados } : dados);
+
+    let linha;
+    if (this.formato === 'json') {
+      linha = JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: nivel,
+        message: texto,
+        ...(correlationId ? { correlationId } : {}),
+        ...(tenant ? { tenant } : {}),
+        ...(extras && typeof extras === 'object' && !Array.isArray(extras) ? extras : extras !== undefined ? { dados: extras } : {})
+      });
+    } else {
+      const prefixo = `${new Date().toISOString()} ${nivel.toUpperCase().padEnd(5)}${correlationId ? ` [${correlationId}]` : ''}${tenant ? ` (${tenant})` : ''}`;
+      const sufixo = extras === undefined ? '' : ` ${typeof extras === 'string' ? extras : JSON.stringify(extras)}`;
+      linha = `${prefixo} ${texto}${sufixo}`;
+    }
+    this.saida(linha, NIVEIS[nivel]);
+  }
+
+  debug(mensagem, dados) { this._escrever('debug', mensagem, dados); }
+  info(mensagem, dados) { this._escrever('info', mensagem, dados); }
+  warn(mensagem, dados) { this._escrever('warn', mensagem, dados); }
+  error(mensagem, dados) { this._escrever('error', mensagem, dados); }
+}
+
+module.exports = new Logger();
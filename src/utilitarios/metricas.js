@@ -0,0 +1,122 @@
+// src/utilitarios/metricas.js
+// Métricas no formato do Prometheus (expostas em GET /metrics): requisições e latência por rota,
+// chamadas à Cora por status, renovações de token, boletos por consulta e, no momento da coleta,
+// o estado do circuit breaker e os dias até o vencimento do certificado. Tudo por tenant (conta da
+// Cora; vazio quando há uma conta só).
+const client = require('prom-client');
+
+const registro = new client.Registry();
+registro.setDefaultLabels({ app: 'app-consulta-boleto-cora' });
+client.collectDefaultMetrics({ register: registro });
+
+const BUCKETS_LATENCIA = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const requisicoesHttp = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Requisições HTTP atendidas, por método, rota e status.',
+  labelNames: ['tenant', 'method', 'route', 'status'],
+  registers: [registro]
+});
+
+const duracaoHttp = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Tempo de resposta das requisições HTTP, por método, rota e status.',
+  labelNames: ['tenant', 'method', 'route', 'status'],
+  buckets: BUCKETS_LATENCIA,
+  registers: [registro]
+});
+
+const duracaoCora = new client.Histogram({
+  name: 'cora_request_duration_seconds',
+  help: 'Latência de cada chamada à API da Cora (cada tentativa), por método, caminho e status.',
+  labelNames: ['tenant', 'method', 'path', 'status'],
+  buckets: BUCKETS_LATENCIA,
+  registers: [registro]
+});
+
+const errosCora = new client.Counter({
+  name: 'cora_request_errors_total',
+  help: 'Chamadas à API da Cora que falharam, por status HTTP (ou código de rede quando não houve resposta).',
+  labelNames: ['tenant', 'method', 'path', 'status'],
+  registers: [registro]
+});
+
+const renovacoesToken = new client.Counter({
+  name: 'cora_token_refreshes_total',
+  help: 'Solicitações de token de acesso à Cora, por motivo (inicial, expirado ou forcada, ex.: após um 401) e resultado.',
+  labelNames: ['tenant', 'reason', 'result'],
+  registers: [registro]
+});
+
+const boletosPorConsulta = new client.Histogram({
+  name: 'cora_invoices_per_lookup',
+  help: 'Invoices detalhados por consulta de boletos de um pagador (CPF/CNPJ).',
+  labelNames: ['tenant'],
+  buckets: [0, 1, 2, 5, 10, 20, 50, 100, 200, 500],
+  registers: [registro]
+});
+
+// Coletados sob demanda: quem mantém o estado se registra aqui (ver registrarColeta)
+const circuitoCora = new client.Gauge({
+  name: 'cora_circuit_open',
+  help: 'Estado do circuit breaker da Cora: 0 fechado, 0.5 meio-aberto, 1 aberto.',
+  labelNames: ['tenant'],
+  registers: [registro],
+  collect() { coletar('circuito', this); }
+});
+
+const diasCertificado = new client.Gauge({
+  name: 'cora_certificate_days_remaining',
+  help: 'Dias até o vencimento do certificado mTLS da Cora (ausente até o certificado ser carregado).',
+  labelNames: ['tenant'],
+  registers: [registro],
+  collect() { coletar('certificado', this); }
+});
+
+const coletas = { circuito: [], certificado: [] };
+
+const coletar = (nome, gauge) => {
+  gauge.reset();
+  for (const fn of coletas[nome]) fn(gauge);
+};
+
+/**
+ * Registra quem fornece o valor de um gauge coletado sob demanda ('circuito' ou 'certificado'),
+ * uma vez por tenant. Assim este módulo não depende dos serviços (que já dependem dele).
+ */
+const registrarColeta = (nome, fn) => {
+  coletas[nome].push(fn);
+};
+
+/**
+ * Caminho de uma chamada à Cora sem ids, para não criar uma série por invoice.
+ * Ex.: /v2/invoices/inv_abc123/cancel -> /v2/invoices/:id/cancel
+ */
+const normalizarCaminhoCora = (caminho) => String(caminho || '')
+  .split('?')[0]
+  .split('/')
+  .map(parte => (/\d/.test(parte) && parte !== 'v2') ? ':id' : parte)
+  .join('/');
+
+/**
+ * Registra uma chamada à Cora (sucesso ou falha).
+ * @param {object} dados - { tenant, metodo, caminho, inicio (ms), status (HTTP ou código de erro), erro }
+ */
+const registrarChamadaCora = ({ tenant = '', metodo, caminho, inicio, status, erro = false }) => {
+  const rotulos = { tenant, method: String(metodo).toUpperCase(), path: normalizarCaminhoCora(caminho), status: String(status) };
+  duracaoCora.observe(rotulos, (Date.now() - inicio) / 1000);
+  if (erro) errosCora.inc(rotulos);
+};
+
+module.exports = {
+  registro,
+  requisicoesHttp,
+  duracaoHttp,
+  renovacoesToken,
+  boletosPorConsulta,
+  circuitoCora,
+  diasCertificado,
+  registrarColeta,
+  registrarChamadaCora,
+  normalizarCaminhoCora
+};
@@ -0,0 +1,89 @@
+// Modelos das mensagens de lembrete (vencimento próximo, vence hoje e em atraso).
+
+const ESCAPES_HTML = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const MODELOS = {
+    VENCE_EM_BREVE: {
+        assunto: 'Seu boleto vence em {{dias}} dias ({{vencimento}})',
+        abertura: 'Este é um lembrete de que o boleto de {{descricao}}, no valor de {{valor}}, vence em {{vencimento}}.'
+    },
+    VENCE_HOJE: {
+        assunto: 'Seu boleto vence hoje ({{vencimento}})',
+        abertura: 'O boleto de {{descricao}}, no valor de {{valor}}, vence hoje. Pagando até o fim do dia você evita multa e juros.'
+    },
+    ATRASADO: {
+        assunto: 'Boleto em atraso desde {{vencimento}}',
+        abertura: 'Não identificamos o pagamento do boleto de {{descricao}}, que venceu em {{vencimento}}. O valor atualizado para hoje é {{valor}}.'
+    }
+};
+
+class ModelosLembrete {
+
+    _formatarData(iso) {
+        if (!iso) return '';
+        const [ano, mes, dia] = String(iso).slice(0, 10).split('-');
+        return `${dia}/${mes}/${ano}`;
+    }
+
+    _preencher(texto, variaveis) {
+        return texto.replace(/\{\{(\w+)\}\}/g, (_, nome) => variaveis[nome] ?? '');
+    }
+
+    _escaparHtml(texto) {
+        return String(texto).replace(/[&<>"']/g, c => ESCAPES_HTML[c]);
+    }
+
+    /**
+     * Monta a mensagem de um lembrete.
+     * @param {'VENCE_EM_BREVE'|'VENCE_HOJE'|'ATRASADO'} tipo
+     * @param {object} boleto - Boleto no formato do front (_formatInvoiceForFront).
+     * @param {object} [opcoes] - { dias, descricao, instituicao }
+     * @returns {{ assunto: string, texto: string, html: string }}
+     */
+    montar(tipo, boleto, { dias = null, descricao = null, instituicao = process.env.LEMBRETES_INSTITUICAO || '' } = {}) {
+        const modelo = MODELOS[tipo];
+        if (!modelo) throw new Error(`Modelo de lembrete desconhecido: ${tipo}`);
+
+        const variaveis = {
+            nome: (boleto.student_name || '').split(' ')[0],
+            dias,
+            vencimento: this._formatarData(boleto.due_date),
+            descricao: descricao || 'sua mensalidade',
+            valor: tipo === 'ATRASADO' ? (boleto.updated_amount || boleto.amount) : boleto.amount
+        };
+        const assunto = this._preencher(modelo.assunto, variaveis);
+        const abertura = this._preencher(modelo.abertura, variaveis);
+
+        // Blocos de pagamento: só entram os meios disponíveis neste boleto
+        const blocos = [];
+        if (boleto.digitable) blocos.push({ titulo: 'Linha digitável', valor: boleto.digitable });
+        if (boleto.pix_payload && boleto.pix_valid !== false) blocos.push({ titulo: 'PIX copia e cola', valor: boleto.pix_payload });
+        if (boleto.pdf_url) blocos.push({ titulo: 'Boleto em PDF', valor: boleto.pdf_url, link: true });
+
+        const saudacao = variaveis.nome ? `Olá, ${variaveis.nome}!` : 'Olá!';
+        const rodape = 'Se você já pagou, desconsidere esta mensagem.' + (instituicao ? `\n${instituicao}` : '');
+
+        const texto = [
+            saudacao,
+            '',
+            abertura,
+            '',
+            ...blocos.flatMap(b => [`${b.titulo}:`, b.valor, '']),
+            rodape
+        ].join('\n');
+
+        const e = (t) => this._escaparHtml(t);
+        const html = [
+            `<p>${e(saudacao)}</p>`,
+            `<p>${e(abertura)}</p>`,
+            ...blocos.map(b => b.link
+                ? `<p><strong>${e(b.titulo)}:</strong><br><a href="${e(b.valor)}">${e(b.valor)}</a></p>`
+                : `<p><strong>${e(b.titulo)}:</strong><br><code style="word-break:break-all">${e(b.valor)}</code></p>`),
+            `<p style="color:#666">${e(rodape).replace(/\n/g, '<br>')}</p>`
+        ].join('\n');
+
+        return { assunto, texto, html };
+    }
+}
+
+module.exports = new ModelosLembrete();
@@ -0,0 +1,180 @@
+// IDs de campos do BR Code (padrão EMV QRCPS-MPM, Manual do BR Code do Banco Central)
+const ID_PAYLOAD_FORMAT = '00';
+const ID_POINT_OF_INITIATION = '01';
+const ID_MERCHANT_ACCOUNT_PIX = '26';
+const ID_TRANSACTION_AMOUNT = '54';
+const ID_MERCHANT_NAME = '59';
+const ID_MERCHANT_CITY = '60';
+const ID_ADDITIONAL_DATA = '62';
+const ID_CRC = '63';
+
+const GUI_PIX = 'br.gov.bcb.pix';
+
+class PixBrCode {
+
+    /**
+     * Calcula o CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF) exigido pelo BR Code.
+     * @param {string} texto - Payload até o "6304" inclusive.
+     * @returns {string} - CRC em 4 dígitos hexadecimais maiúsculos.
+     */
+    crc16(texto) {
+        let crc = 0xFFFF;
+        const bytes = Buffer.from(texto, 'utf8');
+        for (const byte of bytes) {
+            crc ^= byte << 8;
+            for (let i = 0; i < 8; i++) {
+                crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+                crc &= 0xFFFF;
+            }
+        }
+        return crc.toString(16).toUpperCase().padStart(4, '0');
+    }
+
+    /**
+     * Decompõe uma sequência TLV (ID de 2 dígitos, tamanho de 2 dígitos, valor).
+     * @param {string} texto - Trecho TLV.
+     * @returns {Array<{id: string, valor: string}>}
+     * @throws {Error} - Se a estrutura estiver truncada ou malformada.
+     */
+    parseTlv(texto) {
+        const campos = [];
+        let pos = 0;
+        while (pos < texto.length) {
+            const id = texto.substr(pos, 2);
+            const tamanhoStr = texto.substr(pos + 2, 2);
+            if (!/^\d{2}$/.test(id) || !/^\d{2}$/.test(tamanhoStr)) {
+                throw new Error(`Campo TLV malformado na posição ${pos}.`);
+            }
+            const tamanho = parseInt(tamanhoStr, 10);
+            const valor = texto.substr(pos + 4, tamanho);
+            if (valor.length !== tamanho) {
+                throw new Error(`Campo ${id} truncado: esperado ${tamanho} caracteres.`);
+            }
+            campos.push({ id, valor });
+            pos += 4 + tamanho;
+        }
+        return campos;
+    }
+
+    _campo(campos, id) {
+        const campo = campos.find(c => c.id === id);
+        return campo ? campo.valor : null;
+    }
+
+    /**
+     * Decodifica e valida um payload PIX "copia e cola".
+     * @param {string} payload - String EMV do BR Code.
+     * @returns {object} - { valido, erros, merchant_name, merchant_city, amount_cents, txid, pix_key, location_url, point_of_initiation, crc }
+     */
+    decodificar(payload) {
+        const resultado = {
+            valido: false,
+            erros: [],
+            merchant_name: null,
+            merchant_city: null,
+            amount_cents: null,
+            txid: null,
+            pix_key: null,
+            location_url: null,
+            point_of_initiation: null,
+            crc: null
+        };
+
+        if (!payload || typeof payload !== 'string') {
+            resultado.erros.push('Payload PIX ausente.');
+            return resultado;
+        }
+        const texto = payload.trim();
+
+        let campos;
+        try {
+            campos = this.parseTlv(texto);
+        } catch (e) {
+            resultado.erros.push(e.message);
+            return resultado;
+        }
+
+        if (this._campo(campos, ID_PAYLOAD_FORMAT) !== '01') {
+            resultado.erros.push('Payload Format Indicator (00) ausente ou diferente de "01".');
+        }
+
+        // CRC: deve ser o último campo e cobrir todo o payload até "6304"
+        const ultimo = campos[campos.length - 1];
+        if (!ultimo || ultimo.id !== ID_CRC || ultimo.valor.length !== 4) {
+            resultado.erros.push('Campo CRC (63) ausente ou fora da posição final.');
+        } else {
+            resultado.crc = ultimo.valor.toUpperCase();
+            const esperado = this.crc16(texto.slice(0, -4));
+            if (esperado !== resultado.crc) {
+                resultado.erros.push(`CRC inválido: esperado ${esperado}, recebido ${resultado.crc}.`);
+            }
+        }
+
+        // Merchant Account Information (26): GUI + chave (01) ou URL de cobrança (25)
+        const contaPix = this._campo(campos, ID_MERCHANT_ACCOUNT_PIX);
+        if (!contaPix) {
+            resultado.erros.push('Merchant Account Information PIX (26) ausente.');
+        } else {
+            try {
+                const sub = this.parseTlv(contaPix);
+                if (String(this._campo(sub, '00')).toLowerCase() !== GUI_PIX) {
+                    resultado.erros.push(`GUI do campo 26 diferente de "${GUI_PIX}".`);
+                }
+                resultado.pix_key = this._campo(sub, '01');
+                resultado.location_url = this._campo(sub, '25');
+            } catch (e) {
+                resultado.erros.push(`Campo 26 malformado: ${e.message}`);
+            }
+        }
+
+        const valor = this._campo(campos, ID_TRANSACTION_AMOUNT);
+        if (valor != null) {
+            if (/^\d+(\.\d{1,2})?$/.test(valor)) {
+                resultado.amount_cents = Math.round(parseFloat(valor) * 100);
+            } else {
+                resultado.erros.push(`Valor da transação (54) inválido: "${valor}".`);
+            }
+        }
+
+        resultado.merchant_name = this._campo(campos, ID_MERCHANT_NAME);
+        resultado.merchant_city = this._campo(campos, ID_MERCHANT_CITY);
+        if (!resultado.merchant_name) resultado.erros.push('Nome do recebedor (59) ausente.');
+        if (!resultado.merchant_city) resultado.erros.push('Cidade do recebedor (60) ausente.');
+
+        const adicionais = this._campo(campos, ID_ADDITIONAL_DATA);
+        if (adicionais) {
+            try {
+                resultado.txid = this._campo(this.parseTlv(adicionais), '05');
+            } catch (e) {
+                resultado.erros.push(`Campo 62 malformado: ${e.message}`);
+            }
+        }
+
+        // Ponto de iniciação (01): "11" estático, "12" dinâmico — apenas informativo
+        resultado.point_of_initiation = this._campo(campos, ID_POINT_OF_INITIATION);
+
+        resultado.valido = resultado.erros.length === 0;
+        return resultado;
+    }
+
+    /**
+     * Decodifica o payload e confere o valor com o do invoice (quando o BR Code traz valor).
+     * @param {string} payload - String EMV do BR Code.
+     * @param {number|null} valorEsperadoCents - Valor do invoice em centavos.
+     * @returns {object} - Mesmo retorno de decodificar(), com "valor_confere".
+     */
+    validarContraInvoice(payload, valorEsperadoCents) {
+        const resultado = this.decodificar(payload);
+        resultado.valor_confere = null;
+        if (resultado.amount_cents != null && valorEsperadoCents != null) {
+            resultado.valor_confere = resultado.amount_cents === valorEsperadoCents;
+            if (!resultado.valor_confere) {
+                resultado.erros.push(`Valor do PIX (${resultado.amount_cents}) diverge do invoice (${valorEsperadoCents}).`);
+                resultado.valido = false;
+            }
+        }
+        return resultado;
+    }
+}
+
+module.exports = new PixBrCode();
@@ -0,0 +1,11 @@
+// Respostas de erro compartilhadas entre os controladores.
+
+/**
+ * Responde 503 quando a Cora está indisponível (circuito aberto), repassando o Retry-After.
+ */
+const responderCoraIndisponivel = (res, error) => {
+    if (error.retryAfterSegundos) res.set('Retry-After', String(error.retryAfterSegundos));
+    return res.status(503).json({ erro: 'O serviço de boletos está temporariamente indisponível. Por favor, tente novamente em instantes.' });
+};
+
+module.exports = { responderCoraIndisponivel };
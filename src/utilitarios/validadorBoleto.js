@@ -0,0 +1,183 @@
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+// Data-base do fator de vencimento (FEBRABAN) e a data-base adotada após o fator 9999 (21/02/2025)
+const DATA_BASE_ORIGINAL = Date.UTC(1997, 9, 7);
+const DATA_BASE_NOVA = Date.UTC(2025, 1, 22);
+
+class ValidadorBoleto {
+
+    /**
+     * Remove tudo que não for dígito (pontos, espaços) da linha digitável ou código de barras.
+     * @param {string} codigo - Código a ser limpo.
+     * @returns {string} - Apenas dígitos.
+     */
+    limpar(codigo) {
+        if (!codigo) {
+            return '';
+        }
+        return String(codigo).replace(/[^\d]/g, '');
+    }
+
+    /**
+     * Dígito verificador módulo 10 (campos 1, 2 e 3 da linha digitável).
+     * Pesos 2 e 1 alternados da direita para a esquerda, somando os algarismos de cada produto.
+     */
+    modulo10(numero) {
+        let soma = 0;
+        let peso = 2;
+        for (let i = numero.length - 1; i >= 0; i--) {
+            let produto = parseInt(numero.charAt(i)) * peso;
+            if (produto > 9) produto = Math.floor(produto / 10) + (produto % 10);
+            soma += produto;
+            peso = peso === 2 ? 1 : 2;
+        }
+        return (10 - (soma % 10)) % 10;
+    }
+
+    /**
+     * Dígito verificador geral módulo 11 do código de barras (posição 5).
+     * Pesos de 2 a 9 da direita para a esquerda; resultados 0, 10 e 11 viram 1.
+     */
+    modulo11(numero) {
+        let soma = 0;
+        let peso = 2;
+        for (let i = numero.length - 1; i >= 0; i--) {
+            soma += parseInt(numero.charAt(i)) * peso;
+            peso = peso === 9 ? 2 : peso + 1;
+        }
+        const dv = 11 - (soma % 11);
+        return (dv === 0 || dv === 10 || dv === 11) ? 1 : dv;
+    }
+
+    /**
+     * Valida um código de barras bancário de 44 posições.
+     * @param {string} codigoBarras - O código de barras (apenas dígitos ou formatado).
+     * @returns {boolean} - true se o dígito geral confere.
+     */
+    validarCodigoBarras(codigoBarras) {
+        const cb = this.limpar(codigoBarras);
+        if (cb.length !== 44 || cb.charAt(0) === '8') {
+            return false;
+        }
+        const semDv = cb.slice(0, 4) + cb.slice(5);
+        return this.modulo11(semDv) === parseInt(cb.charAt(4));
+    }
+
+    /**
+     * Valida uma linha digitável bancária de 47 posições (três DVs módulo 10 + DV geral).
+     * @param {string} linhaDigitavel - A linha digitável (com ou sem pontuação).
+     * @returns {boolean} - true se todos os dígitos verificadores conferem.
+     */
+    validarLinhaDigitavel(linhaDigitavel) {
+        const ld = this.limpar(linhaDigitavel);
+        if (ld.length !== 47) {
+            return false;
+        }
+        const campos = [ld.slice(0, 10), ld.slice(10, 21), ld.slice(21, 32)];
+        for (const campo of campos) {
+            if (this.modulo10(campo.slice(0, -1)) !== parseInt(campo.slice(-1))) {
+                return false;
+            }
+        }
+        return this.validarCodigoBarras(this.linhaDigitavelParaCodigoBarras(ld));
+    }
+
+    /**
+     * Converte o código de barras (44) na linha digitável (47), recalculando os DVs dos campos.
+     * @param {string} codigoBarras - Código de barras de 44 dígitos.
+     * @returns {string|null} - Linha digitável apenas com dígitos, ou null se o tamanho for inválido.
+     */
+    codigoBarrasParaLinhaDigitavel(codigoBarras) {
+        const cb = this.limpar(codigoBarras);
+        if (cb.length !== 44) {
+            return null;
+        }
+        const campoLivre = cb.slice(19);
+        const campo1 = cb.slice(0, 4) + campoLivre.slice(0, 5);
+        const campo2 = campoLivre.slice(5, 15);
+        const campo3 = campoLivre.slice(15, 25);
+        return campo1 + this.modulo10(campo1) +
+            campo2 + this.modulo10(campo2) +
+            campo3 + this.modulo10(campo3) +
+            cb.charAt(4) +
+            cb.slice(5, 19);
+    }
+
+    /**
+     * Converte a linha digitável (47) no código de barras (44).
+     * @param {string} linhaDigitavel - Linha digitável (com ou sem pontuação).
+     * @returns {string|null} - Código de barras, ou null se o tamanho for inválido.
+     */
+    linhaDigitavelParaCodigoBarras(linhaDigitavel) {
+        const ld = this.limpar(linhaDigitavel);
+        if (ld.length !== 47) {
+            return null;
+        }
+        return ld.slice(0, 4) +
+            ld.charAt(32) +
+            ld.slice(33, 47) +
+            ld.slice(4, 9) +
+            ld.slice(10, 20) +
+            ld.slice(21, 31);
+    }
+
+    /**
+     * Converte o fator de vencimento em data 'YYYY-MM-DD'. Como o fator reiniciou em 1000
+     * a partir de 22/02/2025, escolhe a data mais próxima da data de referência.
+     */
+    fatorParaData(fator, dataReferencia = new Date()) {
+        if (!fator) return null;
+        const referencia = new Date(dataReferencia).getTime();
+        const candidatas = [DATA_BASE_ORIGINAL + fator * MS_POR_DIA];
+        if (fator >= 1000) candidatas.push(DATA_BASE_NOVA + (fator - 1000) * MS_POR_DIA);
+        const escolhida = candidatas.reduce((melhor, atual) =>
+            Math.abs(atual - referencia) < Math.abs(melhor - referencia) ? atual : melhor
+        );
+        return new Date(escolhida).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Decodifica um código de barras ou linha digitável bancária.
+     * @param {string} codigo - Código de barras (44) ou linha digitável (47).
+     * @param {Date|string} [dataReferencia] - Usada para resolver o fator de vencimento (ex.: vencimento do invoice).
+     * @returns {object} - { valido, erros, codigo_barras, linha_digitavel, banco, moeda, fator_vencimento, vencimento, valor_cents }
+     */
+    decodificar(codigo, dataReferencia = new Date()) {
+        const resultado = {
+            valido: false,
+            erros: [],
+            codigo_barras: null,
+            linha_digitavel: null,
+            banco: null,
+            moeda: null,
+            fator_vencimento: null,
+            vencimento: null,
+            valor_cents: null
+        };
+
+        const limpo = this.limpar(codigo);
+        if (limpo.length === 44) {
+            resultado.codigo_barras = limpo;
+            resultado.linha_digitavel = this.codigoBarrasParaLinhaDigitavel(limpo);
+            if (!this.validarCodigoBarras(limpo)) resultado.erros.push('Dígito verificador geral do código de barras inválido.');
+        } else if (limpo.length === 47) {
+            resultado.linha_digitavel = limpo;
+            resultado.codigo_barras = this.linhaDigitavelParaCodigoBarras(limpo);
+            if (!this.validarLinhaDigitavel(limpo)) resultado.erros.push('Dígitos verificadores da linha digitável inválidos.');
+        } else {
+            resultado.erros.push(`Tamanho inválido (${limpo.length} dígitos): esperado 44 (código de barras) ou 47 (linha digitável).`);
+            return resultado;
+        }
+
+        const cb = resultado.codigo_barras;
+        resultado.banco = cb.slice(0, 3);
+        resultado.moeda = cb.charAt(3);
+        resultado.fator_vencimento = parseInt(cb.slice(5, 9), 10);
+        resultado.vencimento = this.fatorParaData(resultado.fator_vencimento, dataReferencia);
+        resultado.valor_cents = parseInt(cb.slice(9, 19), 10);
+
+        resultado.valido = resultado.erros.length === 0;
+        return resultado;
+    }
+}
+
+module.exports = new ValidadorBoleto();
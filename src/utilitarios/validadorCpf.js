@@ -1,3 +1,5 @@
+const logger = require('./logger');
+
 class ValidadorCpf {
 
     /**
@@ -7,7 +9,7 @@ class ValidadorCpf {
      */
     validar(cpf) {
         if (!cpf) {
-            console.warn('⚠️ CPF não fornecido para validação.');
+            logger.warn('⚠️ CPF não fornecido para validação.');
             return false;
         }
 
@@ -16,13 +18,13 @@ class ValidadorCpf {
 
         // Verifica se tem 11 dígitos
         if (cpfLimpo.length !== 11) {
-            console.warn(`⚠️ CPF "${cpf}" inválido: deve ter 11 dígitos.`);
+            logger.warn(`⚠️ CPF "${logger.mascararDocumento(cpf)}" inválido: deve ter 11 dígitos.`);
             return false;
         }
 
         // Verifica se todos os dígitos são iguais (CPFs inválidos por regra)
         if (/^(\d)\1{10}$/.test(cpfLimpo)) {
-            console.warn(`⚠️ CPF "${cpf}" inválido: todos os dígitos são iguais.`);
+            logger.warn(`⚠️ CPF "${logger.mascararDocumento(cpf)}" inválido: todos os dígitos são iguais.`);
             return false;
         }
 
@@ -36,7 +38,7 @@ class ValidadorCpf {
 
         // Compara com o primeiro dígito verificador do CPF fornecido
         if (digitoVerificador1 !== parseInt(cpfLimpo.charAt(9))) {
-            console.warn(`⚠️ CPF "${cpf}" inválido: primeiro dígito verificador incorreto.`);
+            logger.warn(`⚠️ CPF "${logger.mascararDocumento(cpf)}" inválido: primeiro dígito verificador incorreto.`);
             return false;
         }
 
@@ -50,11 +52,11 @@ class ValidadorCpf {
 
         // Compara com o segundo dígito verificador do CPF fornecido
         if (digitoVerificador2 !== parseInt(cpfLimpo.charAt(10))) {
-            console.warn(`⚠️ CPF "${cpf}" inválido: segundo dígito verificador incorreto.`);
+            logger.warn(`⚠️ CPF "${logger.mascararDocumento(cpf)}" inválido: segundo dígito verificador incorreto.`);
             return false;
         }
 
-        console.log(`✅ CPF "${cpf}" validado com sucesso.`);
+        logger.info(`✅ CPF "${logger.mascararDocumento(cpf)}" validado com sucesso.`);
         return true;
     }
 
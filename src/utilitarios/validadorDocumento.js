@@ -0,0 +1,108 @@
+const validadorCpf = require('./validadorCpf');
+const logger = require('./logger');
+
+// Pesos dos dígitos verificadores do CNPJ (numérico e alfanumérico)
+const PESOS_DV1 = [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+const PESOS_DV2 = [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+
+class ValidadorDocumento {
+
+    /**
+     * Limpa o documento, removendo pontuação e espaços. Letras são mantidas (em maiúsculas)
+     * por causa do CNPJ alfanumérico.
+     * @param {string} documento - CPF ou CNPJ, formatado ou não.
+     * @returns {string} - Apenas letras maiúsculas e dígitos.
+     */
+    limpar(documento) {
+        if (!documento) {
+            return '';
+        }
+        return String(documento).toUpperCase().replace(/[^0-9A-Z]/g, '');
+    }
+
+    /**
+     * Identifica o tipo do documento pelo tamanho e formato, sem validar os dígitos.
+     * @returns {'CPF'|'CNPJ'|null}
+     */
+    detectarTipo(documento) {
+        const limpo = this.limpar(documento);
+        if (/^\d{11}$/.test(limpo)) return 'CPF';
+        if (/^[0-9A-Z]{12}\d{2}$/.test(limpo)) return 'CNPJ';
+        return null;
+    }
+
+    /**
+     * Calcula um dígito verificador do CNPJ. Cada caractere vale seu código ASCII menos 48
+     * (0-9 => 0-9, A-Z => 17-42), o que cobre tanto o CNPJ numérico quanto o alfanumérico.
+     */
+    _digitoCnpj(base, pesos) {
+        let soma = 0;
+        for (let i = 0; i < base.length; i++) {
+            soma += (base.charCodeAt(i) - 48) * pesos[i];
+        }
+        const resto = soma % 11;
+        return resto < 2 ? 0 : 11 - resto;
+    }
+
+    /**
+     * Valida um CNPJ numérico ou alfanumérico (formato da Receita Federal a partir de 2026).
+     * @param {string} cnpj - O CNPJ (pode conter pontos, barra e traço).
+     * @returns {boolean} - Retorna true se o CNPJ for válido.
+     */
+    validarCnpj(cnpj) {
+        const limpo = this.limpar(cnpj);
+        const mascarado = logger.mascararDocumento(limpo);
+
+        if (!/^[0-9A-Z]{12}\d{2}$/.test(limpo)) {
+            logger.warn(`⚠️ CNPJ "${mascarado}" inválido: deve ter 12 caracteres alfanuméricos seguidos de 2 dígitos.`);
+            return false;
+        }
+        if (/^(.)\1{13}$/.test(limpo)) {
+            logger.warn(`⚠️ CNPJ "${mascarado}" inválido: todos os caracteres são iguais.`);
+            return false;
+        }
+
+        const dv1 = this._digitoCnpj(limpo.slice(0, 12), PESOS_DV1);
+        const dv2 = this._digitoCnpj(limpo.slice(0, 12) + dv1, PESOS_DV2);
+        if (dv1 !== parseInt(limpo.charAt(12)) || dv2 !== parseInt(limpo.charAt(13))) {
+            logger.warn(`⚠️ CNPJ "${mascarado}" inválido: dígitos verificadores incorretos.`);
+            return false;
+        }
+
+        logger.info(`✅ CNPJ "${mascarado}" validado com sucesso.`);
+        return true;
+    }
+
+    /**
+     * Valida um documento de pagador (CPF ou CNPJ).
+     * @param {string} documento - CPF ou CNPJ, formatado ou não.
+     * @returns {{ valido: boolean, tipo: 'CPF'|'CNPJ'|null, documento: string }} - documento já limpo.
+     */
+    validar(documento) {
+        const limpo = this.limpar(documento);
+        const tipo = this.detectarTipo(limpo);
+        if (tipo === 'CPF') {
+            return { valido: validadorCpf.validar(limpo), tipo, documento: limpo };
+        }
+        if (tipo === 'CNPJ') {
+            return { valido: this.validarCnpj(limpo), tipo, documento: limpo };
+        }
+        logger.warn(`⚠️ Documento "${logger.mascararDocumento(limpo)}" não reconhecido como CPF nem CNPJ.`);
+        return { valido: false, tipo: null, documento: limpo };
+    }
+
+    /**
+     * Confere se o documento informado é o do titular de um invoice (customer.document).
+     * @param {{ identity: string, type?: string }} documentoInvoice - customer.document do invoice.
+     * @param {string} documento - Documento já limpo.
+     * @param {string} tipo - 'CPF' ou 'CNPJ'.
+     */
+    pertenceAoTitular(documentoInvoice, documento, tipo) {
+        if (!documentoInvoice || !documentoInvoice.identity) return false;
+        const tipoInvoice = documentoInvoice.type ? String(documentoInvoice.type).toUpperCase() : null;
+        if (tipoInvoice && tipo && tipoInvoice !== tipo) return false;
+        return this.limpar(documentoInvoice.identity) === this.limpar(documento);
+    }
+}
+
+module.exports = new ValidadorDocumento();
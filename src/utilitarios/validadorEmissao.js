@@ -0,0 +1,141 @@
+const validadorDocumento = require('./validadorDocumento');
+const calculadoraEncargos = require('./calculadoraEncargos');
+
+const FORMAS_PAGAMENTO = ['BANK_SLIP', 'PIX'];
+const REGEX_EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+class ValidadorEmissao {
+
+    _inteiroPositivo(valor) {
+        return Number.isInteger(valor) && valor > 0;
+    }
+
+    _percentual(valor) {
+        return typeof valor === 'number' && isFinite(valor) && valor > 0 && valor <= 100;
+    }
+
+    _dataValida(valor) {
+        return typeof valor === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(valor) && !isNaN(new Date(valor).getTime());
+    }
+
+    /**
+     * Valida os dados de um novo boleto e monta o corpo esperado pelo POST /v2/invoices da Cora.
+     * O documento do pagador passa pelas mesmas regras da consulta (CPF ou CNPJ, inclusive alfanumérico).
+     * @param {object} dados - { code?, customer: { name, document, email? }, services: [{ name, description?, amount_cents }],
+     *   due_date, fine?: { amount_cents | rate, date? }, interest?: { rate }, discount?: { type: 'FIXED'|'PERCENT', value, date? },
+     *   payment_forms?: ['BANK_SLIP', 'PIX'] }
+     * @param {Date|string} [dataReferencia=new Date()] - "Hoje", para impedir vencimento no passado.
+     * @returns {{ valido: boolean, erros: string[], invoice: object|null }}
+     */
+    validar(dados, dataReferencia = new Date()) {
+        const erros = [];
+        if (!dados || typeof dados !== 'object') {
+            return { valido: false, erros: ['Corpo da requisição ausente ou inválido.'], invoice: null };
+        }
+
+        // Pagador
+        const customer = dados.customer || {};
+        const nome = typeof customer.name === 'string' ? customer.name.trim() : '';
+        if (!nome) erros.push('customer.name é obrigatório.');
+        else if (nome.length > 100) erros.push('customer.name deve ter no máximo 100 caracteres.');
+
+        const documento = validadorDocumento.validar(customer.document || customer.cpf || customer.cnpj);
+        if (!documento.valido) erros.push('customer.document deve ser um CPF ou CNPJ válido.');
+
+        const email = customer.email ? String(customer.email).trim() : null;
+        if (email && !REGEX_EMAIL.test(email)) erros.push('customer.email inválido.');
+
+        // Serviços
+        const services = Array.isArray(dados.services) ? dados.services : [];
+        if (services.length === 0) erros.push('Informe ao menos um item em services.');
+        services.forEach((s, i) => {
+            if (!s || typeof s.name !== 'string' || !s.name.trim()) erros.push(`services[${i}].name é obrigatório.`);
+            if (!this._inteiroPositivo(s?.amount_cents)) erros.push(`services[${i}].amount_cents deve ser um inteiro positivo (centavos).`);
+        });
+        const totalCents = services.reduce((soma, s) => soma + (this._inteiroPositivo(s?.amount_cents) ? s.amount_cents : 0), 0);
+
+        // Vencimento
+        const hoje = calculadoraEncargos.paraDataIso(dataReferencia);
+        if (!this._dataValida(dados.due_date)) erros.push('due_date é obrigatório no formato AAAA-MM-DD.');
+        else if (dados.due_date < hoje) erros.push('due_date não pode estar no passado.');
+
+        // Multa: valor fixo em centavos ou percentual sobre o valor
+        let fine;
+        if (dados.fine) {
+            const { amount_cents: valor, rate, date } = dados.fine;
+            if ((valor != null) === (rate != null)) erros.push('fine deve ter apenas um entre amount_cents e rate.');
+            else if (valor != null && !this._inteiroPositivo(valor)) erros.push('fine.amount_cents deve ser um inteiro positivo.');
+            else if (rate != null && !this._percentual(rate)) erros.push('fine.rate deve ser um percentual entre 0 e 100.');
+            if (date != null && (!this._dataValida(date) || (this._dataValida(dados.due_date) && date <= dados.due_date))) {
+                erros.push('fine.date deve ser posterior ao vencimento (AAAA-MM-DD).');
+            }
+            fine = { ...(valor != null ? { amount: valor } : { rate }), ...(date ? { date } : {}) };
+        }
+
+        // Juros: percentual ao mês
+        let interest;
+        if (dados.interest) {
+            if (!this._percentual(dados.interest.rate)) erros.push('interest.rate deve ser um percentual mensal entre 0 e 100.');
+            interest = { rate: dados.interest.rate };
+        }
+
+        // Desconto por pontualidade
+        let discount;
+        if (dados.discount) {
+            const tipo = String(dados.discount.type || '').toUpperCase();
+            const { value, date } = dados.discount;
+            if (tipo === 'FIXED') {
+                if (!this._inteiroPositivo(value)) erros.push('discount.value deve ser um inteiro positivo (centavos) quando type é FIXED.');
+                else if (value >= totalCents) erros.push('discount.value deve ser menor que o valor total do boleto.');
+            } else if (tipo === 'PERCENT') {
+                if (!this._percentual(value) || value >= 100) erros.push('discount.value deve ser um percentual entre 0 e 100 quando type é PERCENT.');
+            } else {
+                erros.push('discount.type deve ser FIXED ou PERCENT.');
+            }
+            if (date != null && (!this._dataValida(date) || (this._dataValida(dados.due_date) && date > dados.due_date))) {
+                erros.push('discount.date deve ser anterior ou igual ao vencimento (AAAA-MM-DD).');
+            }
+            discount = { type: tipo, value, ...(date ? { date } : {}) };
+        }
+
+        // Formas de pagamento
+        const formas = dados.payment_forms == null
+            ? FORMAS_PAGAMENTO
+            : (Array.isArray(dados.payment_forms) ? dados.payment_forms.map(f => String(f).toUpperCase()) : []);
+        if (formas.length === 0 || formas.some(f => !FORMAS_PAGAMENTO.includes(f))) {
+            erros.push(`payment_forms deve conter ${FORMAS_PAGAMENTO.join(' e/ou ')}.`);
+        }
+
+        if (dados.code != null && (typeof dados.code !== 'string' || dados.code.length > 100)) {
+            erros.push('code deve ser um texto de até 100 caracteres.');
+        }
+
+        if (erros.length) {
+            return { valido: false, erros, invoice: null };
+        }
+
+        const invoice = {
+            ...(dados.code ? { code: dados.code } : {}),
+            customer: {
+                name: nome,
+                ...(email ? { email } : {}),
+                document: { identity: documento.documento, type: documento.tipo }
+            },
+            services: services.map(s => ({
+                name: s.name.trim(),
+                ...(s.description ? { description: String(s.description) } : {}),
+                amount: s.amount_cents
+            })),
+            payment_terms: {
+                due_date: dados.due_date,
+                ...(fine ? { fine } : {}),
+                ...(interest ? { interest } : {}),
+                ...(discount ? { discount } : {})
+            },
+            payment_forms: [...new Set(formas)]
+        };
+        return { valido: true, erros: [], invoice };
+    }
+}
+
+module.exports = new ValidadorEmissao();
@@ -0,0 +1,86 @@
+// Ambiente dos testes: pasta temporária (certificados e arquivos JSON), variáveis de ambiente e o
+// simulador da Cora. Os módulos de src/ leem o ambiente ao serem carregados, então cada arquivo de
+// teste prepara o ambiente e sobe o simulador antes de dar require neles.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SimuladorCora } = require('../../src/simulador/simuladorCora');
+
+const modelo = require('../../src/parametrosCora.json');
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+/**
+ * Data (AAAA-MM-DD) a N dias de hoje, no horário de São Paulo (o mesmo "hoje" do serviço).
+ */
+const diasAPartirDeHoje = (dias) => {
+  const hoje = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Sao_Paulo' }).format(new Date());
+  return new Date(Date.parse(`${hoje}T00:00:00Z`) + dias * MS_POR_DIA).toISOString().slice(0, 10);
+};
+
+/**
+ * Invoice no formato da Cora a partir do payload gravado (parametrosCora.json).
+ */
+const fatura = (id, { status = 'OPEN', dueDate = diasAPartirDeHoje(10), documento, email, ...extras } = {}) => ({
+  ...modelo,
+  id,
+  status,
+  customer: {
+    ...modelo.customer,
+    ...(email !== undefined ? { email } : {}),
+    document: documento ? { identity: documento, type: documento.length === 14 ? 'CNPJ' : 'CPF' } : modelo.customer.document
+  },
+  payment_terms: { ...modelo.payment_terms, due_date: dueDate, fine: { ...modelo.payment_terms.fine, date: null } },
+  ...extras
+});
+
+/**
+ * Cria a pasta temporária e define as variáveis de ambiente comuns (sem atraso artificial nas
+ * respostas, uma tentativa por chamada à Cora, logs silenciados e arquivos JSON na pasta temporária).
+ */
+const prepararAmbiente = (extras = {}) => {
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'cora-teste-'));
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DOTENV_CONFIG_QUIET: 'true',
+    LOG_LEVEL: 'silent',
+    CORA_CLIENT_ID: 'int-simulador-client',
+    CORA_CERT_FOLDER_PATH: path.join(pasta, 'certificados'),
+    CORA_CA_FILENAME: 'ca.pem',
+    CORA_HTTP_MAX_TENTATIVAS: '1',
+    LIMITE_TEMPO_MINIMO_RESPOSTA_MS: '0',
+    CARNES_ARQUIVO: path.join(pasta, 'carnes.json'),
+    REEMISSOES_ARQUIVO: path.join(pasta, 'reemissoes.json'),
+    LEMBRETES_ARQUIVO: path.join(pasta, 'lembretes.json'),
+    ...extras
+  });
+  return pasta;
+};
+
+/**
+ * Sobe o simulador com as faturas e aponta CORA_API_BASE_URL para ele.
+ */
+const iniciarSimulador = async (faturas, pasta) => {
+  const simulador = new SimuladorCora({ faturas, pastaCertificados: path.join(pasta, 'certificados') });
+  const { url } = await simulador.iniciar();
+  process.env.CORA_API_BASE_URL = url;
+  return simulador;
+};
+
+/**
+ * Sobe um app Express numa porta aleatória e devolve { url, fechar }.
+ */
+const servir = async (app) => {
+  const servidor = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  return {
+    url: `http://127.0.0.1:${servidor.address().port}`,
+    fechar: () => new Promise(resolve => {
+      servidor.closeAllConnections();
+      servidor.close(resolve);
+    })
+  };
+};
+
+module.exports = { modelo, fatura, diasAPartirDeHoje, prepararAmbiente, iniciarSimulador, servir };
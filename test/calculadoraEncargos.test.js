@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const calculadoraEncargos = require('../src/utilitarios/calculadoraEncargos');
+
+// Invoice gravado da Cora: R$ 99,90 com vencimento em 10/09/2025 (quarta-feira), multa fixa de R$ 2,00
+// a partir de 11/09, juros de 1% ao mês e desconto fixo de R$ 29,90 até o vencimento
+const invoice = require('../src/parametrosCora.json');
+const VALOR = invoice.total_amount;
+// Entrega de webhook gravada do mesmo invoice, pago em 11/09
+const pagamento = require('../src/parametrosWebhookCora.json').body;
+
+const comTermos = (termos) => ({ ...invoice, payment_terms: { ...invoice.payment_terms, ...termos } });
+
+describe('calculadoraEncargos.calcular', () => {
+  it('até o vencimento aplica o desconto e nenhum encargo', () => {
+    for (const data of ['2025-09-01', '2025-09-10']) {
+      assert.deepEqual(calculadoraEncargos.calcular(invoice, VALOR, data), {
+        data_referencia: data,
+        dias_atraso: 0,
+        valor_original_cents: 9990,
+        multa_cents: 0,
+        juros_cents: 0,
+        desconto_cents: 2990,
+        valor_atualizado_cents: 7000
+      });
+    }
+  });
+
+  it('um dia depois cobra multa e juros pro rata die (o valor pago na entrega de webhook gravada)', () => {
+    const resultado = calculadoraEncargos.calcular(invoice, VALOR, '2025-09-11');
+    assert.equal(resultado.dias_atraso, 1);
+    assert.equal(resultado.multa_cents, 200);
+    assert.equal(resultado.juros_cents, 3); // 9990 x 1% / 30
+    assert.equal(resultado.desconto_cents, 0);
+    assert.equal(resultado.valor_atualizado_cents, pagamento.total_paid);
+  });
+
+  it('30 dias de atraso somam um mês de juros', () => {
+    const resultado = calculadoraEncargos.calcular(invoice, VALOR, '2025-10-10');
+    assert.equal(resultado.dias_atraso, 30);
+    assert.equal(resultado.juros_cents, 100);
+    assert.equal(resultado.valor_atualizado_cents, 9990 + 200 + 100);
+  });
+
+  it('multa percentual, sem data de início, a partir do dia seguinte ao vencimento', () => {
+    const termos = comTermos({ fine: { rate: 2 }, discount: null });
+    assert.equal(calculadoraEncargos.calcular(termos, VALOR, '2025-09-10').multa_cents, 0);
+    assert.equal(calculadoraEncargos.calcular(termos, VALOR, '2025-09-11').multa_cents, 200); // 2% de 9990
+  });
+
+  it('desconto percentual e no formato { type, value }, limitado ao valor original', () => {
+    assert.equal(calculadoraEncargos.calcular(comTermos({ discount: { percent: 10 } }), VALOR, '2025-09-10').desconto_cents, 999);
+    assert.equal(calculadoraEncargos.calcular(comTermos({ discount: { type: 'FIXED', value: 500 } }), VALOR, '2025-09-10').desconto_cents, 500);
+    assert.equal(calculadoraEncargos.calcular(comTermos({ discount: { fixed: 20000 } }), VALOR, '2025-09-10').valor_atualizado_cents, 0);
+  });
+
+  it('desconto com data limite própria deixa de valer depois dela', () => {
+    const termos = comTermos({ discount: { fixed: 1000, date: '2025-09-05' } });
+    assert.equal(calculadoraEncargos.calcular(termos, VALOR, '2025-09-05').desconto_cents, 1000);
+    assert.equal(calculadoraEncargos.calcular(termos, VALOR, '2025-09-08').desconto_cents, 0);
+  });
+
+  it('vencimento em feriado de sábado: sem encargos até o próximo dia útil, atraso contado do vencimento original', () => {
+    // 15/11/2025: sábado e Proclamação da República; vencimento efetivo na segunda, 17/11
+    const termos = comTermos({ due_date: '2025-11-15', fine: { amount: 200 } });
+    const segunda = calculadoraEncargos.calcular(termos, VALOR, '2025-11-17');
+    assert.equal(segunda.dias_atraso, 0);
+    assert.equal(segunda.desconto_cents, 2990);
+
+    const terca = calculadoraEncargos.calcular(termos, VALOR, '2025-11-18');
+    assert.equal(terca.dias_atraso, 3);
+    assert.equal(terca.multa_cents, 200);
+    assert.equal(terca.juros_cents, 10); // 9990 x 1% / 30 x 3
+  });
+
+  it('usa a data de São Paulo para um Date de referência', () => {
+    // 02:00 UTC de 11/09 ainda é 10/09 em São Paulo
+    const resultado = calculadoraEncargos.calcular(invoice, VALOR, new Date('2025-09-11T02:00:00Z'));
+    assert.equal(resultado.data_referencia, '2025-09-10');
+    assert.equal(resultado.dias_atraso, 0);
+  });
+
+  it('sem vencimento ou sem valor, não calcula', () => {
+    assert.equal(calculadoraEncargos.calcular({ payment_terms: {} }, VALOR, '2025-09-10'), null);
+    assert.equal(calculadoraEncargos.calcular(invoice, null, '2025-09-10'), null);
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { prepararAmbiente } = require('./apoio/ambiente');
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ClienteCora: circuito meio-aberto', () => {
+  let servidor;
+  let baseUrl;
+  let recebidas = 0;
+  let tokensEmitidos = 0;
+  // Cada requisição recebida pega a próxima resposta da fila: { status } ou uma promessa dela
+  const respostas = [];
+
+  before(async () => {
+    prepararAmbiente({ CORA_CIRCUITO_LIMITE_FALHAS: '1', CORA_CIRCUITO_TEMPO_ABERTO_MS: '50' });
+    servidor = http.createServer(async (req, res) => {
+      if (req.url === '/token') {
+        tokensEmitidos++;
+        return res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ access_token: `token-${tokensEmitidos}` }));
+      }
+      recebidas++;
+      const { status } = await (respostas.shift() || { status: 200 });
+      res.writeHead(status, { 'Content-Type': 'application/json' }).end('{}');
+    });
+    await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${servidor.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => servidor.close(resolve));
+  });
+
+  // Como no servicoCora, o token é pedido em /token pelo próprio cliente (autenticar: false)
+  const novoCliente = () => {
+    const { ClienteCora } = require('../src/servicos/clienteCora');
+    let token = null;
+    const cliente = new ClienteCora({
+      baseUrl,
+      obterAgente: async () => undefined,
+      obterToken: async (forcarRenovacao) => {
+        if (!token || forcarRenovacao) token = (await cliente.post('/token', {}, { autenticar: false })).data.access_token;
+        return token;
+      }
+    });
+    cliente.expirarToken = () => { token = null; };
+    return cliente;
+  };
+
+  const abrirCircuito = async (cliente) => {
+    respostas.push({ status: 500 });
+    await assert.rejects(cliente.get('/v2/invoices'), error => error.response?.status === 500);
+    assert.equal(cliente.circuito.estado, 'aberto');
+    await esperar(60);
+  };
+
+  it('deixa passar uma única sonda e barra as demais até ela terminar', async () => {
+    const { CoraIndisponivelError } = require('../src/servicos/clienteCora');
+    const cliente = novoCliente();
+    await abrirCircuito(cliente);
+
+    let responder;
+    respostas.push(new Promise(resolve => { responder = resolve; }));
+    recebidas = 0;
+    const sonda = cliente.get('/v2/invoices');
+    const concorrentes = await Promise.allSettled([1, 2, 3].map(() => cliente.get('/v2/invoices')));
+
+    assert.ok(concorrentes.every(r => r.status === 'rejected' && r.reason instanceof CoraIndisponivelError));
+    assert.ok(concorrentes.every(r => r.reason.retryAfterSegundos > 0));
+    assert.equal(cliente.circuito.estado, 'meio-aberto');
+
+    responder({ status: 200 });
+    assert.equal((await sonda).status, 200);
+    assert.equal(recebidas, 1);
+    assert.equal(cliente.circuito.estado, 'fechado');
+    assert.equal(cliente.circuito.sondaEmAndamento, false);
+
+    await Promise.all([1, 2, 3].map(() => cliente.get('/v2/invoices')));
+    assert.equal(recebidas, 4);
+  });
+
+  it('sonda com falha reabre o circuito e libera a próxima sonda depois do tempo aberto', async () => {
+    const { CoraIndisponivelError } = require('../src/servicos/clienteCora');
+    const cliente = novoCliente();
+    await abrirCircuito(cliente);
+
+    respostas.push({ status: 503 });
+    await assert.rejects(cliente.get('/v2/invoices'), error => error.response?.status === 503);
+    assert.equal(cliente.circuito.estado, 'aberto');
+    assert.equal(cliente.circuito.sondaEmAndamento, false);
+    await assert.rejects(cliente.get('/v2/invoices'), CoraIndisponivelError);
+
+    await esperar(60);
+    assert.equal((await cliente.get('/v2/invoices')).status, 200);
+    assert.equal(cliente.circuito.estado, 'fechado');
+  });
+
+  it('sonda sem veredito (404) não prende o circuito meio-aberto', async () => {
+    const cliente = novoCliente();
+    await abrirCircuito(cliente);
+
+    respostas.push({ status: 404 });
+    await assert.rejects(cliente.get('/v2/invoices/inv_x'), error => error.response?.status === 404);
+    assert.equal(cliente.circuito.estado, 'meio-aberto');
+    assert.equal(cliente.circuito.sondaEmAndamento, false);
+
+    assert.equal((await cliente.get('/v2/invoices')).status, 200);
+    assert.equal(cliente.circuito.estado, 'fechado');
+  });
+
+  it('token vencido no meio-aberto: o pedido do token não esbarra na sonda e o circuito fecha', async () => {
+    const cliente = novoCliente();
+    await abrirCircuito(cliente);
+    cliente.expirarToken();
+
+    const emitidos = tokensEmitidos;
+    assert.equal((await cliente.get('/v2/invoices')).status, 200);
+    assert.equal(tokensEmitidos, emitidos + 1);
+    assert.equal(cliente.circuito.estado, 'fechado');
+    assert.equal(cliente.circuito.sondaEmAndamento, false);
+  });
+
+  it('401 na sonda: libera a sonda para renovar o token e repete a requisição', async () => {
+    const cliente = novoCliente();
+    await abrirCircuito(cliente);
+
+    respostas.push({ status: 401 });
+    const emitidos = tokensEmitidos;
+    assert.equal((await cliente.get('/v2/invoices')).status, 200);
+    assert.equal(tokensEmitidos, emitidos + 1);
+    assert.equal(cliente.circuito.estado, 'fechado');
+    assert.equal(cliente.circuito.sondaEmAndamento, false);
+  });
+});
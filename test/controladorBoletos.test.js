@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { fatura, diasAPartirDeHoje, prepararAmbiente, iniciarSimulador, servir } = require('./apoio/ambiente');
+
+const CPF = '33707301893';
+const OUTRO_CPF = '52998224725';
+const CPF_SEM_BOLETOS = '11144477735';
+const CPF_INCOMPLETO = '39053344705';
+
+describe('controladorBoletos (rotas /api/boletos)', () => {
+  let simulador;
+  let api;
+
+  before(async () => {
+    // Sem cache e sem limite de consultas: cada requisição vai ao simulador
+    const pasta = prepararAmbiente({
+      CORA_CACHE_ENABLED: 'false',
+      CORA_CIRCUITO_LIMITE_FALHAS: '3',
+      LIMITE_IP_MAX: '1000',
+      LIMITE_IP_ATRASO_APOS: '1000',
+      LIMITE_CPF_MAX: '1000',
+      LIMITE_CPF_ATRASO_APOS: '1000'
+    });
+    simulador = await iniciarSimulador([
+      fatura('inv_atrasado', { documento: CPF, dueDate: diasAPartirDeHoje(-10) }),
+      fatura('inv_aberto', { documento: CPF, dueDate: diasAPartirDeHoje(15) }),
+      fatura('inv_incompleto', { documento: CPF_INCOMPLETO, dueDate: diasAPartirDeHoje(15) })
+    ], pasta);
+    api = await servir(require('../src/servidor'));
+  });
+
+  after(async () => {
+    await api.fechar();
+    await simulador.encerrar();
+  });
+
+  const consultar = (corpo) => fetch(`${api.url}/api/boletos/consultar-boletos`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(corpo)
+  });
+
+  it('200: devolve os atrasados e o próximo a vencer do titular', async () => {
+    const resposta = await consultar({ cpf: '337.073.018-93' });
+    assert.equal(resposta.status, 200);
+    const corpo = await resposta.json();
+    assert.equal(corpo.tipo_documento, 'CPF');
+    assert.deepEqual(corpo.boletos.map(b => [b.id, b.status]), [['inv_atrasado', 'ATRASADO'], ['inv_aberto', 'A VENCER']]);
+    assert.equal(corpo.summary.overdue_count, 1);
+    assert.equal(corpo.pagination.total_items, 2);
+  });
+
+  it('400: sem documento, com documento inválido ou com filtros inválidos', async () => {
+    assert.equal((await consultar({})).status, 400);
+
+    const invalido = await consultar({ cpf: '123.456.789-00' });
+    assert.equal(invalido.status, 400);
+    assert.match((await invalido.json()).erro, /inválido/);
+
+    const filtros = await fetch(`${api.url}/api/boletos/${CPF}?status=vencido`);
+    assert.equal(filtros.status, 400);
+    assert.equal((await filtros.json()).erros.length, 1);
+  });
+
+  it('403: boleto consultado com o CPF de outra pessoa', async () => {
+    const resposta = await fetch(`${api.url}/api/boletos/boleto/inv_aberto?documento=${OUTRO_CPF}`);
+    assert.equal(resposta.status, 403);
+    assert.match((await resposta.json()).erro, /não corresponde ao titular/);
+  });
+
+  it('404: documento sem boletos ou boleto inexistente', async () => {
+    const semBoletos = await fetch(`${api.url}/api/boletos/${CPF_SEM_BOLETOS}`);
+    assert.equal(semBoletos.status, 404);
+    assert.equal((await semBoletos.json()).tipo_documento, 'CPF');
+
+    const inexistente = await fetch(`${api.url}/api/boletos/boleto/inv_inexistente?documento=${CPF}`);
+    assert.equal(inexistente.status, 404);
+  });
+
+  it('400: id de boleto fora do formato da Cora', async () => {
+    const resposta = await fetch(`${api.url}/api/boletos/boleto/inv%2F..%2Fx?documento=${CPF}`);
+    assert.equal(resposta.status, 400);
+    assert.match((await resposta.json()).erro, /Id de boleto inválido/);
+  });
+
+  it('pdf_url leva um token assinado em vez do CPF, e só vale para o boleto e dentro da validade', async () => {
+    const { boleto } = await (await fetch(`${api.url}/api/boletos/boleto/inv_aberto?documento=${CPF}`)).json();
+    const link = new URL(boleto.pdf_url);
+    assert.equal(link.pathname, '/api/boletos/boleto/inv_aberto/pdf');
+    assert.equal(link.searchParams.get('documento'), null);
+    assert.ok(!boleto.pdf_url.includes(CPF));
+
+    const pdf = await fetch(`${api.url}${link.pathname}${link.search}`);
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+    assert.equal(Buffer.from(await pdf.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+
+    const token = link.searchParams.get('token');
+    const outroBoleto = await fetch(`${api.url}/api/boletos/boleto/inv_atrasado/pdf?token=${encodeURIComponent(token)}`);
+    assert.equal(outroBoleto.status, 403);
+    const adulterado = await fetch(`${api.url}${link.pathname}?token=${encodeURIComponent(token.replace(/^\d+/, String(Date.now() + 86400000)))}`);
+    assert.equal(adulterado.status, 403);
+
+    const linksAssinados = require('../src/utilitarios/linksAssinados');
+    const vencido = linksAssinados.assinar('inv_aberto', 'padrao', Date.now() - linksAssinados.validadeMs - 1000);
+    const expirado = await fetch(`${api.url}${link.pathname}?token=${encodeURIComponent(vencido)}`);
+    assert.equal(expirado.status, 403);
+    assert.match((await expirado.json()).erro, /expirou/);
+  });
+
+  it('503: não afirma que não há boletos quando um detalhe falhou', async () => {
+    simulador.definirFalhas([{ rota: 'detalhe', status: 500, vezes: 1 }]);
+    try {
+      const resposta = await consultar({ documento: CPF_INCOMPLETO });
+      assert.equal(resposta.status, 503);
+    } finally {
+      simulador.definirFalhas([]);
+    }
+  });
+
+  it('503 com Retry-After quando o circuito da Cora abre', async () => {
+    simulador.definirFalhas([{ rota: 'listagem', status: 500 }]);
+    try {
+      let resposta;
+      for (let i = 0; i < 5; i++) {
+        resposta = await consultar({ cpf: CPF });
+        if (resposta.status === 503) break;
+        assert.equal(resposta.status, 500);
+      }
+      assert.equal(resposta.status, 503);
+      assert.ok(Number(resposta.headers.get('retry-after')) > 0);
+    } finally {
+      simulador.definirFalhas([]);
+    }
+  });
+});
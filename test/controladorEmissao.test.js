@@ -0,0 +1,124 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { fatura, diasAPartirDeHoje, prepararAmbiente, iniciarSimulador, servir } = require('./apoio/ambiente');
+
+const CHAVE_ADMIN = 'chave-admin-de-teste';
+const CPF = '33707301893';
+
+// Duas escolas (tenants) sem tenant padrão; as duas contas apontam para o mesmo simulador
+describe('controladorEmissao com vários tenants (carnês e segundas vias)', () => {
+  let pasta;
+  let simulador;
+  let api;
+
+  before(async () => {
+    pasta = prepararAmbiente({ ADMIN_API_KEYS: CHAVE_ADMIN });
+    simulador = await iniciarSimulador([
+      fatura('inv_centro', { documento: CPF, dueDate: diasAPartirDeHoje(5) })
+    ], pasta);
+
+    const conta = (id) => ({
+      id,
+      api_base_url: process.env.CORA_API_BASE_URL,
+      client_id: `int-${id}`,
+      cert_folder_path: process.env.CORA_CERT_FOLDER_PATH,
+      ca_filename: 'ca.pem'
+    });
+    const arquivo = path.join(pasta, 'tenants.json');
+    fs.writeFileSync(arquivo, JSON.stringify([conta('centro'), conta('norte')]));
+    process.env.CORA_TENANTS_ARQUIVO = arquivo;
+
+    api = await servir(require('../src/servidor'));
+  });
+
+  after(async () => {
+    await api.fechar();
+    await simulador.encerrar();
+  });
+
+  const pedir = (tenant, metodo, caminho, { corpo, chave } = {}) => fetch(`${api.url}${caminho}`, {
+    method: metodo,
+    headers: {
+      'X-Tenant-Id': tenant,
+      'X-API-Key': CHAVE_ADMIN,
+      ...(corpo ? { 'Content-Type': 'application/json' } : {}),
+      ...(chave ? { 'Idempotency-Key': chave } : {})
+    },
+    ...(corpo ? { body: JSON.stringify(corpo) } : {})
+  });
+
+  const plano = {
+    customer: { name: 'Adriana Souza', document: CPF, email: 'adriana@example.com' },
+    course: 'Graduação em Teologia',
+    installments: 2,
+    installment_amount_cents: 9990,
+    first_due_date: diasAPartirDeHoje(30)
+  };
+
+  it('o carnê só é visto, consultado e retomado no tenant que o criou', async () => {
+    const criacao = await pedir('centro', 'POST', '/api/emissao/carnes', { corpo: plano, chave: 'carne-tenant-0001' });
+    assert.equal(criacao.status, 201);
+    const { carne } = await criacao.json();
+    assert.equal(carne.tenant_id, 'centro');
+    assert.equal(carne.issued, 2);
+
+    const listar = async (tenant) => (await (await pedir(tenant, 'GET', '/api/emissao/carnes')).json()).carnes.map(c => c.id);
+    assert.deepEqual(await listar('centro'), [carne.id]);
+    assert.deepEqual(await listar('norte'), []);
+
+    assert.equal((await pedir('centro', 'GET', `/api/emissao/carnes/${carne.id}`)).status, 200);
+    assert.equal((await pedir('norte', 'GET', `/api/emissao/carnes/${carne.id}`)).status, 404);
+    assert.equal((await pedir('norte', 'POST', `/api/emissao/carnes/${carne.id}/retomar`)).status, 404);
+
+    // A mesma chave de idempotência em outro tenant é outro carnê
+    const outro = await pedir('norte', 'POST', '/api/emissao/carnes', { corpo: plano, chave: 'carne-tenant-0001' });
+    assert.equal(outro.status, 201);
+    assert.notEqual((await outro.json()).carne.id, carne.id);
+
+    const gravado = JSON.parse(fs.readFileSync(process.env.CARNES_ARQUIVO, 'utf8')).carnes[carne.id];
+    assert.equal(gravado.tenant_id, 'centro');
+  });
+
+  it('parcela que vence em fim de semana ou feriado só fica LATE depois do próximo dia útil', async () => {
+    const datasBancarias = require('../src/utilitarios/datasBancarias');
+    const servicoCarnes = require('../src/servicos/servicoCarnes');
+    const servicoTenants = require('../src/servicos/servicoTenants');
+
+    let vencimento = diasAPartirDeHoje(30);
+    while (datasBancarias.diaUtil(vencimento)) vencimento = datasBancarias.adicionarDias(vencimento, 1);
+    const efetivo = datasBancarias.proximoDiaUtil(vencimento);
+
+    const criacao = await pedir('centro', 'POST', '/api/emissao/carnes', {
+      corpo: { ...plano, installments: 1, first_due_date: vencimento },
+      chave: 'carne-fim-de-semana-0001'
+    });
+    assert.equal(criacao.status, 201);
+    const { carne } = await criacao.json();
+
+    const situacao = (dataReferencia) => servicoTenants.executarNoTenant(servicoTenants.obter('centro'),
+      async () => (await servicoCarnes.consultarCarne(carne.id, { dataReferencia })).installments[0].status);
+    assert.equal(await situacao(vencimento), 'OPEN');
+    assert.equal(await situacao(efetivo), 'OPEN');
+    assert.equal(await situacao(datasBancarias.adicionarDias(efetivo, 1)), 'LATE');
+  });
+
+  it('o vínculo da segunda via só aparece nas consultas do tenant que a emitiu', async () => {
+    const reemissao = await pedir('centro', 'POST', '/api/emissao/boletos/inv_centro/segunda-via', { corpo: { due_date: diasAPartirDeHoje(20) } });
+    assert.equal(reemissao.status, 201);
+    const { boleto } = await reemissao.json();
+
+    const consultar = async (tenant) => {
+      const resposta = await fetch(`${api.url}/api/boletos/boleto/${boleto.id}?documento=${CPF}`, { headers: { 'X-Tenant-Id': tenant } });
+      assert.equal(resposta.status, 200);
+      return (await resposta.json()).boleto;
+    };
+    assert.equal((await consultar('centro')).replaces_invoice_id, 'inv_centro');
+    assert.equal((await consultar('norte')).replaces_invoice_id, null);
+
+    const { operacoes, substituicoes } = JSON.parse(fs.readFileSync(process.env.REEMISSOES_ARQUIVO, 'utf8'));
+    assert.equal(substituicoes.inv_centro.tenant_id, 'centro');
+    assert.ok(operacoes.every(o => o.tenant_id === 'centro'));
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { fatura, diasAPartirDeHoje, prepararAmbiente, iniciarSimulador, servir } = require('./apoio/ambiente');
+
+// Entrega gravada de um invoice.paid da Cora (headers + corpo)
+const entrega = require('../src/parametrosWebhookCora.json');
+
+const SEGREDO = 'segredo-de-teste';
+const assinar = (corpo, segredo = SEGREDO) => `sha256=${crypto.createHmac('sha256', segredo).update(corpo).digest('hex')}`;
+
+describe('controladorWebhooks (POST /api/webhooks/cora)', () => {
+  let simulador;
+  let api;
+
+  before(async () => {
+    const pasta = prepararAmbiente({ CORA_WEBHOOK_SECRET: SEGREDO });
+    simulador = await iniciarSimulador([
+      fatura(entrega.body.id, { documento: entrega.body.customer.document.identity, status: 'LATE', dueDate: diasAPartirDeHoje(-10) })
+    ], pasta);
+    api = await servir(require('../src/servidor'));
+  });
+
+  after(async () => {
+    await api.fechar();
+    await simulador.encerrar();
+  });
+
+  const enviar = (corpo, headers = {}, query = '') => fetch(`${api.url}/api/webhooks/cora${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...entrega.headers, ...headers },
+    body: corpo
+  });
+
+  it('401: entrega sem assinatura, com assinatura errada ou com token errado', async () => {
+    const corpo = JSON.stringify(entrega.body);
+    assert.equal((await enviar(corpo)).status, 401);
+    assert.equal((await enviar(corpo, { 'x-cora-signature': assinar(corpo, 'outro-segredo') })).status, 401);
+    assert.equal((await enviar(corpo, {}, '?token=outro-segredo')).status, 401);
+  });
+
+  const consultarBoleto = async () => {
+    const { id, customer } = entrega.body;
+    const resposta = await fetch(`${api.url}/api/boletos/boleto/${id}?documento=${customer.document.identity}`);
+    assert.equal(resposta.status, 200);
+    return (await resposta.json()).boleto;
+  };
+
+  it('200: aplica a entrega assinada às consultas seguintes e confirma as repetidas como duplicadas', async () => {
+    assert.equal((await consultarBoleto()).status, 'LATE');
+    const corpo = JSON.stringify(entrega.body);
+
+    const primeira = await enviar(corpo, { 'x-cora-signature': assinar(corpo) });
+    assert.equal(primeira.status, 200);
+    assert.deepEqual(await primeira.json(), { recebido: true, duplicado: false, evento: entrega.headers['webhook-event-id'] });
+    assert.equal((await consultarBoleto()).status, 'PAID');
+
+    const repetida = await enviar(corpo, {}, `?token=${SEGREDO}`);
+    assert.equal(repetida.status, 200);
+    assert.equal((await repetida.json()).duplicado, true);
+  });
+
+  it('400: entrega sem identificação do invoice', async () => {
+    const corpo = JSON.stringify({ status: 'PAID' });
+    const resposta = await enviar(corpo, {
+      'webhook-event-id': '',
+      'webhook-resource-id': '',
+      'x-cora-signature': assinar(corpo)
+    });
+    assert.equal(resposta.status, 400);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { servir } = require('./apoio/ambiente');
+const logger = require('../src/utilitarios/logger');
+const correlacao = require('../src/middlewares/correlacao');
+
+describe('correlacao (log de acesso)', () => {
+  const linhas = [];
+  let api;
+
+  before(async () => {
+    logger.configurar({ nivel: 'info', formato: 'texto', saida: (linha) => linhas.push(linha) });
+    const app = express();
+    app.use(correlacao);
+    app.post('/api/webhooks/cora', (req, res) => res.status(200).json({ recebido: true }));
+    api = await servir(app);
+  });
+
+  after(async () => {
+    await api.fechar();
+    logger.configurar({ nivel: 'silent' });
+  });
+
+  it('não registra o segredo do webhook nem o CPF da query string', async () => {
+    const resposta = await fetch(`${api.url}/api/webhooks/cora?token=segredo-do-webhook&documento=33707301893`, { method: 'POST' });
+    assert.equal(resposta.status, 200);
+
+    const acesso = linhas.filter(l => l.includes('/api/webhooks/cora'));
+    assert.equal(acesso.length, 2);
+    for (const linha of acesso) {
+      assert.ok(!linha.includes('segredo-do-webhook'), linha);
+      assert.ok(!linha.includes('33707301893'), linha);
+      assert.match(linha, /\?token=\*\*\*&documento=\*+93/);
+    }
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Servidor em UTC, como em produção: as datas continuam sendo as de São Paulo
+process.env.TZ = 'UTC';
+// Feriado local configurado (Revolução Constitucionalista, quarta-feira) e uma entrada malformada
+process.env.FERIADOS_BANCARIOS_EXTRAS = '2025-07-09, 2025-7-10';
+const datasBancarias = require('../src/utilitarios/datasBancarias');
+
+describe('datasBancarias', () => {
+  describe('feriados', () => {
+    it('calcula o domingo de Páscoa', () => {
+      assert.equal(datasBancarias.pascoa(2024), '2024-03-31');
+      assert.equal(datasBancarias.pascoa(2025), '2025-04-20');
+      assert.equal(datasBancarias.pascoa(2026), '2026-04-05');
+      assert.equal(datasBancarias.pascoa(2038), '2038-04-25'); // a mais tardia possível
+      assert.equal(datasBancarias.pascoa(2285), '2285-03-22'); // a mais cedo possível
+    });
+
+    it('Carnaval, Sexta-feira Santa e Corpus Christi a partir da Páscoa', () => {
+      assert.equal(datasBancarias.feriado('2025-03-03'), 'Carnaval (segunda-feira)');
+      assert.equal(datasBancarias.feriado('2025-03-04'), 'Carnaval (terça-feira)');
+      assert.equal(datasBancarias.feriado('2025-03-05'), null); // quarta-feira de Cinzas tem expediente
+      assert.equal(datasBancarias.feriado('2025-04-18'), 'Sexta-feira Santa');
+      assert.equal(datasBancarias.feriado('2025-06-19'), 'Corpus Christi');
+      assert.equal(datasBancarias.feriado('2026-02-16'), 'Carnaval (segunda-feira)');
+      assert.equal(datasBancarias.feriado('2026-06-04'), 'Corpus Christi');
+    });
+
+    it('fixos, 31/12 sem expediente e Consciência Negra só a partir de 2024', () => {
+      assert.equal(datasBancarias.feriado('2025-12-25'), 'Natal');
+      assert.equal(datasBancarias.feriado('2025-12-31'), 'Último dia do ano (sem expediente bancário)');
+      assert.equal(datasBancarias.feriado('2024-11-20'), 'Dia Nacional de Zumbi e da Consciência Negra');
+      assert.equal(datasBancarias.feriado('2023-11-20'), null);
+    });
+
+    it('inclui os extras de FERIADOS_BANCARIOS_EXTRAS e ignora os malformados', () => {
+      assert.equal(datasBancarias.feriado('2025-07-09'), 'Feriado bancário (configurado)');
+      assert.equal(datasBancarias.feriado('2025-07-10'), null);
+      assert.equal(datasBancarias.proximoDiaUtil('2025-07-09'), '2025-07-10');
+    });
+  });
+
+  describe('vencimentoEfetivo', () => {
+    it('dia útil não muda; fim de semana vai para a segunda', () => {
+      assert.equal(datasBancarias.vencimentoEfetivo('2025-09-10'), '2025-09-10');
+      assert.equal(datasBancarias.vencimentoEfetivo('2025-09-13'), '2025-09-15');
+      assert.equal(datasBancarias.vencimentoEfetivo('2025-09-14'), '2025-09-15');
+      // Sábado seguido de feriado no domingo (Independência)
+      assert.equal(datasBancarias.vencimentoEfetivo('2025-09-06'), '2025-09-08');
+    });
+
+    it('sábado antes do Carnaval vai para a quarta-feira de Cinzas', () => {
+      assert.equal(datasBancarias.vencimentoEfetivo('2026-02-14'), '2026-02-18');
+    });
+
+    it('31/12 passa pelo 1º de janeiro e pelo fim de semana, já no ano seguinte', () => {
+      assert.equal(datasBancarias.vencimentoEfetivo('2025-12-31'), '2026-01-02');
+      assert.equal(datasBancarias.vencimentoEfetivo('2026-12-31'), '2027-01-04');
+    });
+
+    it('aceita data com horário e devolve null sem data válida', () => {
+      assert.equal(datasBancarias.vencimentoEfetivo('2025-11-15T00:00:00-03:00'), '2025-11-17');
+      assert.equal(datasBancarias.vencimentoEfetivo(null), null);
+      assert.equal(datasBancarias.vencimentoEfetivo('amanhã'), null);
+    });
+  });
+
+  describe('atrasado', () => {
+    it('vencimento em feriado de sábado só atrasa depois do próximo dia útil', () => {
+      // 2025-11-15 (sábado, Proclamação da República) -> vencimento efetivo segunda, 2025-11-17
+      assert.equal(datasBancarias.atrasado('2025-11-15', '2025-11-15'), false);
+      assert.equal(datasBancarias.atrasado('2025-11-15', '2025-11-17'), false);
+      assert.equal(datasBancarias.atrasado('2025-11-15', '2025-11-18'), true);
+    });
+
+    it('vencimento na sexta antes do Carnaval atrasa na segunda de Carnaval', () => {
+      assert.equal(datasBancarias.atrasado('2026-02-13', '2026-02-13'), false);
+      assert.equal(datasBancarias.atrasado('2026-02-13', '2026-02-16'), true);
+    });
+
+    it('sem vencimento, não está atrasado', () => {
+      assert.equal(datasBancarias.atrasado(null, '2025-09-10'), false);
+    });
+  });
+
+  describe('hoje e horaAtual', () => {
+    it('usam o horário de São Paulo, não o do fuso do servidor', () => {
+      // 01:30 UTC de 11/03 ainda é 22:30 de 10/03 em São Paulo (UTC-3)
+      const agora = new Date('2026-03-11T01:30:00Z');
+      assert.equal(datasBancarias.hoje(agora), '2026-03-10');
+      assert.equal(datasBancarias.horaAtual(agora), 22);
+      assert.equal(datasBancarias.paraDataIso(agora), '2026-03-10');
+      assert.equal(datasBancarias.atrasado('2026-03-10', datasBancarias.hoje(agora)), false);
+
+      assert.equal(datasBancarias.hoje(new Date('2026-03-11T03:00:00Z')), '2026-03-11');
+      assert.equal(datasBancarias.horaAtual(new Date('2026-03-11T03:00:00Z')), 0);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const filtrosConsulta = require('../src/utilitarios/filtrosConsulta');
+
+const boleto = (id, status, dueDate, extras = {}) => ({ id, status, due_date: dueDate, amount_cents: 10000, ...extras });
+
+// Boletos do titular como vêm do servicoCora (todos os status), fora de ordem
+const atrasadoAntigo = boleto('inv_atrasado_antigo', 'LATE', '2025-08-01', { updated_amount_cents: 10500 });
+const atrasado = boleto('inv_atrasado', 'OPEN', '2025-09-01', { updated_amount_cents: 10200 });
+const resultado = {
+  boletos: [
+    boleto('inv_dezembro', 'OPEN', '2025-12-10'),
+    atrasado,
+    boleto('inv_outubro', 'OPEN', '2025-10-10'),
+    boleto('inv_pago', 'PAID', '2025-07-10'),
+    atrasadoAntigo,
+    boleto('inv_novembro', 'OPEN', '2025-11-10'),
+    boleto('inv_cancelado', 'CANCELLED', '2025-09-15')
+  ],
+  boletosAtrasados: [atrasadoAntigo, atrasado]
+};
+
+const ler = (fonte) => {
+  const { valido, erros, opcoes } = filtrosConsulta.ler(fonte);
+  assert.ok(valido, erros.join(' '));
+  return opcoes;
+};
+
+describe('filtrosConsulta.ler', () => {
+  it('sem opções, é a consulta de sempre', () => {
+    const opcoes = ler({});
+    assert.deepEqual(opcoes, {
+      status: ['late', 'open'],
+      vencimentoInicio: null,
+      vencimentoFim: null,
+      todosAVencer: false,
+      ordem: null,
+      pagina: 1,
+      porPagina: null
+    });
+    assert.equal(filtrosConsulta.personalizada(opcoes), false);
+  });
+
+  it('recusa datas que não existem, mesmo no formato AAAA-MM-DD', () => {
+    for (const data of ['2025-02-30', '2025-02-29', '2025-04-31', '2025-13-01', '2025-00-10', '10/09/2025']) {
+      const { valido, erros } = filtrosConsulta.ler({ vencimento_inicio: data });
+      assert.equal(valido, false, data);
+      assert.match(erros[0], /vencimento_inicio/);
+    }
+    assert.equal(ler({ vencimento_inicio: '2024-02-29' }).vencimentoInicio, '2024-02-29');
+  });
+
+  it('lista todos os erros de uma vez', () => {
+    const { valido, erros, opcoes } = filtrosConsulta.ler({
+      status: 'open,vencido',
+      vencimento_inicio: '2025-10-01',
+      vencimento_fim: '2025-09-01',
+      a_vencer: 'alguns',
+      ordem: 'aleatoria',
+      pagina: '0',
+      por_pagina: '101'
+    });
+    assert.equal(valido, false);
+    assert.equal(opcoes, null);
+    assert.equal(erros.length, 6);
+    assert.match(erros[0], /status inválido: vencido/);
+  });
+
+  it('qualquer opção torna a consulta personalizada', () => {
+    assert.equal(filtrosConsulta.personalizada(ler({ status: 'paid' })), true);
+    assert.equal(filtrosConsulta.personalizada(ler({ vencimento_fim: '2025-12-31' })), true);
+    assert.equal(filtrosConsulta.personalizada(ler({ a_vencer: 'todos' })), true);
+    assert.equal(filtrosConsulta.personalizada(ler({ ordem: 'desc' })), true);
+    assert.equal(filtrosConsulta.personalizada(ler({ pagina: '1' })), true);
+    assert.equal(filtrosConsulta.personalizada(ler({ status: 'open,late' })), false);
+  });
+});
+
+describe('filtrosConsulta.aplicar', () => {
+  it('sem opções: atrasados primeiro e só o próximo a vencer, tudo em uma página', () => {
+    const { boletos, paginacao, resumo } = filtrosConsulta.aplicar(resultado, ler({}));
+
+    assert.deepEqual(boletos.map(b => [b.id, b.status]), [
+      ['inv_atrasado_antigo', 'ATRASADO'],
+      ['inv_atrasado', 'ATRASADO'],
+      ['inv_outubro', 'A VENCER']
+    ]);
+    assert.deepEqual(paginacao, { page: 1, page_size: 3, total_items: 3, total_pages: 1 });
+    assert.deepEqual(resumo, {
+      overdue_count: 2,
+      overdue_total_cents: 20700,
+      overdue_total: 'R$ 207,00',
+      upcoming_count: 3,
+      upcoming_total_cents: 30000,
+      upcoming_total: 'R$ 300,00'
+    });
+  });
+
+  it('sem boletos, devolve uma página vazia', () => {
+    const { boletos, paginacao } = filtrosConsulta.aplicar({ boletos: [], boletosAtrasados: [] }, ler({}));
+    assert.deepEqual(boletos, []);
+    assert.deepEqual(paginacao, { page: 1, page_size: 1, total_items: 0, total_pages: 0 });
+  });
+
+  it('filtra por status e vencimento, ordena e pagina', () => {
+    const opcoes = ler({ status: 'open,paid', a_vencer: 'todos', ordem: 'desc', pagina: '2', por_pagina: '2' });
+    const { boletos, paginacao } = filtrosConsulta.aplicar(resultado, opcoes);
+    assert.deepEqual(boletos.map(b => [b.id, b.status]), [['inv_outubro', 'A VENCER'], ['inv_pago', 'PAGO']]);
+    assert.deepEqual(paginacao, { page: 2, page_size: 2, total_items: 4, total_pages: 2 });
+
+    const faixa = filtrosConsulta.aplicar(resultado, ler({ status: 'late,cancelled', vencimento_inicio: '2025-09-01', vencimento_fim: '2025-09-30' }));
+    assert.deepEqual(faixa.boletos.map(b => [b.id, b.status]), [['inv_atrasado', 'ATRASADO'], ['inv_cancelado', 'CANCELADO']]);
+    // O resumo considera a faixa de vencimento, não o filtro de status
+    assert.equal(faixa.resumo.overdue_count, 1);
+    assert.equal(faixa.resumo.upcoming_count, 0);
+  });
+
+  it('na busca em todos os tenants, mostra o próximo a vencer de cada conta', () => {
+    const { boletos } = filtrosConsulta.aplicar({
+      boletos: [
+        boleto('inv_a1', 'OPEN', '2025-10-10', { tenant: 'centro' }),
+        boleto('inv_a2', 'OPEN', '2025-11-10', { tenant: 'centro' }),
+        boleto('inv_b1', 'OPEN', '2025-10-20', { tenant: 'norte' })
+      ],
+      boletosAtrasados: []
+    }, ler({}));
+    assert.deepEqual(boletos.map(b => b.id), ['inv_a1', 'inv_b1']);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const express = require('express');
+const { servir } = require('./apoio/ambiente');
+const logger = require('../src/utilitarios/logger');
+const { LimitadorConsultas } = require('../src/middlewares/limitadorConsultas');
+
+logger.configurar({ nivel: 'silent' });
+
+const CLIENTE = '33707301893';
+// CPFs válidos que não são clientes, como numa tentativa de enumeração
+const OUTROS = ['52998224725', '11144477735', '39053344705', '12345678909', '98765432100', '71428793860', '86288366757'];
+const TEMPO_MINIMO_MS = 150;
+
+/**
+ * App com as mesmas regras de rotasBoletos: tudo que recebe o CPF conta tentativas, menos o PDF
+ * aberto pelo link assinado da consulta (aqui, ?token=valido).
+ */
+const servirApp = (opcoes = {}) => {
+  const limitador = new LimitadorConsultas({
+    ipMaximo: 5,
+    ipAtrasoApos: 100,
+    cpfMaximo: 3,
+    cpfAtrasoApos: 100,
+    bloqueioMs: 60 * 1000,
+    tempoMinimoRespostaMs: TEMPO_MINIMO_MS,
+    ...opcoes
+  });
+  const app = express();
+  app.set('trust proxy', 'loopback');
+  app.get('/:documento/qrcode', limitador.middleware(), (req, res) => res.type('image/png').send(Buffer.from('png')));
+  app.get('/:documento/pdf', limitador.middleware({ contar: req => req.query.token !== 'valido' }), (req, res) => {
+    res.status(200).type('application/pdf');
+    Readable.from([Buffer.from('%PDF-'), Buffer.from('1.7')]).pipe(res);
+  });
+  app.get('/:documento', limitador.middleware(), (req, res) => (req.params.documento === CLIENTE
+    ? res.status(200).json({ boletos: [] })
+    : res.status(404).json({ erro: 'Nenhum boleto ativo encontrado para o CPF fornecido.' })));
+  return servir(app).then(api => ({ ...api, limitador }));
+};
+
+describe('limitadorConsultas', () => {
+  let api;
+  afterEach(async () => {
+    if (api) await api.fechar();
+    api = null;
+  });
+
+  const pedir = (caminho, ip) => fetch(`${api.url}${caminho}`, { headers: { 'X-Forwarded-For': ip } });
+
+  it('bloqueia um IP que percorre vários CPFs, inclusive para o CPF de um cliente', async () => {
+    api = await servirApp();
+    const status = [];
+    for (const cpf of OUTROS) status.push((await pedir(`/${cpf}`, '203.0.113.10')).status);
+    assert.deepEqual(status, [404, 404, 404, 404, 404, 429, 429]);
+
+    const cliente = await pedir(`/${CLIENTE}`, '203.0.113.10');
+    assert.equal(cliente.status, 429);
+    assert.ok(Number(cliente.headers.get('retry-after')) > 0);
+
+    // Outro cliente atrás do mesmo proxy não é afetado
+    assert.equal((await pedir(`/${CLIENTE}`, '203.0.113.11')).status, 200);
+  });
+
+  it('bloqueia o CPF consultado a partir de muitos IPs, também nos recursos', async () => {
+    api = await servirApp();
+    const status = [];
+    for (let i = 1; i <= 5; i++) status.push((await pedir(`/${CLIENTE}`, `198.51.100.${i}`)).status);
+    assert.deepEqual(status, [200, 200, 200, 429, 429]);
+
+    assert.equal((await pedir(`/${CLIENTE}/pdf?token=valido`, '198.51.100.99')).status, 429);
+    assert.equal((await pedir(`/${CLIENTE}/qrcode`, '198.51.100.99')).status, 429);
+  });
+
+  it('só o PDF aberto pelo link assinado não conta tentativas; QR Code e PDF com o CPF contam', async () => {
+    api = await servirApp();
+    assert.equal((await pedir(`/${CLIENTE}`, '192.0.2.20')).status, 200);
+    for (let i = 0; i < 10; i++) {
+      assert.equal((await pedir(`/${CLIENTE}/pdf?token=valido`, '192.0.2.20')).status, 200);
+    }
+    assert.equal(api.limitador.registros.get(`cpf:${CLIENTE}`).tentativas.length, 1);
+
+    assert.equal((await pedir(`/${CLIENTE}/qrcode`, '192.0.2.21')).status, 200);
+    assert.equal((await pedir(`/${CLIENTE}/pdf?token=adulterado`, '192.0.2.22')).status, 200);
+    assert.equal(api.limitador.registros.get(`cpf:${CLIENTE}`).tentativas.length, 3);
+    assert.equal((await pedir(`/${CLIENTE}/qrcode`, '192.0.2.23')).status, 429);
+  });
+
+  it('200, 404 e respostas em stream levam pelo menos o tempo mínimo', async () => {
+    api = await servirApp();
+    const medir = async (caminho) => {
+      const inicio = Date.now();
+      const resposta = await pedir(caminho, '192.0.2.30');
+      const corpo = await resposta.text();
+      return { status: resposta.status, corpo, ms: Date.now() - inicio };
+    };
+
+    const cliente = await medir(`/${CLIENTE}`);
+    const naoCliente = await medir(`/${OUTROS[0]}`);
+    const pdf = await medir(`/${CLIENTE}/pdf`);
+    const qrcode = await medir(`/${CLIENTE}/qrcode`);
+
+    assert.deepEqual([cliente.status, naoCliente.status, pdf.status, qrcode.status], [200, 404, 200, 200]);
+    for (const { ms } of [cliente, naoCliente, pdf, qrcode]) assert.ok(ms >= TEMPO_MINIMO_MS - 5, `${ms}ms`);
+    assert.equal(pdf.corpo, '%PDF-1.7');
+    assert.equal(qrcode.corpo, 'png');
+  });
+
+  it('limpa os registros expirados no máximo uma vez por intervalo', () => {
+    const limitador = new LimitadorConsultas({ janelaMs: 1000, intervaloLimpezaMs: 60 * 1000 });
+    limitador.registrarTentativa('ip:192.0.2.40', limitador.limites.ip, 0);
+
+    limitador._limparExpirados(60 * 1000);
+    assert.equal(limitador.registros.size, 0);
+
+    limitador.registrarTentativa('ip:192.0.2.41', limitador.limites.ip, 60 * 1000);
+    limitador._limparExpirados(100 * 1000);
+    assert.equal(limitador.registros.size, 1);
+    limitador._limparExpirados(120 * 1000);
+    assert.equal(limitador.registros.size, 0);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../src/utilitarios/logger');
+
+logger.configurar({ nivel: 'silent' });
+process.env.CORA_CACHE_ENABLED = 'true';
+const servicoCache = require('../src/servicos/servicoCache');
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Carregador que só responde quando o teste mandar
+const carregadorPendente = () => {
+  let responder;
+  const chamadas = [];
+  const carregador = () => {
+    chamadas.push(Date.now());
+    return new Promise(resolve => { responder = resolve; });
+  };
+  return { carregador, chamadas, responder: (valor) => responder(valor) };
+};
+
+describe('servicoCache', () => {
+  beforeEach(() => servicoCache.limpar());
+
+  it('revalida em segundo plano e grava o valor novo', async () => {
+    await servicoCache.definir('detalhe:inv_1', 'antigo', 10, 60 * 1000);
+    await esperar(20);
+
+    const { carregador, responder } = carregadorPendente();
+    assert.equal(await servicoCache.obter('detalhe:inv_1', carregador, { ttlMs: 10 }), 'antigo');
+    responder('novo');
+    await esperar(5);
+    assert.equal(await servicoCache.ler('detalhe:inv_1'), 'novo');
+    assert.equal(servicoCache.geracoes.size, 0);
+  });
+
+  it('invalidação durante a revalidação em segundo plano descarta o resultado dela', async () => {
+    await servicoCache.definir('detalhe:inv_2', 'OPEN', 10, 60 * 1000);
+    await esperar(20);
+
+    const revalidacao = carregadorPendente();
+    assert.equal(await servicoCache.obter('detalhe:inv_2', revalidacao.carregador, { ttlMs: 10 }), 'OPEN');
+
+    // O webhook de pagamento chega enquanto a Cora ainda responde com o status anterior
+    await servicoCache.invalidar('detalhe:inv_2');
+    revalidacao.responder('OPEN');
+    await esperar(5);
+    assert.equal(await servicoCache.ler('detalhe:inv_2'), null);
+
+    assert.equal(await servicoCache.obter('detalhe:inv_2', async () => 'PAID', { ttlMs: 60 * 1000 }), 'PAID');
+    assert.equal(await servicoCache.ler('detalhe:inv_2'), 'PAID');
+    assert.equal(servicoCache.geracoes.size, 0);
+  });
+
+  it('depois da invalidação, a leitura não espera o carregamento antigo e prevalece o novo', async () => {
+    const antigo = carregadorPendente();
+    const primeira = servicoCache.obter('detalhe:inv_3', antigo.carregador, { ttlMs: 60 * 1000 });
+    await esperar(5);
+    assert.equal(antigo.chamadas.length, 1);
+
+    await servicoCache.invalidar('detalhe:inv_3');
+    const novo = carregadorPendente();
+    const segunda = servicoCache.obter('detalhe:inv_3', novo.carregador, { ttlMs: 60 * 1000 });
+    await esperar(5);
+    assert.equal(novo.chamadas.length, 1);
+
+    novo.responder('PAID');
+    assert.equal(await segunda, 'PAID');
+    antigo.responder('OPEN');
+    assert.equal(await primeira, 'OPEN');
+    assert.equal(await servicoCache.ler('detalhe:inv_3'), 'PAID');
+    assert.equal(servicoCache.geracoes.size, 0);
+  });
+
+  it('chamadas simultâneas sem invalidação compartilham o carregamento', async () => {
+    const { carregador, chamadas, responder } = carregadorPendente();
+    const leituras = [1, 2, 3].map(() => servicoCache.obter('detalhe:inv_4', carregador, { ttlMs: 60 * 1000 }));
+    await esperar(5);
+    responder('OPEN');
+    assert.deepEqual(await Promise.all(leituras), ['OPEN', 'OPEN', 'OPEN']);
+    assert.equal(chamadas.length, 1);
+  });
+});
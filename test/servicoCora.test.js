@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { fatura, diasAPartirDeHoje, prepararAmbiente, iniciarSimulador } = require('./apoio/ambiente');
+
+const CPF = '33707301893';
+const OUTRO_CPF = '52998224725';
+
+describe('servicoCora', () => {
+  let simulador;
+  let servicoCora;
+  let datasBancarias;
+
+  before(async () => {
+    // Sem cache: cada chamada vai ao simulador
+    const pasta = prepararAmbiente({ CORA_CACHE_ENABLED: 'false' });
+    const faturas = [];
+    // 450 invoices de outros pagadores: a listagem da Cora vem em 3 páginas de 200
+    for (let i = 0; i < 448; i++) faturas.push(fatura(`inv_pag_${String(i).padStart(3, '0')}`, { documento: OUTRO_CPF }));
+    faturas.push(fatura('inv_pag_cancelado', { documento: OUTRO_CPF, status: 'CANCELLED' }));
+    faturas.push(fatura('inv_pag_pago', { documento: OUTRO_CPF, status: 'PAID' }));
+
+    // Boletos do titular usados na classificação atrasado / a vencer
+    faturas.push(fatura('inv_atrasado_antigo', { documento: CPF, status: 'LATE', dueDate: diasAPartirDeHoje(-40) }));
+    faturas.push(fatura('inv_atrasado', { documento: CPF, status: 'OPEN', dueDate: diasAPartirDeHoje(-10) }));
+    faturas.push(fatura('inv_hoje', { documento: CPF, dueDate: diasAPartirDeHoje(0) }));
+    faturas.push(fatura('inv_futuro', { documento: CPF, dueDate: diasAPartirDeHoje(30) }));
+    faturas.push(fatura('inv_pago', { documento: CPF, status: 'PAID', dueDate: diasAPartirDeHoje(-20) }));
+
+    simulador = await iniciarSimulador(faturas, pasta);
+    servicoCora = require('../src/servicos/servicoCora');
+    datasBancarias = require('../src/utilitarios/datasBancarias');
+  });
+
+  after(async () => {
+    await simulador.encerrar();
+  });
+
+  describe('buscarTodosBoletos', () => {
+    it('percorre todas as páginas da listagem e ignora os cancelados', async () => {
+      simulador.requisicoes.length = 0;
+      const resumo = {};
+      const boletos = await servicoCora.buscarTodosBoletos(null, { resumo });
+
+      const paginas = simulador.requisicoes.filter(r => r.rota === 'listagem');
+      assert.equal(paginas.length, 3);
+      assert.deepEqual(paginas.map(r => new URL(r.caminho, 'http://x').searchParams.get('page')), ['1', '2', '3']);
+
+      assert.equal(resumo.listados, 455);
+      assert.equal(resumo.obtidos, 455);
+      assert.deepEqual(resumo.falhas, []);
+      assert.equal(boletos.length, 454);
+      assert.ok(!boletos.some(b => b.id === 'inv_pag_cancelado'));
+      assert.equal(new Set(boletos.map(b => b.id)).size, boletos.length);
+    });
+
+    it('registra no resumo os invoices cujo detalhe falhou, sem interromper a busca', async () => {
+      simulador.definirFalhas([{ rota: 'detalhe', status: 500, vezes: 1 }]);
+      try {
+        const resumo = {};
+        const boletos = await servicoCora.buscarTodosBoletos(OUTRO_CPF, { resumo, filtros: { search: OUTRO_CPF } });
+        assert.equal(resumo.falhas.length, 1);
+        assert.equal(resumo.falhas[0].status, 500);
+        assert.equal(boletos.length, 448);
+      } finally {
+        simulador.definirFalhas([]);
+      }
+    });
+  });
+
+  describe('consultarBoletosPorDocumento', () => {
+    it('separa atrasados e a vencer pelo vencimento efetivo', async () => {
+      const resultado = await servicoCora.consultarBoletosPorDocumento(CPF, 'CPF');
+
+      assert.deepEqual(resultado.boletosAtrasados.map(b => b.id), ['inv_atrasado_antigo', 'inv_atrasado']);
+      assert.equal(resultado.proximoBoletoAVencer.id, 'inv_hoje');
+      assert.deepEqual(resultado.boletosEmAberto.map(b => b.id),
+        ['inv_atrasado_antigo', 'inv_atrasado', 'inv_hoje', 'inv_futuro']);
+      assert.deepEqual(resultado.boletos.map(b => b.id).sort(),
+        ['inv_atrasado', 'inv_atrasado_antigo', 'inv_futuro', 'inv_hoje', 'inv_pago']);
+      assert.deepEqual(resultado.detalhesIndisponiveis, []);
+
+      const hoje = resultado.boletos.find(b => b.id === 'inv_hoje');
+      assert.equal(hoje.effective_due_date, datasBancarias.proximoDiaUtil(diasAPartirDeHoje(0)));
+    });
+
+    it('sem boletos em aberto, não aponta próximo a vencer', async () => {
+      const resultado = await servicoCora.consultarBoletosPorDocumento('11144477735', 'CPF');
+      assert.deepEqual(resultado.boletos, []);
+      assert.equal(resultado.proximoBoletoAVencer, null);
+    });
+  });
+
+  describe('ids de invoice', () => {
+    it('recusa ids fora do formato da Cora sem chamar a API', async () => {
+      simulador.requisicoes.length = 0;
+      for (const id of ['../invoices?page=1', 'inv_1/cancel', 'inv 1', '', 'x'.repeat(101)]) {
+        await assert.rejects(servicoCora.consultarDetalhesBoleto(id), servicoCora.IdBoletoInvalidoError);
+        await assert.rejects(servicoCora.cancelarBoleto(id), servicoCora.IdBoletoInvalidoError);
+      }
+      assert.deepEqual(simulador.requisicoes.filter(r => r.rota !== 'token'), []);
+
+      assert.equal((await servicoCora.consultarDetalhesBoleto('inv_futuro')).id, 'inv_futuro');
+    });
+  });
+});
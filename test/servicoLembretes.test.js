@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { fatura, prepararAmbiente, iniciarSimulador } = require('./apoio/ambiente');
+const { SimuladorSmtp } = require('../src/simulador/simuladorSmtp');
+
+// Rodadas na segunda-feira, 08/09/2025 (com 3 dias de antecedência e aviso de atraso a partir de 1 dia)
+const SEGUNDA = '2025-09-08';
+const API = 'https://boletos.escola.com.br';
+const TERCA = '2025-09-09';
+
+describe('servicoLembretes (e-mail pelo simulador SMTP)', () => {
+  let smtp;
+  let simulador;
+  let servicoLembretes;
+
+  before(async () => {
+    smtp = new SimuladorSmtp();
+    const { host, porta } = await smtp.iniciar();
+    const pasta = prepararAmbiente({
+      SMTP_HOST: host,
+      SMTP_PORT: String(porta),
+      SMTP_SECURE: 'false',
+      LEMBRETES_REMETENTE: 'financeiro@escola.com.br',
+      LEMBRETES_DIAS_ANTES: '3',
+      LEMBRETES_ATRASO_APOS_DIAS: '1',
+      API_URL_PUBLICA: `${API}/`
+    });
+    simulador = await iniciarSimulador([
+      fatura('inv_em_breve', { dueDate: '2025-09-10', email: 'ana@example.com' }),
+      fatura('inv_hoje', { dueDate: SEGUNDA, email: 'bruno@example.com' }),
+      // Venceu no sábado: o vencimento efetivo é a segunda-feira
+      fatura('inv_sabado', { dueDate: '2025-09-06', email: 'carla@example.com' }),
+      fatura('inv_atrasado', { status: 'LATE', dueDate: '2025-09-01', email: 'davi@example.com' }),
+      fatura('inv_sem_email', { dueDate: TERCA, email: null }),
+      fatura('inv_pago', { status: 'PAID', dueDate: TERCA, email: 'eva@example.com' }),
+      fatura('inv_distante', { dueDate: '2025-09-30', email: 'fabio@example.com' })
+    ], pasta);
+    servicoLembretes = require('../src/servicos/servicoLembretes');
+  });
+
+  after(async () => {
+    await simulador.encerrar();
+    await smtp.encerrar();
+  });
+
+  const porBoleto = (envios) => Object.fromEntries(envios.map(e => [e.invoice_id, e.tipo]));
+
+  it('simulação lista os avisos sem enviar nem gravar nada', async () => {
+    const resumo = await servicoLembretes.executar({ simular: true, dataReferencia: SEGUNDA });
+
+    assert.equal(resumo.simulacao, true);
+    assert.deepEqual(resumo.canais, ['email']);
+    assert.deepEqual(porBoleto(resumo.envios), {
+      inv_em_breve: 'VENCE_EM_BREVE',
+      inv_hoje: 'VENCE_HOJE',
+      inv_sabado: 'VENCE_HOJE',
+      inv_atrasado: 'ATRASADO'
+    });
+    assert.ok(resumo.envios.every(e => e.situacao === 'SIMULADO'));
+    assert.equal(resumo.sem_destinatario, 1);
+    assert.equal(smtp.mensagens.length, 0);
+    assert.deepEqual(await servicoLembretes.listarEnvios(), []);
+  });
+
+  it('envia um e-mail por aviso e grava cada envio', async () => {
+    const resumo = await servicoLembretes.executar({ dataReferencia: SEGUNDA });
+
+    assert.equal(resumo.enviados, 4);
+    assert.equal(resumo.falhas, 0);
+    assert.deepEqual(smtp.mensagens.map(m => m.para[0]).sort(),
+      ['ana@example.com', 'bruno@example.com', 'carla@example.com', 'davi@example.com']);
+    assert.ok(smtp.mensagens.every(m => m.de === 'financeiro@escola.com.br'));
+
+    // O PDF vai pela API, com token assinado de validade longa, nunca pelo storage da Cora
+    const mensagem = smtp.mensagens.find(m => m.para[0] === 'ana@example.com');
+    const corpo = mensagem.dados.replace(/=\r\n/g, '').replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    assert.ok(!corpo.includes(simulador.urlArquivos));
+    const token = decodeURIComponent(corpo.match(/\/api\/boletos\/boleto\/inv_em_breve\/pdf\?token=([^\s"<]+)/)[1]);
+    assert.ok(corpo.includes(`${API}/api/boletos/boleto/inv_em_breve/pdf?token=`));
+    const linksAssinados = require('../src/utilitarios/linksAssinados');
+    assert.equal(linksAssinados.verificar(token, 'inv_em_breve', 'padrao'), 'VALIDO');
+    assert.equal(linksAssinados.verificar(token, 'inv_em_breve', 'padrao', Date.now() + 29 * 24 * 60 * 60 * 1000), 'VALIDO');
+
+    const envios = await servicoLembretes.listarEnvios();
+    assert.equal(envios.length, 4);
+    assert.ok(envios.every(e => e.id_mensagem && e.destinatario.includes('***@')));
+  });
+
+  it('não repete um aviso já enviado, mas envia o próximo tipo de aviso do mesmo boleto', async () => {
+    const repetida = await servicoLembretes.executar({ dataReferencia: SEGUNDA });
+    assert.equal(repetida.enviados, 0);
+    assert.equal(repetida.ja_enviados, 4);
+    assert.equal(smtp.mensagens.length, 4);
+
+    // Na terça, os que venciam na segunda passam a atrasados; o de quarta continua "vence em breve"
+    const terca = await servicoLembretes.executar({ dataReferencia: TERCA });
+    assert.deepEqual(porBoleto(terca.envios.filter(e => e.situacao === 'ENVIADO')), {
+      inv_hoje: 'ATRASADO',
+      inv_sabado: 'ATRASADO'
+    });
+    assert.equal(terca.ja_enviados, 2);
+    assert.equal(smtp.mensagens.length, 6);
+  });
+
+  it('simulação e envio simultâneos não compartilham a mesma rodada', async () => {
+    const data = '2025-09-29';
+    const antes = smtp.mensagens.length;
+    const [simulada, real, repetida] = await Promise.all([
+      servicoLembretes.executar({ simular: true, dataReferencia: data }),
+      servicoLembretes.executar({ dataReferencia: data }),
+      servicoLembretes.executar({ dataReferencia: data })
+    ]);
+
+    assert.equal(simulada.simulacao, true);
+    assert.ok(simulada.envios.length > 0);
+    assert.ok(simulada.envios.every(e => e.situacao === 'SIMULADO'));
+    assert.equal(real.simulacao, false);
+    assert.equal(real, repetida);
+    assert.deepEqual(porBoleto(real.envios), porBoleto(simulada.envios));
+    assert.ok(real.envios.every(e => e.situacao === 'ENVIADO'));
+    assert.equal(smtp.mensagens.length, antes + real.enviados);
+  });
+});